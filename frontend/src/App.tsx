@@ -1,6 +1,22 @@
 import { Dashboard } from './pages/Dashboard';
+import { ServiceDetail } from './pages/ServiceDetail';
+import { PublicStatus } from './pages/PublicStatus';
+import { ModelComparison } from './pages/ModelComparison';
+import { useLocation } from './lib/router';
 
 function App() {
+  const { pathname } = useLocation();
+  const serviceMatch = /^\/services\/([^/]+)\/?$/.exec(pathname);
+
+  if (pathname === '/status' || pathname === '/status/') {
+    return <PublicStatus />;
+  }
+  if (pathname === '/models' || pathname === '/models/') {
+    return <ModelComparison />;
+  }
+  if (serviceMatch) {
+    return <ServiceDetail serviceId={decodeURIComponent(serviceMatch[1])} />;
+  }
   return <Dashboard />;
 }
 
@@ -0,0 +1,95 @@
+import type { Incident } from '@/lib/api';
+import { formatErrorCategory } from '@/lib/errorCategories';
+import { Badge } from '@/components/ui/badge';
+import { StatusBadge } from './StatusBadge';
+
+interface IncidentTimelineProps {
+  incidents: Incident[];
+}
+
+function formatDuration(ms: number) {
+  const totalMinutes = Math.max(1, Math.round(ms / 60_000));
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+  if (days > 0) {
+    return `${days} 天 ${hours} 小时`;
+  }
+  if (hours > 0) {
+    return `${hours} 小时 ${minutes} 分钟`;
+  }
+  return `${minutes} 分钟`;
+}
+
+function formatDay(value: string) {
+  return new Date(value).toLocaleDateString();
+}
+
+function IncidentItem({ incident }: { incident: Incident }) {
+  const ongoing = incident.status === 'open';
+  const error = incident.firstError;
+  const category = formatErrorCategory(error?.errorCategory);
+  const durationLabel = ongoing
+    ? `已持续 ${formatDuration(Date.now() - new Date(incident.startedAt).getTime())}`
+    : `持续 ${formatDuration(incident.durationMs ?? 0)}`;
+
+  return (
+    <li className="relative pl-6">
+      <span
+        className={`absolute left-0 top-1.5 h-2.5 w-2.5 rounded-full ${ongoing ? 'bg-red-500' : 'bg-gray-300'}`}
+      />
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="font-medium text-gray-900">{incident.serviceName}</span>
+        {ongoing ? (
+          <Badge className="bg-red-500 text-[11px] text-white">进行中</Badge>
+        ) : (
+          <Badge variant="outline" className="text-[11px] text-green-600">
+            已恢复
+          </Badge>
+        )}
+        {error && <StatusBadge status={error.status} size="sm" />}
+        {category && <span className="text-xs text-red-600">{category}</span>}
+      </div>
+      <div className="mt-1 text-xs text-gray-500">
+        {new Date(incident.startedAt).toLocaleString()}
+        {incident.endedAt && ` → ${new Date(incident.endedAt).toLocaleString()}`} · {durationLabel} · 影响{' '}
+        {incident.affectedChecks} 次检查
+      </div>
+      {error?.message && (
+        <p className="mt-1 line-clamp-2 break-all font-mono text-xs text-gray-600">{error.message}</p>
+      )}
+      {incident.lastError?.message && incident.lastError.message !== error?.message && (
+        <p className="mt-1 line-clamp-2 break-all font-mono text-xs text-gray-400">
+          最后错误: {incident.lastError.message}
+        </p>
+      )}
+    </li>
+  );
+}
+
+export function IncidentTimeline({ incidents }: IncidentTimelineProps) {
+  if (incidents.length === 0) {
+    return <p className="text-sm text-gray-500">近期没有故障记录</p>;
+  }
+
+  const days = new Map<string, Incident[]>();
+  for (const incident of incidents) {
+    const day = formatDay(incident.startedAt);
+    days.set(day, [...(days.get(day) ?? []), incident]);
+  }
+
+  return (
+    <div className="space-y-6">
+      {[...days.entries()].map(([day, items]) => (
+        <div key={day} className="space-y-3">
+          <h3 className="border-b border-gray-200 pb-1 text-sm font-semibold text-gray-700">{day}</h3>
+          <ul className="space-y-4">
+            {items.map((incident) => (
+              <IncidentItem key={incident.id} incident={incident} />
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+import type { AnchorHTMLAttributes, MouseEvent } from 'react';
+import { navigate } from '@/lib/router';
+
+interface LinkProps extends AnchorHTMLAttributes<HTMLAnchorElement> {
+  to: string;
+}
+
+export function Link({ to, onClick, ...props }: LinkProps) {
+  const handleClick = (event: MouseEvent<HTMLAnchorElement>) => {
+    onClick?.(event);
+    // Let the browser handle new-tab and modified clicks.
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey) {
+      return;
+    }
+    event.preventDefault();
+    navigate(to);
+    window.scrollTo(0, 0);
+  };
+
+  return <a href={to} onClick={handleClick} {...props} />;
+}
@@ -1,14 +1,18 @@
 import { useMemo, useState } from 'react';
 import { useQuery } from '@tanstack/react-query';
+import { Loader2 } from 'lucide-react';
 import type { Service } from '@/lib/api';
 import { api } from '@/lib/api';
+import { formatErrorCategory } from '@/lib/errorCategories';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
+import { Link } from './Link';
 import { StatusBadge } from './StatusBadge';
 import { UptimeIndicator } from './UptimeIndicator';
 
 interface ServiceCardProps {
   service: Service;
+  checking?: boolean;
 }
 
 function formatTimestamp(value: string | null | undefined) {
@@ -22,7 +26,21 @@ function formatTimestamp(value: string | null | undefined) {
   return date.toLocaleString();
 }
 
-export function ServiceCard({ service }: ServiceCardProps) {
+function formatMilliseconds(value: number | null | undefined) {
+  if (value == null || !Number.isFinite(value)) {
+    return null;
+  }
+  return `${value}ms`;
+}
+
+function formatCount(value: number | null | undefined) {
+  if (value == null || !Number.isFinite(value)) {
+    return null;
+  }
+  return value.toLocaleString();
+}
+
+export function ServiceCard({ service, checking = false }: ServiceCardProps) {
   const [isHovering, setIsHovering] = useState(false);
 
   const {
@@ -47,10 +65,58 @@ export function ServiceCard({ service }: ServiceCardProps) {
   const detailCheckedAt =
     detailResult?.checkedAt ?? detailData?.lastCheck ?? service.lastCheck ?? null;
   const lastCheckTimestamp = formatTimestamp(detailCheckedAt);
+  const latencyMetrics = detailResult
+    ? [
+        { label: '首字节', value: formatMilliseconds(detailResult.firstByteTime) },
+        { label: '首 Token', value: formatMilliseconds(detailResult.firstTokenTime) },
+        { label: '流式耗时', value: formatMilliseconds(detailResult.streamDuration) },
+        {
+          label: '生成速度',
+          value:
+            detailResult.tokensPerSecond != null && Number.isFinite(detailResult.tokensPerSecond)
+              ? `${detailResult.tokensPerSecond} tok/s`
+              : null,
+        },
+        { label: '排队等待', value: detailResult.queueWait ? formatMilliseconds(detailResult.queueWait) : null },
+      ].filter((metric): metric is { label: string; value: string } => metric.value != null)
+    : [];
+  const usageMetrics = detailResult
+    ? [
+        { label: '实际模型', value: detailResult.model || null },
+        {
+          label: '期望模型',
+          value: detailResult.modelMatch === false ? detailResult.expectedModel || null : null,
+        },
+        { label: '输入 Token', value: formatCount(detailResult.inputTokens) },
+        { label: '输出 Token', value: formatCount(detailResult.outputTokens) },
+        { label: '缓存读取', value: formatCount(detailResult.cacheReadTokens) },
+        { label: '缓存写入', value: formatCount(detailResult.cacheWriteTokens) },
+        {
+          label: '费用',
+          value:
+            detailResult.costUsd != null && Number.isFinite(detailResult.costUsd)
+              ? `$${detailResult.costUsd.toFixed(4)}`
+              : null,
+        },
+      ].filter((metric): metric is { label: string; value: string } => metric.value != null)
+    : [];
   const stdoutText = detailResult?.stdout?.trim() ?? '';
   const stderrText = detailResult?.stderr?.trim() ?? '';
   const answerContent = detailResult?.answer ?? null;
+  const suiteResults = detailResult?.suiteResults ?? [];
+  const subAttempts = detailResult?.subAttempts ?? [];
   const messageContent = detailResult?.message ?? null;
+  const errorCategoryLabel = formatErrorCategory(detailResult?.errorCategory);
+  const availabilityLabel = useMemo(() => {
+    const availability = service.availability;
+    if (!availability) {
+      return null;
+    }
+    const parts = (['7d', '30d', '90d'] as const)
+      .filter((window) => availability[window] != null)
+      .map((window) => `${window} ${availability[window]}%`);
+    return parts.length > 0 ? parts.join(' · ') : null;
+  }, [service.availability]);
   const modelLabel = useMemo(() => {
     if (!service.model) {
       return null;
@@ -77,6 +143,15 @@ export function ServiceCard({ service }: ServiceCardProps) {
     return trimmed;
   }, [service.model]);
 
+  const maintenanceTitle = service.maintenance
+    ? [
+        service.maintenance.reason,
+        service.maintenance.end ? `预计结束: ${formatTimestamp(service.maintenance.end)}` : null,
+      ]
+        .filter(Boolean)
+        .join(' · ') || null
+    : null;
+
   return (
     <div
       className="relative rounded-lg border border-gray-200 bg-white p-6 shadow-sm transition-shadow duration-200 hover:shadow-md"
@@ -85,14 +160,35 @@ export function ServiceCard({ service }: ServiceCardProps) {
     >
       <div className="mb-4 flex items-center justify-between">
         <div className="flex items-center gap-2">
-          <h3 className="text-lg font-semibold text-gray-900">{service.name}</h3>
+          <h3 className="text-lg font-semibold text-gray-900">
+            <Link to={`/services/${encodeURIComponent(service.id)}`} className="hover:underline">
+              {service.name}
+            </Link>
+          </h3>
           {modelLabel && (
             <Badge variant="secondary" className="text-[11px] font-medium tracking-wide">
               {modelLabel}
             </Badge>
           )}
+          {service.maintenance && (
+            <Badge
+              variant="outline"
+              className="border-blue-200 text-[11px] text-blue-600"
+              title={maintenanceTitle ?? undefined}
+            >
+              维护中
+            </Badge>
+          )}
+        </div>
+        <div className="flex items-center gap-3">
+          {checking && (
+            <span className="inline-flex items-center gap-1 text-xs text-gray-500">
+              <Loader2 className="h-3.5 w-3.5 animate-spin" />
+              检查中...
+            </span>
+          )}
+          <StatusBadge status={service.currentStatus} />
         </div>
-        <StatusBadge status={service.currentStatus} />
       </div>
 
       <div className="mb-4">
@@ -104,6 +200,13 @@ export function ServiceCard({ service }: ServiceCardProps) {
         <span className="font-semibold text-gray-900">{formatTimestamp(service.lastCheck)}</span>
       </div>
 
+      {availabilityLabel && (
+        <div className="mt-2 flex items-center justify-between text-sm text-gray-600">
+          <span className="text-gray-500">长期可用率</span>
+          <span className="font-semibold text-gray-900">{availabilityLabel}</span>
+        </div>
+      )}
+
       {isHovering && service.lastCheck && (
         <div className="absolute left-0 right-0 top-full z-50 mt-2 rounded-lg border border-gray-300 bg-white p-4 shadow-2xl">
           {detailLoading && <p className="text-sm text-gray-500">加载详情中...</p>}
@@ -128,12 +231,79 @@ export function ServiceCard({ service }: ServiceCardProps) {
             <div className="space-y-3 text-sm">
               <div className="flex flex-wrap gap-3">
                 <StatusBadge status={detailStatus} size="sm" />
+                {errorCategoryLabel && (
+                  <Badge variant="outline" className="text-[11px] text-red-600">
+                    {errorCategoryLabel}
+                  </Badge>
+                )}
                 <span className="text-gray-600">响应时间: {responseTimeLabel}</span>
                 {lastCheckTimestamp && (
                   <span className="text-gray-600">检查时间: {lastCheckTimestamp}</span>
                 )}
+                {detailResult.attempts != null && detailResult.attempts > 1 && (
+                  <span className={detailResult.flaky ? 'text-amber-600' : 'text-gray-600'}>
+                    {detailResult.flaky
+                      ? `重试 ${detailResult.attempts - 1} 次后成功`
+                      : `共尝试 ${detailResult.attempts} 次`}
+                  </span>
+                )}
               </div>
 
+              {subAttempts.length > 0 && (
+                <ul className="space-y-1 text-xs text-gray-600">
+                  {subAttempts.map((attempt) => (
+                    <li key={attempt.attempt} className="flex flex-wrap items-center gap-2">
+                      <span>第 {attempt.attempt} 次</span>
+                      <StatusBadge status={attempt.status} size="sm" />
+                      {attempt.errorCategory && <span>{formatErrorCategory(attempt.errorCategory)}</span>}
+                      <span>{attempt.responseTime}ms</span>
+                      {attempt.message && <span className="text-gray-500">{attempt.message}</span>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {latencyMetrics.length > 0 && (
+                <div className="flex flex-wrap gap-3 text-gray-600">
+                  {latencyMetrics.map((metric) => (
+                    <span key={metric.label}>
+                      {metric.label}: {metric.value}
+                    </span>
+                  ))}
+                </div>
+              )}
+
+              {usageMetrics.length > 0 && (
+                <div className="flex flex-wrap gap-3 text-gray-600">
+                  {usageMetrics.map((metric) => (
+                    <span key={metric.label}>
+                      {metric.label}: {metric.value}
+                    </span>
+                  ))}
+                </div>
+              )}
+
+              {detailResult.question && (
+                <div>
+                  <span className="text-gray-600">问题{detailResult.questionId ? ` (${detailResult.questionId})` : ''}: </span>
+                  <span className="text-gray-800">{detailResult.question}</span>
+                </div>
+              )}
+
+              {suiteResults.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                  {suiteResults.map((item, index) => (
+                    <span
+                      key={item.questionId ?? index}
+                      className="inline-flex items-center gap-1 rounded border border-gray-200 px-1.5 py-0.5 text-xs text-gray-600"
+                    >
+                      {item.questionId ?? index + 1}
+                      <StatusBadge status={item.status} size="sm" />
+                    </span>
+                  ))}
+                </div>
+              )}
+
               {answerContent && (
                 <div>
                   <span className="text-gray-600">答案: </span>
@@ -0,0 +1,83 @@
+import { Search } from 'lucide-react';
+import type { ServiceFilters, ServiceSort } from '@/lib/serviceFilters';
+import { cn } from '@/lib/utils';
+import { Button } from '@/components/ui/button';
+
+interface ServiceFilterBarProps {
+  filters: ServiceFilters;
+  tags: string[];
+  onChange: (next: Partial<ServiceFilters>) => void;
+}
+
+const SORT_OPTIONS: Array<{ value: ServiceSort | ''; label: string }> = [
+  { value: '', label: '默认顺序' },
+  { value: 'status', label: '按状态（异常优先）' },
+  { value: 'uptime', label: '按 7 天可用率（低→高）' },
+  { value: 'latency', label: '按响应时间（慢→快）' },
+];
+
+export function ServiceFilterBar({ filters, tags, onChange }: ServiceFilterBarProps) {
+  const toggleTag = (tag: string) => {
+    onChange({
+      tags: filters.tags.includes(tag) ? filters.tags.filter((item) => item !== tag) : [...filters.tags, tag],
+    });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="relative min-w-[12rem] flex-1">
+          <Search className="pointer-events-none absolute left-2.5 top-1/2 h-4 w-4 -translate-y-1/2 text-gray-400" />
+          <input
+            type="search"
+            className="w-full rounded-md border border-gray-300 bg-white py-1.5 pl-8 pr-3 text-sm"
+            placeholder="搜索服务、模型、分组或标签"
+            value={filters.query}
+            onChange={(event) => onChange({ query: event.target.value })}
+          />
+        </label>
+        <Button
+          size="sm"
+          variant={filters.failingOnly ? 'default' : 'outline'}
+          onClick={() => onChange({ failingOnly: !filters.failingOnly })}
+        >
+          只看异常
+        </Button>
+        <select
+          className="rounded-md border border-gray-300 bg-white px-2 py-1.5 text-sm"
+          value={filters.sort ?? ''}
+          onChange={(event) => onChange({ sort: (event.target.value || null) as ServiceSort | null })}
+        >
+          {SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {tags.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {tags.map((tag) => {
+            const selected = filters.tags.includes(tag);
+            return (
+              <button
+                key={tag}
+                type="button"
+                className={cn(
+                  'rounded-full border px-3 py-0.5 text-xs transition-colors',
+                  selected
+                    ? 'border-gray-900 bg-gray-900 text-white'
+                    : 'border-gray-300 bg-white text-gray-600 hover:bg-gray-50',
+                )}
+                onClick={() => toggleTag(tag)}
+              >
+                {tag}
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -14,8 +14,8 @@ const STATUS_CONFIG: Record<
   },
   degraded: {
     label: 'Degraded',
-    textClass: 'text-yellow-600',
-    dotClass: 'bg-yellow-600',
+    textClass: 'text-violet-600',
+    dotClass: 'bg-violet-500',
   },
   fail: {
     label: 'Outage',
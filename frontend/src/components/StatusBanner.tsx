@@ -0,0 +1,30 @@
+import type { OverallStatus } from '@/lib/api';
+import { cn } from '@/lib/utils';
+
+const BANNER_CONFIG: Record<OverallStatus, { label: string; className: string }> = {
+  operational: { label: 'All Systems Operational', className: 'bg-green-500' },
+  degraded: { label: 'Degraded Performance', className: 'bg-violet-500' },
+  partial_outage: { label: 'Partial Outage', className: 'bg-orange-500' },
+  major_outage: { label: 'Major Outage', className: 'bg-red-500' },
+  maintenance: { label: 'Under Maintenance', className: 'bg-blue-500' },
+  unknown: { label: 'Status Unknown', className: 'bg-gray-400' },
+};
+
+interface StatusBannerProps {
+  status: OverallStatus;
+  updatedAt?: string | null;
+}
+
+export function StatusBanner({ status, updatedAt }: StatusBannerProps) {
+  const config = BANNER_CONFIG[status];
+  const updated = updatedAt ? new Date(updatedAt) : null;
+
+  return (
+    <div className={cn('flex flex-wrap items-center justify-between gap-2 rounded-lg px-6 py-4 text-white', config.className)}>
+      <p className="text-xl font-semibold">{config.label}</p>
+      {updated && !Number.isNaN(updated.getTime()) && (
+        <p className="text-sm text-white/80">更新于 {updated.toLocaleString()}</p>
+      )}
+    </div>
+  );
+}
@@ -2,6 +2,7 @@ import { useMemo } from 'react';
 import { formatDistanceToNow } from 'date-fns';
 import { zhCN } from 'date-fns/locale';
 import type { Check } from '@/lib/api';
+import { formatErrorCategory } from '@/lib/errorCategories';
 import { cn } from '@/lib/utils';
 
 interface UptimeIndicatorProps {
@@ -9,14 +10,22 @@ interface UptimeIndicatorProps {
   maxDisplay?: number;
 }
 
-type TimelineEntry = Pick<Check, 'status' | 'timestamp' | 'responseTime'> | null;
+type TimelineEntry = Pick<
+  Check,
+  'status' | 'timestamp' | 'responseTime' | 'firstTokenTime' | 'attempts' | 'flaky' | 'errorCategory' | 'maintenance'
+> | null;
 
-function resolveStatusColor(status: Check['status'] | null | undefined) {
-  switch (status) {
+function resolveStatusColor(entry: TimelineEntry) {
+  if (entry?.maintenance) {
+    return 'bg-blue-400';
+  }
+  switch (entry?.status) {
     case 'ok':
-      return 'bg-green-500';
+      return entry.flaky ? 'bg-green-300' : 'bg-green-500';
     case 'timeout':
       return 'bg-yellow-400';
+    case 'degraded':
+      return 'bg-violet-400';
     case 'fail':
     case 'error':
       return 'bg-red-500';
@@ -30,7 +39,8 @@ function buildTooltip(entry: TimelineEntry) {
     return '暂无检查数据';
   }
 
-  const { timestamp, status, responseTime } = entry;
+  const { timestamp, status, responseTime, firstTokenTime, attempts, flaky, errorCategory, maintenance } =
+    entry;
   const date = timestamp ? new Date(timestamp) : null;
   const formatted =
     date && !Number.isNaN(date.getTime()) ? date.toLocaleString() : '时间未知';
@@ -39,11 +49,14 @@ function buildTooltip(entry: TimelineEntry) {
   let statusLabel = '状态未知';
   switch (status) {
     case 'ok':
-      statusLabel = '正常';
+      statusLabel = flaky && attempts ? `正常（重试 ${attempts - 1} 次后）` : '正常';
       break;
     case 'timeout':
       statusLabel = '超时';
       break;
+    case 'degraded':
+      statusLabel = '模型不符';
+      break;
     case 'fail':
       statusLabel = '失败';
       break;
@@ -54,7 +67,15 @@ function buildTooltip(entry: TimelineEntry) {
       statusLabel = '状态未知';
   }
 
-  return `${formatted} · ${statusLabel} · ${response}`;
+  const firstToken =
+    firstTokenTime != null && Number.isFinite(firstTokenTime) ? ` · 首 Token ${firstTokenTime}ms` : '';
+
+  const category = formatErrorCategory(errorCategory);
+  const categoryLabel = category && category !== statusLabel ? `（${category}）` : '';
+
+  const maintenanceLabel = maintenance ? ' · 维护中（不计入可用率）' : '';
+
+  return `${formatted} · ${statusLabel}${categoryLabel} · ${response}${firstToken}${maintenanceLabel}`;
 }
 
 function formatRelativeLabel(input: string | null | undefined) {
@@ -108,9 +129,10 @@ export function UptimeIndicator({ checks = [], maxDisplay = 90 }: UptimeIndicato
     const filler = Array.from<TimelineEntry>({ length: fillerCount }).fill(null);
     const timeline: TimelineEntry[] = [...filler, ...limited];
 
-    const successCount = limited.filter((item) => item.status === 'ok').length;
+    const counted = limited.filter((item) => !item.maintenance);
+    const successCount = counted.filter((item) => item.status === 'ok').length;
     const successRate =
-      limited.length > 0 ? (successCount / limited.length) * 100 : null;
+      counted.length > 0 ? (successCount / counted.length) * 100 : null;
 
     const oldest = limited[0] ?? null;
     const newest = limited[limited.length - 1] ?? null;
@@ -137,7 +159,7 @@ export function UptimeIndicator({ checks = [], maxDisplay = 90 }: UptimeIndicato
               key={index}
               className={cn(
                 'h-8 flex-1 rounded-sm transition-colors',
-                resolveStatusColor(entry?.status),
+                resolveStatusColor(entry),
               )}
               title={tooltip}
               aria-label={tooltip}
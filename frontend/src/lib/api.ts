@@ -1,23 +1,126 @@
 const API_BASE = '/api';
 
-export interface Check {
+export interface CheckMetrics {
+  queueWait?: number | null;
+  firstByteTime?: number | null;
+  firstTokenTime?: number | null;
+  streamDuration?: number | null;
+  tokensPerSecond?: number | null;
+  model?: string | null;
+  inputTokens?: number | null;
+  outputTokens?: number | null;
+  cacheReadTokens?: number | null;
+  cacheWriteTokens?: number | null;
+  costUsd?: number | null;
+}
+
+export type CheckStatus = 'ok' | 'degraded' | 'fail' | 'error' | 'timeout';
+
+export type ErrorCategory =
+  | 'auth'
+  | 'quota'
+  | 'rate_limit'
+  | 'model_not_found'
+  | 'upstream_5xx'
+  | 'network'
+  | 'cli_missing'
+  | 'timeout'
+  | 'wrong_answer'
+  | 'unknown';
+
+export interface Check extends CheckMetrics {
+  checkId?: string;
   timestamp: string;
-  status: 'ok' | 'fail' | 'error' | 'timeout';
+  status: CheckStatus;
+  responseTime: number;
+  questionId?: string;
+  errorCategory?: ErrorCategory;
+  attempts?: number;
+  flaky?: boolean;
+  maintenance?: boolean;
+}
+
+export interface CheckAttempt {
+  attempt: number;
+  status: CheckStatus;
+  errorCategory: ErrorCategory | null;
+  message: string | null;
+  responseTime: number;
+  checkedAt: string | null;
+}
+
+export interface SuiteQuestionResult {
+  questionId: string | null;
+  status: CheckStatus;
+  answer: string | null;
   responseTime: number;
 }
 
+export type AvailabilityWindow = '24h' | '7d' | '30d' | '90d';
+
+export interface ActiveMaintenance {
+  id: string;
+  reason: string | null;
+  mode: 'tag' | 'skip';
+  end: string | null;
+}
+
 export interface Service {
   id: string;
   name: string;
   model?: string | null;
-  currentStatus: 'ok' | 'fail' | 'error' | 'timeout' | 'unknown';
+  group?: string | null;
+  tags?: string[];
+  currentStatus: CheckStatus | 'unknown';
   lastCheck: string | null;
+  availability?: Partial<Record<AvailabilityWindow, number | null>>;
+  maintenance?: ActiveMaintenance | null;
   recentChecks?: Check[];
 }
 
-export interface ServiceCheckDetail {
+export interface HistoryBucket {
+  start: string;
+  total: number;
+  counts: Partial<Record<Check['status'], number>>;
+  categories?: Partial<Record<ErrorCategory, number>>;
+  maintenance?: number;
+  p50: number | null;
+  p95: number | null;
+  max: number | null;
+  uptime: number | null;
+}
+
+export interface ServiceHistoryResponse {
+  serviceId: string;
+  range: string;
+  bucket: '1h' | '1d';
+  from: string;
+  to: string;
+  buckets: HistoryBucket[];
+  summary: {
+    total: number;
+    counts: Partial<Record<Check['status'], number>>;
+    categories?: Partial<Record<ErrorCategory, number>>;
+    maintenance?: number;
+    uptime: number | null;
+    max: number | null;
+  };
+}
+
+export interface ServiceCheckDetail extends CheckMetrics {
+  checkId?: string | null;
   name: string;
-  status: 'ok' | 'fail' | 'error' | 'timeout';
+  status: CheckStatus;
+  errorCategory?: ErrorCategory | null;
+  expectedModel?: string | null;
+  modelMatch?: boolean | null;
+  questionId?: string | null;
+  question?: string | null;
+  suiteResults?: SuiteQuestionResult[] | null;
+  attempts?: number;
+  flaky?: boolean;
+  maintenance?: boolean;
+  subAttempts?: CheckAttempt[] | null;
   responseTime: number;
   stdout: string;
   stderr: string;
@@ -33,6 +136,134 @@ export interface ServiceDetailResponse {
   result: ServiceCheckDetail;
 }
 
+export type OverallStatus =
+  | 'operational'
+  | 'degraded'
+  | 'partial_outage'
+  | 'major_outage'
+  | 'maintenance'
+  | 'unknown';
+
+export interface PublicService {
+  displayName: string;
+  group: string | null;
+  status: Service['currentStatus'];
+  maintenance: boolean;
+  lastCheck: string | null;
+  uptime: number;
+  availability: Partial<Record<AvailabilityWindow, number | null>> | null;
+  recentChecks: Check[];
+}
+
+export interface PublicStatus {
+  services: PublicService[];
+  groups: Array<{ name: string | null; status: OverallStatus }>;
+  overall: {
+    status: OverallStatus;
+    healthy: number;
+    degraded: number;
+    unhealthy: number;
+    unknown: number;
+    maintenance: number;
+    total: number;
+  };
+  timestamp: string;
+}
+
+export interface ProviderComparison {
+  rank: number;
+  serviceId: string;
+  name: string;
+  group: string | null;
+  currentStatus: Service['currentStatus'];
+  maintenance: boolean;
+  lastCheck: string | null;
+  checks: number;
+  uptime: number | null;
+  latency: { p50: number | null; p95: number | null };
+  errorCategories: Partial<Record<ErrorCategory, number>>;
+  costPerCheck: number | null;
+}
+
+export interface ModelComparisonResponse {
+  range: string;
+  models: Array<{ model: string; providers: ProviderComparison[] }>;
+}
+
+export interface CheckQuery {
+  status?: CheckStatus;
+  category?: ErrorCategory;
+  range?: string;
+  page?: number;
+  pageSize?: number;
+}
+
+export interface ServiceChecksResponse {
+  serviceId: string;
+  checks: Check[];
+  total: number;
+  page: number;
+  pageSize: number;
+}
+
+export interface CheckDetailResponse {
+  serviceId: string;
+  check: Check;
+  result: ServiceCheckDetail | null;
+}
+
+export interface IncidentError {
+  status: CheckStatus;
+  errorCategory: ErrorCategory | null;
+  message: string | null;
+  checkedAt: string;
+}
+
+export interface Incident {
+  id: string;
+  serviceId: string;
+  serviceName: string;
+  status: 'open' | 'resolved';
+  startedAt: string;
+  endedAt: string | null;
+  durationMs: number | null;
+  affectedChecks: number;
+  firstError: IncidentError | null;
+  lastError: IncidentError | null;
+}
+
+export interface IncidentQuery {
+  status?: Incident['status'];
+  range?: string;
+  limit?: number;
+}
+
+function incidentParams(query: IncidentQuery) {
+  const params = new URLSearchParams();
+  if (query.status) params.set('status', query.status);
+  if (query.range) params.set('range', query.range);
+  if (query.limit) params.set('limit', String(query.limit));
+  return params;
+}
+
+export interface ActiveCheck {
+  serviceId: string;
+  name: string;
+  startedAt: string;
+}
+
+export interface LiveEvents {
+  ready: { activeChecks: ActiveCheck[] };
+  'check.started': ActiveCheck;
+  'check.completed': { serviceId: string; check: Check | null; service: Service | null };
+  'status.changed': {
+    serviceId: string;
+    previousStatus: CheckStatus | null;
+    status: CheckStatus;
+    checkedAt: string;
+  };
+}
+
 async function parseJson<T>(res: Response): Promise<T> {
   const data = (await res.json()) as T;
   return data;
@@ -47,16 +278,79 @@ async function handleResponse<T>(res: Response, errorMessage: string): Promise<T
 }
 
 export const api = {
+  openEventStream(): EventSource {
+    return new EventSource(`${API_BASE}/events`);
+  },
+
+  // Written by the monitor next to the built frontend, outside /api.
+  async getPublicStatus(): Promise<PublicStatus> {
+    const res = await fetch('/status.json', { cache: 'no-cache' });
+    return handleResponse(res, '无法获取服务状态');
+  },
+
   async getServices(): Promise<{ services: Service[] }> {
     const res = await fetch(`${API_BASE}/services`);
     return handleResponse(res, '无法获取服务列表');
   },
 
   async getServiceDetail(serviceId: string): Promise<ServiceDetailResponse | null> {
-    const res = await fetch(`${API_BASE}/services/${serviceId}/detail`);
+    const res = await fetch(`${API_BASE}/services/${encodeURIComponent(serviceId)}/detail`);
     if (res.status === 404) {
       return null;
     }
     return handleResponse(res, '无法获取服务详情');
+  },
+
+  async getServiceHistory(
+    serviceId: string,
+    range = '30d',
+    bucket: ServiceHistoryResponse['bucket'] = '1d',
+  ): Promise<ServiceHistoryResponse | null> {
+    const params = new URLSearchParams({ range, bucket });
+    const res = await fetch(`${API_BASE}/services/${encodeURIComponent(serviceId)}/history?${params}`);
+    if (res.status === 404) {
+      return null;
+    }
+    return handleResponse(res, '无法获取服务历史');
+  },
+
+  async getServiceChecks(serviceId: string, query: CheckQuery = {}): Promise<ServiceChecksResponse> {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query)) {
+      if (value != null && value !== '') {
+        params.set(key, String(value));
+      }
+    }
+    const res = await fetch(`${API_BASE}/services/${encodeURIComponent(serviceId)}/checks?${params}`);
+    return handleResponse(res, '无法获取检查记录');
+  },
+
+  async getServiceCheck(serviceId: string, checkId: string): Promise<CheckDetailResponse | null> {
+    const res = await fetch(
+      `${API_BASE}/services/${encodeURIComponent(serviceId)}/checks/${encodeURIComponent(checkId)}`,
+    );
+    if (res.status === 404) {
+      return null;
+    }
+    return handleResponse(res, '无法获取检查详情');
+  },
+
+  async getModelComparison(range = '24h'): Promise<ModelComparisonResponse> {
+    const params = new URLSearchParams({ range });
+    const res = await fetch(`${API_BASE}/models?${params}`);
+    return handleResponse(res, '无法获取模型对比');
+  },
+
+  async getIncidents(query: IncidentQuery = {}): Promise<{ incidents: Incident[] }> {
+    const res = await fetch(`${API_BASE}/incidents?${incidentParams(query)}`);
+    return handleResponse(res, '无法获取故障记录');
+  },
+
+  async getServiceIncidents(
+    serviceId: string,
+    query: IncidentQuery = {},
+  ): Promise<{ serviceId: string; incidents: Incident[] }> {
+    const res = await fetch(`${API_BASE}/services/${encodeURIComponent(serviceId)}/incidents?${incidentParams(query)}`);
+    return handleResponse(res, '无法获取故障记录');
   }
 };
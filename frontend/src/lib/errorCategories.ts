@@ -0,0 +1,21 @@
+import type { ErrorCategory } from './api';
+
+export const ERROR_CATEGORY_LABELS: Record<ErrorCategory, string> = {
+  auth: '鉴权失败',
+  quota: '额度不足',
+  rate_limit: '请求限流',
+  model_not_found: '模型不存在',
+  upstream_5xx: '上游服务错误',
+  network: '网络错误',
+  cli_missing: 'CLI 不可用',
+  timeout: '超时',
+  wrong_answer: '答案错误',
+  unknown: '未知错误',
+};
+
+export function formatErrorCategory(category: ErrorCategory | null | undefined) {
+  if (!category) {
+    return null;
+  }
+  return ERROR_CATEGORY_LABELS[category] ?? category;
+}
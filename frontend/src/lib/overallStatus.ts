@@ -0,0 +1,20 @@
+import type { OverallStatus, Service } from './api';
+
+/**
+ * Overall status of a set of services, matching the monitor's public
+ * status.json: services under maintenance or not yet checked do not count
+ * towards an outage.
+ */
+export function summarizeStatus(
+  services: Array<{ status: Service['currentStatus']; maintenance: boolean }>,
+): OverallStatus {
+  const checked = services.filter((service) => !service.maintenance && service.status !== 'unknown');
+  if (checked.length === 0) {
+    return services.some((service) => service.maintenance) ? 'maintenance' : 'unknown';
+  }
+  const down = checked.filter((service) => service.status !== 'ok' && service.status !== 'degraded').length;
+  if (down === 0) {
+    return checked.some((service) => service.status === 'degraded') ? 'degraded' : 'operational';
+  }
+  return down === checked.length ? 'major_outage' : 'partial_outage';
+}
@@ -0,0 +1,36 @@
+import { useSyncExternalStore } from 'react';
+
+// A minimal history router; the server already falls back to index.html for unknown paths.
+const NAVIGATE_EVENT = 'checkcx:navigate';
+
+function subscribe(callback: () => void) {
+  window.addEventListener('popstate', callback);
+  window.addEventListener(NAVIGATE_EVENT, callback);
+  return () => {
+    window.removeEventListener('popstate', callback);
+    window.removeEventListener(NAVIGATE_EVENT, callback);
+  };
+}
+
+function getLocation() {
+  return `${window.location.pathname}${window.location.search}`;
+}
+
+export function navigate(to: string, options: { replace?: boolean } = {}) {
+  if (to === getLocation()) {
+    return;
+  }
+  if (options.replace) {
+    window.history.replaceState(null, '', to);
+  } else {
+    window.history.pushState(null, '', to);
+  }
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+}
+
+/** Current pathname and query string, updated on navigation. */
+export function useLocation() {
+  const location = useSyncExternalStore(subscribe, getLocation);
+  const url = new URL(location, window.location.origin);
+  return { pathname: url.pathname, search: url.searchParams };
+}
@@ -0,0 +1,114 @@
+import type { Service } from './api';
+
+export type ServiceSort = 'status' | 'uptime' | 'latency';
+
+export interface ServiceFilters {
+  query: string;
+  tags: string[];
+  failingOnly: boolean;
+  sort: ServiceSort | null;
+}
+
+const SORTS = new Set<ServiceSort>(['status', 'uptime', 'latency']);
+
+// Worst first when sorting by status.
+const STATUS_RANK: Record<Service['currentStatus'], number> = {
+  fail: 0,
+  error: 0,
+  timeout: 1,
+  degraded: 2,
+  unknown: 3,
+  ok: 4,
+};
+
+/** Read dashboard filters from the URL: `?q=&tags=a,b&failing=1&sort=status`. */
+export function parseFilters(search: URLSearchParams): ServiceFilters {
+  const sort = search.get('sort') as ServiceSort | null;
+  return {
+    query: search.get('q') ?? '',
+    tags: (search.get('tags') ?? '').split(',').filter(Boolean),
+    failingOnly: search.get('failing') === '1',
+    sort: sort && SORTS.has(sort) ? sort : null,
+  };
+}
+
+export function serializeFilters(filters: ServiceFilters) {
+  const params = new URLSearchParams();
+  if (filters.query) {
+    params.set('q', filters.query);
+  }
+  if (filters.tags.length > 0) {
+    params.set('tags', filters.tags.join(','));
+  }
+  if (filters.failingOnly) {
+    params.set('failing', '1');
+  }
+  if (filters.sort) {
+    params.set('sort', filters.sort);
+  }
+  return params.toString();
+}
+
+export function isFailing(service: Service) {
+  return service.currentStatus !== 'ok' && service.currentStatus !== 'unknown';
+}
+
+/** Median response time of the recent checks, ignoring maintenance. */
+export function medianLatency(service: Service) {
+  const times = (service.recentChecks ?? [])
+    .filter((check) => !check.maintenance && Number.isFinite(check.responseTime))
+    .map((check) => check.responseTime)
+    .sort((a, b) => a - b);
+  if (times.length === 0) {
+    return null;
+  }
+  const middle = Math.floor(times.length / 2);
+  return times.length % 2 === 0 ? Math.round((times[middle - 1] + times[middle]) / 2) : times[middle];
+}
+
+function matchesQuery(service: Service, query: string) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) {
+    return true;
+  }
+  return [service.id, service.name, service.model, service.group, ...(service.tags ?? [])].some((value) =>
+    value?.toLowerCase().includes(needle),
+  );
+}
+
+/**
+ * Filter and sort services. A service matches the tag filter when it has
+ * any of the selected tags. Sorts put problems first: worst status, lowest
+ * 7-day uptime, slowest median latency; ties keep the configured order.
+ */
+export function applyFilters(services: Service[], filters: ServiceFilters) {
+  const filtered = services.filter(
+    (service) =>
+      matchesQuery(service, filters.query) &&
+      (filters.tags.length === 0 || filters.tags.some((tag) => service.tags?.includes(tag))) &&
+      (!filters.failingOnly || isFailing(service)),
+  );
+
+  switch (filters.sort) {
+    case 'status':
+      return filtered.sort((a, b) => STATUS_RANK[a.currentStatus] - STATUS_RANK[b.currentStatus]);
+    case 'uptime':
+      return filtered.sort(
+        (a, b) => (a.availability?.['7d'] ?? Infinity) - (b.availability?.['7d'] ?? Infinity),
+      );
+    case 'latency':
+      return filtered.sort((a, b) => (medianLatency(b) ?? -Infinity) - (medianLatency(a) ?? -Infinity));
+    default:
+      return filtered;
+  }
+}
+
+/** Split services into groups in the order each group first appears. */
+export function groupServices(services: Service[]) {
+  const groups = new Map<string | null, Service[]>();
+  for (const service of services) {
+    const name = service.group ?? null;
+    groups.set(name, [...(groups.get(name) ?? []), service]);
+  }
+  return [...groups.entries()].map(([name, items]) => ({ name, services: items }));
+}
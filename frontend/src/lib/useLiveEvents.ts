@@ -0,0 +1,86 @@
+import { useEffect, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { api } from './api';
+import type { LiveEvents, Service } from './api';
+
+function parseEvent<K extends keyof LiveEvents>(event: Event): LiveEvents[K] | null {
+  try {
+    return JSON.parse((event as MessageEvent<string>).data) as LiveEvents[K];
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Subscribe to /api/events and patch the cached service list as checks
+ * finish. `connected` is false while the stream is down so callers can
+ * fall back to polling; EventSource reconnects on its own.
+ */
+export function useLiveEvents() {
+  const queryClient = useQueryClient();
+  const [connected, setConnected] = useState(false);
+  const [activeChecks, setActiveChecks] = useState<ReadonlySet<string>>(new Set());
+
+  useEffect(() => {
+    if (typeof EventSource === 'undefined') {
+      return;
+    }
+
+    const source = api.openEventStream();
+    const updateActive = (serviceId: string, active: boolean) => {
+      setActiveChecks((current) => {
+        const next = new Set(current);
+        if (active) {
+          next.add(serviceId);
+        } else {
+          next.delete(serviceId);
+        }
+        return next;
+      });
+    };
+
+    source.addEventListener('error', () => setConnected(false));
+
+    source.addEventListener('ready', (event) => {
+      const data = parseEvent<'ready'>(event);
+      setConnected(true);
+      setActiveChecks(new Set(data?.activeChecks.map((check) => check.serviceId) ?? []));
+      // Catch up on anything missed while disconnected.
+      void queryClient.invalidateQueries({ queryKey: ['services'] });
+      void queryClient.invalidateQueries({ queryKey: ['incidents'] });
+    });
+
+    source.addEventListener('check.started', (event) => {
+      const data = parseEvent<'check.started'>(event);
+      if (data) {
+        updateActive(data.serviceId, true);
+      }
+    });
+
+    source.addEventListener('check.completed', (event) => {
+      const data = parseEvent<'check.completed'>(event);
+      if (!data) {
+        return;
+      }
+      updateActive(data.serviceId, false);
+
+      const updated = data.service;
+      const cached = queryClient.getQueryData<{ services: Service[] }>(['services']);
+      if (!updated || !cached?.services.some((service) => service.id === updated.id)) {
+        void queryClient.invalidateQueries({ queryKey: ['services'] });
+        return;
+      }
+      queryClient.setQueryData<{ services: Service[] }>(['services'], {
+        services: cached.services.map((service) => (service.id === updated.id ? updated : service)),
+      });
+    });
+
+    source.addEventListener('status.changed', () => {
+      void queryClient.invalidateQueries({ queryKey: ['incidents'] });
+    });
+
+    return () => source.close();
+  }, [queryClient]);
+
+  return { connected, activeChecks };
+}
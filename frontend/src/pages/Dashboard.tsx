@@ -1,12 +1,29 @@
-import { useEffect, useMemo } from 'react';
+import { useMemo } from 'react';
 import { useQuery } from '@tanstack/react-query';
 import { api } from '@/lib/api';
+import { useLiveEvents } from '@/lib/useLiveEvents';
+import { navigate, useLocation } from '@/lib/router';
+import type { ServiceFilters } from '@/lib/serviceFilters';
+import { applyFilters, groupServices, parseFilters, serializeFilters } from '@/lib/serviceFilters';
 import { ServiceCard } from '@/components/ServiceCard';
+import { IncidentTimeline } from '@/components/IncidentTimeline';
+import { StatusBanner } from '@/components/StatusBanner';
+import { ServiceFilterBar } from '@/components/ServiceFilterBar';
+import { Link } from '@/components/Link';
+import { summarizeStatus } from '@/lib/overallStatus';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
-// import { cn } from '@/lib/utils';
+
+// Only used while the live event stream is down.
+const POLL_INTERVAL_MS = 30_000;
 
 export function Dashboard() {
+  const { connected, activeChecks } = useLiveEvents();
+  const pollInterval = connected ? false : POLL_INTERVAL_MS;
+  const { search } = useLocation();
+  const searchKey = search.toString();
+  const filters = useMemo(() => parseFilters(new URLSearchParams(searchKey)), [searchKey]);
+
   const {
     data: servicesData,
     isLoading: servicesLoading,
@@ -15,21 +32,35 @@ export function Dashboard() {
   } = useQuery({
     queryKey: ['services'],
     queryFn: api.getServices,
+    refetchInterval: pollInterval,
   });
 
-  useEffect(() => {
-    const timer = setInterval(() => {
-      void refetchServices();
-    }, 30_000);
-
-    return () => clearInterval(timer);
-  }, [refetchServices]);
+  const { data: incidentsData } = useQuery({
+    queryKey: ['incidents'],
+    queryFn: () => api.getIncidents({ range: '30d', limit: 30 }),
+    refetchInterval: pollInterval,
+  });
 
   const services = useMemo(() => servicesData?.services ?? [], [servicesData]);
+  const overallStatus = useMemo(
+    () =>
+      summarizeStatus(
+        services.map((service) => ({ status: service.currentStatus, maintenance: Boolean(service.maintenance) })),
+      ),
+    [services],
+  );
+  const tags = useMemo(
+    () => [...new Set(services.flatMap((service) => service.tags ?? []))].sort((a, b) => a.localeCompare(b)),
+    [services],
+  );
+  const groups = useMemo(() => groupServices(applyFilters(services, filters)), [services, filters]);
+  const hasGroups = groups.some((group) => group.name !== null);
 
-  // const hasServiceDisruption = services.some((service) => service.currentStatus !== 'ok');
-  // const globalStatusText = hasServiceDisruption ? 'Some Systems Down' : 'All Systems Operational';
-  // const globalStatusClass = hasServiceDisruption ? 'bg-red-500' : 'bg-green-500';
+  // Filters live in the query string so filtered views can be shared.
+  const updateFilters = (next: Partial<ServiceFilters>) => {
+    const query = serializeFilters({ ...filters, ...next });
+    navigate(query ? `/?${query}` : '/', { replace: true });
+  };
 
   if (servicesLoading) {
     return (
@@ -67,18 +98,42 @@ export function Dashboard() {
       <div className="mx-auto max-w-5xl space-y-8">
         <div className="space-y-3">
           <h1 className="text-4xl font-bold text-gray-900">AI CLI Provider健康状态检测</h1>
-          <p className="text-base text-gray-600">仅供参考</p>
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <p className="text-base text-gray-600">仅供参考</p>
+            <Link to="/models" className="text-sm text-gray-500 hover:text-gray-900 hover:underline">
+              模型对比 →
+            </Link>
+          </div>
         </div>
 
-        {/* <div className={cn('rounded-lg px-6 py-4 text-white', globalStatusClass)}>
-          <p className="text-xl font-semibold">{globalStatusText}</p>
-        </div> */}
+        {services.length > 0 && <StatusBanner status={overallStatus} />}
 
-        <div className="space-y-4">
-          {services.map((service) => (
-            <ServiceCard key={service.id} service={service} />
-          ))}
-        </div>
+        <ServiceFilterBar filters={filters} tags={tags} onChange={updateFilters} />
+
+        {groups.map((group) => (
+          <div key={group.name ?? ''} className="space-y-4">
+            {hasGroups && (
+              <h2 className="text-xl font-semibold text-gray-900">
+                {group.name ?? '未分组'}
+                <span className="ml-2 text-sm font-normal text-gray-500">{group.services.length}</span>
+              </h2>
+            )}
+            {group.services.map((service) => (
+              <ServiceCard key={service.id} service={service} checking={activeChecks.has(service.id)} />
+            ))}
+          </div>
+        ))}
+
+        {groups.length === 0 && services.length > 0 && (
+          <p className="text-sm text-gray-500">没有符合条件的服务</p>
+        )}
+
+        {incidentsData && (
+          <div className="space-y-4">
+            <h2 className="text-2xl font-semibold text-gray-900">历史故障</h2>
+            <IncidentTimeline incidents={incidentsData.incidents} />
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import { keepPreviousData, useQuery } from '@tanstack/react-query';
+import { ArrowLeft } from 'lucide-react';
+import type { ErrorCategory, ProviderComparison } from '@/lib/api';
+import { api } from '@/lib/api';
+import { formatErrorCategory } from '@/lib/errorCategories';
+import { Link } from '@/components/Link';
+import { StatusBadge } from '@/components/StatusBadge';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+
+// Stats cover hours to days of history, so a slow poll is enough.
+const POLL_INTERVAL_MS = 60_000;
+
+const RANGES = [
+  { value: '24h', label: '24 小时' },
+  { value: '7d', label: '7 天' },
+  { value: '30d', label: '30 天' },
+];
+
+function formatMilliseconds(value: number | null) {
+  return value == null ? '--' : `${value}ms`;
+}
+
+function formatErrors(errorCategories: ProviderComparison['errorCategories']) {
+  const entries = (Object.entries(errorCategories) as Array<[ErrorCategory, number]>).sort((a, b) => b[1] - a[1]);
+  return entries.length > 0
+    ? entries.map(([category, count]) => `${formatErrorCategory(category)} ×${count}`).join('、')
+    : '--';
+}
+
+export function ModelComparison() {
+  const [range, setRange] = useState(RANGES[0].value);
+
+  const { data, isLoading, isError, refetch } = useQuery({
+    queryKey: ['model-comparison', range],
+    queryFn: () => api.getModelComparison(range),
+    refetchInterval: POLL_INTERVAL_MS,
+    placeholderData: keepPreviousData,
+  });
+
+  return (
+    <div className="min-h-screen bg-gray-50 px-4 py-8">
+      <div className="mx-auto max-w-5xl space-y-8">
+        <div className="space-y-3">
+          <Link to="/" className="inline-flex items-center gap-1 text-sm text-gray-500 hover:text-gray-900">
+            <ArrowLeft className="h-4 w-4" />
+            返回总览
+          </Link>
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <h1 className="text-3xl font-bold text-gray-900">模型对比</h1>
+            <div className="flex gap-2">
+              {RANGES.map((option) => (
+                <Button
+                  key={option.value}
+                  size="sm"
+                  variant={option.value === range ? 'default' : 'outline'}
+                  onClick={() => setRange(option.value)}
+                >
+                  {option.label}
+                </Button>
+              ))}
+            </div>
+          </div>
+          <p className="text-sm text-gray-500">
+            同一模型的中转站按当前状态、可用率、响应时间中位数与单次检查费用排序，维护期间的检查不计入统计。
+          </p>
+        </div>
+
+        {isLoading && <p className="text-sm text-gray-500">正在加载模型对比...</p>}
+
+        {isError && (
+          <div className="space-y-3 text-sm">
+            <p className="text-red-600">模型对比加载失败，请稍后重试</p>
+            <Button variant="outline" size="sm" onClick={() => void refetch()}>
+              重试
+            </Button>
+          </div>
+        )}
+
+        {data && data.models.length === 0 && <p className="text-sm text-gray-500">暂无配置了模型的服务</p>}
+
+        {data?.models.map(({ model, providers }) => (
+          <div key={model} className="space-y-4 rounded-lg border border-gray-200 bg-white p-6 shadow-sm">
+            <h2 className="font-mono text-lg font-semibold text-gray-900">{model}</h2>
+            <div className="overflow-x-auto">
+              <table className="w-full text-left text-sm">
+                <thead className="border-b border-gray-200 text-xs text-gray-500">
+                  <tr>
+                    <th className="py-2 pr-4 font-medium">排名</th>
+                    <th className="py-2 pr-4 font-medium">中转站</th>
+                    <th className="py-2 pr-4 font-medium">状态</th>
+                    <th className="py-2 pr-4 font-medium">可用率</th>
+                    <th className="py-2 pr-4 font-medium">P50</th>
+                    <th className="py-2 pr-4 font-medium">P95</th>
+                    <th className="py-2 pr-4 font-medium">错误类型</th>
+                    <th className="py-2 font-medium">单次费用</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {providers.map((provider) => (
+                    <tr key={provider.serviceId} className="border-b border-gray-100">
+                      <td className="py-2 pr-4 text-gray-700">{provider.rank}</td>
+                      <td className="py-2 pr-4">
+                        <div className="flex items-center gap-2">
+                          <Link
+                            to={`/services/${encodeURIComponent(provider.serviceId)}`}
+                            className="font-medium text-gray-900 hover:underline"
+                          >
+                            {provider.name}
+                          </Link>
+                          {provider.rank === 1 && provider.currentStatus === 'ok' && !provider.maintenance && (
+                            <Badge variant="outline" className="border-green-200 text-[11px] text-green-600">
+                              推荐
+                            </Badge>
+                          )}
+                          {provider.maintenance && (
+                            <Badge variant="outline" className="border-blue-200 text-[11px] text-blue-600">
+                              维护中
+                            </Badge>
+                          )}
+                        </div>
+                      </td>
+                      <td className="py-2 pr-4">
+                        <StatusBadge status={provider.currentStatus} size="sm" />
+                      </td>
+                      <td className="py-2 pr-4 text-gray-700">
+                        {provider.uptime != null ? `${provider.uptime}%` : '--'}
+                        <span className="ml-1 text-xs text-gray-400">({provider.checks})</span>
+                      </td>
+                      <td className="py-2 pr-4 text-gray-700">{formatMilliseconds(provider.latency.p50)}</td>
+                      <td className="py-2 pr-4 text-gray-700">{formatMilliseconds(provider.latency.p95)}</td>
+                      <td className="py-2 pr-4 text-gray-700">{formatErrors(provider.errorCategories)}</td>
+                      <td className="py-2 text-gray-700">
+                        {provider.costPerCheck != null ? `$${provider.costPerCheck.toFixed(4)}` : '--'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
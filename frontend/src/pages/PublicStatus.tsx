@@ -0,0 +1,110 @@
+import { useQuery } from '@tanstack/react-query';
+import type { OverallStatus, PublicService, PublicStatus as PublicStatusData } from '@/lib/api';
+import { api } from '@/lib/api';
+import { StatusBadge } from '@/components/StatusBadge';
+import { StatusBanner } from '@/components/StatusBanner';
+import { UptimeIndicator } from '@/components/UptimeIndicator';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+
+// status.json is rewritten after every check; there is no event stream on the public page.
+const POLL_INTERVAL_MS = 60_000;
+
+const GROUP_STATUS: Record<OverallStatus, { label: string; className: string }> = {
+  operational: { label: '正常', className: 'text-green-600' },
+  degraded: { label: '性能下降', className: 'text-violet-600' },
+  partial_outage: { label: '部分中断', className: 'text-orange-600' },
+  major_outage: { label: '严重中断', className: 'text-red-600' },
+  maintenance: { label: '维护中', className: 'text-blue-600' },
+  unknown: { label: '未知', className: 'text-gray-500' },
+};
+
+function groupServices(data: PublicStatusData) {
+  return data.groups.map((group) => ({
+    ...group,
+    services: data.services.filter((service) => service.group === group.name),
+  }));
+}
+
+function PublicServiceRow({ service }: { service: PublicService }) {
+  const availability = service.availability?.['30d'];
+
+  return (
+    <div className="space-y-3 px-6 py-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          <h3 className="font-medium text-gray-900">{service.displayName}</h3>
+          {service.maintenance && (
+            <Badge variant="outline" className="border-blue-200 text-[11px] text-blue-600">
+              维护中
+            </Badge>
+          )}
+        </div>
+        <div className="flex items-center gap-3">
+          {availability != null && <span className="text-sm text-gray-500">30 天可用率 {availability}%</span>}
+          <StatusBadge status={service.status} size="sm" />
+        </div>
+      </div>
+      <UptimeIndicator checks={service.recentChecks} />
+    </div>
+  );
+}
+
+export function PublicStatus() {
+  const { data, isLoading, isError, refetch } = useQuery({
+    queryKey: ['public-status'],
+    queryFn: api.getPublicStatus,
+    refetchInterval: POLL_INTERVAL_MS,
+  });
+
+  if (isLoading) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-gray-50 px-4 py-8 text-sm text-gray-500">
+        正在加载服务状态...
+      </div>
+    );
+  }
+
+  if (isError || !data) {
+    return (
+      <div className="flex min-h-screen flex-col items-center justify-center gap-4 bg-gray-50 px-4 py-8 text-sm text-gray-600">
+        <p>服务状态加载失败，请稍后重试</p>
+        <Button variant="outline" size="sm" onClick={() => void refetch()}>
+          重试
+        </Button>
+      </div>
+    );
+  }
+
+  const groups = groupServices(data);
+
+  return (
+    <div className="min-h-screen bg-gray-50 px-4 py-8">
+      <div className="mx-auto max-w-4xl space-y-8">
+        <h1 className="text-3xl font-bold text-gray-900">服务状态</h1>
+
+        <StatusBanner status={data.overall.status} updatedAt={data.timestamp} />
+
+        {groups.map((group) => (
+          <div key={group.name ?? ''} className="rounded-lg border border-gray-200 bg-white shadow-sm">
+            {(group.name || groups.length > 1) && (
+              <div className="flex items-center justify-between border-b border-gray-100 px-6 py-3">
+                <h2 className="text-lg font-semibold text-gray-900">{group.name ?? '其他'}</h2>
+                <span className={`text-sm font-medium ${GROUP_STATUS[group.status].className}`}>
+                  {GROUP_STATUS[group.status].label}
+                </span>
+              </div>
+            )}
+            <div className="divide-y divide-gray-100">
+              {group.services.map((service, index) => (
+                <PublicServiceRow key={`${service.displayName}-${index}`} service={service} />
+              ))}
+            </div>
+          </div>
+        ))}
+
+        {data.services.length === 0 && <p className="text-sm text-gray-500">暂无服务</p>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,441 @@
+import { useMemo, useState } from 'react';
+import { keepPreviousData, useQuery } from '@tanstack/react-query';
+import { ArrowLeft, Loader2 } from 'lucide-react';
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts';
+import type { Check, CheckStatus, ErrorCategory, ServiceHistoryResponse } from '@/lib/api';
+import { api } from '@/lib/api';
+import { ERROR_CATEGORY_LABELS, formatErrorCategory } from '@/lib/errorCategories';
+import { useLiveEvents } from '@/lib/useLiveEvents';
+import { Link } from '@/components/Link';
+import { StatusBadge } from '@/components/StatusBadge';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+
+const POLL_INTERVAL_MS = 30_000;
+const PAGE_SIZE = 20;
+
+const RANGES: Array<{ value: string; label: string; bucket: ServiceHistoryResponse['bucket'] }> = [
+  { value: '24h', label: '24 小时', bucket: '1h' },
+  { value: '7d', label: '7 天', bucket: '1h' },
+  { value: '30d', label: '30 天', bucket: '1d' },
+];
+
+const STATUS_SERIES: Array<{ status: CheckStatus; label: string; color: string }> = [
+  { status: 'ok', label: '正常', color: '#22c55e' },
+  { status: 'degraded', label: '降级', color: '#8b5cf6' },
+  { status: 'timeout', label: '超时', color: '#f97316' },
+  { status: 'fail', label: '失败', color: '#ef4444' },
+  { status: 'error', label: '错误', color: '#b91c1c' },
+];
+
+function formatTimestamp(value: string | null | undefined) {
+  if (!value) {
+    return '--';
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '时间未知' : date.toLocaleString();
+}
+
+function formatBucketLabel(value: string, bucket: ServiceHistoryResponse['bucket']) {
+  const date = new Date(value);
+  if (bucket === '1d') {
+    return `${date.getMonth() + 1}/${date.getDate()}`;
+  }
+  return `${date.getMonth() + 1}/${date.getDate()} ${String(date.getHours()).padStart(2, '0')}:00`;
+}
+
+interface ServiceDetailProps {
+  serviceId: string;
+}
+
+export function ServiceDetail({ serviceId }: ServiceDetailProps) {
+  const { connected, activeChecks } = useLiveEvents();
+  const pollInterval = connected ? false : POLL_INTERVAL_MS;
+  const [range, setRange] = useState(RANGES[0]);
+  const [statusFilter, setStatusFilter] = useState<CheckStatus | ''>('');
+  const [categoryFilter, setCategoryFilter] = useState<ErrorCategory | ''>('');
+  const [checkRange, setCheckRange] = useState('');
+  const [page, setPage] = useState(1);
+  const [selectedCheckId, setSelectedCheckId] = useState<string | null>(null);
+
+  const { data: servicesData, isLoading: servicesLoading } = useQuery({
+    queryKey: ['services'],
+    queryFn: api.getServices,
+    refetchInterval: pollInterval,
+  });
+  const service = servicesData?.services.find((item) => item.id === serviceId) ?? null;
+
+  // Refetch history and the check list whenever a new check lands.
+  const lastCheck = service?.lastCheck ?? null;
+
+  const { data: history } = useQuery({
+    queryKey: ['service-history', serviceId, range.value, range.bucket, lastCheck],
+    queryFn: () => api.getServiceHistory(serviceId, range.value, range.bucket),
+    enabled: Boolean(service),
+    placeholderData: keepPreviousData,
+  });
+
+  const {
+    data: checksData,
+    isLoading: checksLoading,
+    isError: checksError,
+  } = useQuery({
+    queryKey: ['service-checks', serviceId, statusFilter, categoryFilter, checkRange, page, lastCheck],
+    queryFn: () =>
+      api.getServiceChecks(serviceId, {
+        status: statusFilter || undefined,
+        category: categoryFilter || undefined,
+        range: checkRange || undefined,
+        page,
+        pageSize: PAGE_SIZE,
+      }),
+    enabled: Boolean(service),
+    placeholderData: keepPreviousData,
+  });
+
+  const chartData = useMemo(
+    () =>
+      (history?.buckets ?? []).map((bucket) => ({
+        label: formatBucketLabel(bucket.start, history?.bucket ?? '1h'),
+        p50: bucket.p50,
+        p95: bucket.p95,
+        ...Object.fromEntries(STATUS_SERIES.map(({ status }) => [status, bucket.counts[status] ?? 0])),
+      })),
+    [history],
+  );
+
+  const updateFilter = (apply: () => void) => {
+    apply();
+    setPage(1);
+    setSelectedCheckId(null);
+  };
+
+  if (servicesLoading) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-gray-50 px-4 py-8 text-sm text-gray-500">
+        正在加载服务状态...
+      </div>
+    );
+  }
+
+  if (!service) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-gray-50 px-4 py-8">
+        <Card className="max-w-md border border-gray-200 bg-white shadow-sm">
+          <CardHeader>
+            <CardTitle className="text-lg font-semibold text-gray-900">服务不存在</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4 text-sm text-gray-600">
+            <p>未找到服务 “{serviceId}”，可能已被删除或停用。</p>
+            <Link to="/" className="text-blue-600 hover:underline">
+              返回总览
+            </Link>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  const totalPages = checksData ? Math.max(1, Math.ceil(checksData.total / checksData.pageSize)) : 1;
+
+  return (
+    <div className="min-h-screen bg-gray-50 px-4 py-8">
+      <div className="mx-auto max-w-5xl space-y-8">
+        <div className="space-y-3">
+          <Link to="/" className="inline-flex items-center gap-1 text-sm text-gray-500 hover:text-gray-900">
+            <ArrowLeft className="h-4 w-4" />
+            返回总览
+          </Link>
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="flex flex-wrap items-center gap-2">
+              <h1 className="text-3xl font-bold text-gray-900">{service.name}</h1>
+              {service.model && (
+                <Badge variant="secondary" className="text-[11px] font-medium tracking-wide">
+                  {service.model}
+                </Badge>
+              )}
+              {service.maintenance && (
+                <Badge
+                  variant="outline"
+                  className="border-blue-200 text-[11px] text-blue-600"
+                  title={service.maintenance.reason ?? undefined}
+                >
+                  维护中
+                </Badge>
+              )}
+            </div>
+            <div className="flex items-center gap-3">
+              {activeChecks.has(service.id) && (
+                <span className="inline-flex items-center gap-1 text-xs text-gray-500">
+                  <Loader2 className="h-3.5 w-3.5 animate-spin" />
+                  检查中...
+                </span>
+              )}
+              <StatusBadge status={service.currentStatus} />
+            </div>
+          </div>
+          <p className="text-sm text-gray-500">最近检查: {formatTimestamp(service.lastCheck)}</p>
+        </div>
+
+        <div className="grid grid-cols-3 gap-4">
+          {(['24h', '7d', '30d'] as const).map((window) => {
+            const value = service.availability?.[window];
+            return (
+              <div key={window} className="rounded-lg border border-gray-200 bg-white p-4 shadow-sm">
+                <p className="text-xs text-gray-500">{window} 可用率</p>
+                <p className="mt-1 text-2xl font-semibold text-gray-900">{value != null ? `${value}%` : '--'}</p>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="space-y-4 rounded-lg border border-gray-200 bg-white p-6 shadow-sm">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <h2 className="text-lg font-semibold text-gray-900">响应时间</h2>
+            <div className="flex gap-2">
+              {RANGES.map((option) => (
+                <Button
+                  key={option.value}
+                  size="sm"
+                  variant={option.value === range.value ? 'default' : 'outline'}
+                  onClick={() => setRange(option)}
+                >
+                  {option.label}
+                </Button>
+              ))}
+            </div>
+          </div>
+          {chartData.length === 0 ? (
+            <p className="text-sm text-gray-400">暂无历史数据</p>
+          ) : (
+            <>
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={chartData}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis dataKey="label" fontSize={12} minTickGap={24} />
+                    <YAxis fontSize={12} unit="ms" width={72} />
+                    <Tooltip formatter={(value) => (value == null ? '--' : `${value}ms`)} />
+                    <Legend />
+                    <Line type="monotone" dataKey="p50" name="P50" stroke="#3b82f6" dot={false} connectNulls />
+                    <Line type="monotone" dataKey="p95" name="P95" stroke="#f59e0b" dot={false} connectNulls />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              <h2 className="text-lg font-semibold text-gray-900">状态分布</h2>
+              <div className="h-48">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={chartData}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis dataKey="label" fontSize={12} minTickGap={24} />
+                    <YAxis fontSize={12} allowDecimals={false} width={72} />
+                    <Tooltip />
+                    <Legend />
+                    {STATUS_SERIES.map(({ status, label, color }) => (
+                      <Bar key={status} dataKey={status} name={label} stackId="status" fill={color} />
+                    ))}
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="space-y-4 rounded-lg border border-gray-200 bg-white p-6 shadow-sm">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <h2 className="text-lg font-semibold text-gray-900">检查记录</h2>
+            <div className="flex flex-wrap gap-2 text-sm">
+              <select
+                className="rounded border border-gray-300 px-2 py-1"
+                value={statusFilter}
+                onChange={(event) => updateFilter(() => setStatusFilter(event.target.value as CheckStatus | ''))}
+              >
+                <option value="">全部状态</option>
+                {STATUS_SERIES.map(({ status, label }) => (
+                  <option key={status} value={status}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <select
+                className="rounded border border-gray-300 px-2 py-1"
+                value={categoryFilter}
+                onChange={(event) => updateFilter(() => setCategoryFilter(event.target.value as ErrorCategory | ''))}
+              >
+                <option value="">全部错误类型</option>
+                {Object.entries(ERROR_CATEGORY_LABELS).map(([category, label]) => (
+                  <option key={category} value={category}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <select
+                className="rounded border border-gray-300 px-2 py-1"
+                value={checkRange}
+                onChange={(event) => updateFilter(() => setCheckRange(event.target.value))}
+              >
+                <option value="">全部时间</option>
+                {RANGES.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {checksLoading && <p className="text-sm text-gray-500">加载检查记录中...</p>}
+          {checksError && <p className="text-sm text-red-600">检查记录加载失败，请稍后重试</p>}
+
+          {checksData && checksData.checks.length === 0 && <p className="text-sm text-gray-400">没有符合条件的检查</p>}
+
+          {checksData && checksData.checks.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="w-full text-left text-sm">
+                <thead className="border-b border-gray-200 text-xs text-gray-500">
+                  <tr>
+                    <th className="py-2 pr-4 font-medium">时间</th>
+                    <th className="py-2 pr-4 font-medium">状态</th>
+                    <th className="py-2 pr-4 font-medium">响应时间</th>
+                    <th className="py-2 pr-4 font-medium">错误类型</th>
+                    <th className="py-2 font-medium">尝试次数</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {checksData.checks.map((check, index) => (
+                    <CheckRow
+                      key={check.checkId ?? `${check.timestamp}-${index}`}
+                      serviceId={serviceId}
+                      check={check}
+                      selected={check.checkId != null && check.checkId === selectedCheckId}
+                      onSelect={(checkId) => setSelectedCheckId((current) => (current === checkId ? null : checkId))}
+                    />
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {checksData && checksData.total > checksData.pageSize && (
+            <div className="flex items-center justify-between text-sm text-gray-600">
+              <span>
+                共 {checksData.total} 条 · 第 {checksData.page} / {totalPages} 页
+              </span>
+              <div className="flex gap-2">
+                <Button size="sm" variant="outline" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+                  上一页
+                </Button>
+                <Button size="sm" variant="outline" disabled={page >= totalPages} onClick={() => setPage(page + 1)}>
+                  下一页
+                </Button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+interface CheckRowProps {
+  serviceId: string;
+  check: Check;
+  selected: boolean;
+  onSelect: (checkId: string) => void;
+}
+
+function CheckRow({ serviceId, check, selected, onSelect }: CheckRowProps) {
+  const checkId = check.checkId;
+
+  return (
+    <>
+      <tr
+        className={`border-b border-gray-100 ${checkId ? 'cursor-pointer hover:bg-gray-50' : ''} ${selected ? 'bg-gray-50' : ''}`}
+        onClick={() => checkId && onSelect(checkId)}
+      >
+        <td className="py-2 pr-4 text-gray-900">{formatTimestamp(check.timestamp)}</td>
+        <td className="py-2 pr-4">
+          <span className="inline-flex items-center gap-2">
+            <StatusBadge status={check.status} size="sm" />
+            {check.maintenance && <span className="text-xs text-blue-600">维护</span>}
+          </span>
+        </td>
+        <td className="py-2 pr-4 text-gray-700">{check.responseTime}ms</td>
+        <td className="py-2 pr-4 text-gray-700">{formatErrorCategory(check.errorCategory) ?? '--'}</td>
+        <td className={`py-2 ${check.flaky ? 'text-amber-600' : 'text-gray-700'}`}>{check.attempts ?? 1}</td>
+      </tr>
+      {selected && checkId && (
+        <tr className="border-b border-gray-100 bg-gray-50">
+          <td colSpan={5} className="p-4">
+            <CheckOutput serviceId={serviceId} checkId={checkId} />
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
+
+function CheckOutput({ serviceId, checkId }: { serviceId: string; checkId: string }) {
+  const { data, isLoading, isError } = useQuery({
+    queryKey: ['service-check', serviceId, checkId],
+    queryFn: () => api.getServiceCheck(serviceId, checkId),
+    staleTime: Infinity,
+  });
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500">加载详情中...</p>;
+  }
+  if (isError || !data) {
+    return <p className="text-sm text-red-600">检查详情加载失败，请稍后重试</p>;
+  }
+
+  const result = data.result;
+  if (!result) {
+    return <p className="text-sm text-gray-500">该次检查的输出未保存</p>;
+  }
+
+  const sections = [
+    { label: '执行结果', value: result.stdout?.trim(), empty: '无输出' },
+    { label: '执行日志', value: result.stderr?.trim(), empty: '无日志' },
+  ];
+
+  return (
+    <div className="space-y-3 text-sm">
+      {result.answer && (
+        <div>
+          <span className="text-gray-600">答案: </span>
+          <code className="text-emerald-600">{result.answer}</code>
+        </div>
+      )}
+      {result.message && (
+        <div className="rounded border border-amber-200 bg-amber-50 p-2 text-xs text-amber-800">
+          额外信息: {result.message}
+        </div>
+      )}
+      {sections.map((section) => (
+        <div key={section.label}>
+          <h4 className="mb-1 text-xs font-semibold uppercase text-gray-500">{section.label}</h4>
+          {section.value ? (
+            <pre className="max-h-64 overflow-y-auto whitespace-pre-wrap rounded border border-gray-200 bg-white p-2 font-mono text-xs text-gray-800">
+              {section.value}
+            </pre>
+          ) : (
+            <p className="text-xs text-gray-400">{section.empty}</p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
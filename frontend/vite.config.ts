@@ -16,6 +16,14 @@ export default defineConfig({
         target: `http://localhost:${process.env.VITE_API_PORT || 30001}`,
         changeOrigin: true,
       },
+      '/status.json': {
+        target: `http://localhost:${process.env.VITE_API_PORT || 30001}`,
+        changeOrigin: true,
+      },
+      '/badge': {
+        target: `http://localhost:${process.env.VITE_API_PORT || 30001}`,
+        changeOrigin: true,
+      },
     },
   },
 });
@@ -0,0 +1,295 @@
+const express = require('express');
+const logger = require('./utils/logger');
+const { sanitizeOutput } = require('./utils/sanitize');
+const { authenticate, hasAdminCredentials, loadAdminCredentials } = require('./utils/adminAuth');
+
+function serviceIdOf(service) {
+  return service?.id || service?.name;
+}
+
+/**
+ * Admin API under /api/admin: manual checks, service management written
+ * back to services.json, scheduler pause/resume and maintenance windows.
+ * Every request needs ADMIN_TOKEN (bearer) or an ADMIN_USERS login, and
+ * every action is written to the audit log.
+ * @param {{store: import('./core/StatusStore').StatusStore, monitor: import('./core/HealthMonitor').HealthMonitor, audit: import('./core/AuditLog').AuditLog, getSafeErrorMessage: (error: Error) => string, credentials?: ReturnType<typeof loadAdminCredentials>}} options
+ * @returns {import('express').Router}
+ */
+function createAdminRouter(options) {
+  const { store, monitor, audit, getSafeErrorMessage } = options;
+  const credentials = options.credentials || loadAdminCredentials();
+  const router = express.Router();
+
+  if (!hasAdminCredentials(credentials)) {
+    logger.log('info', 'admin', 'Admin API disabled; set ADMIN_TOKEN or ADMIN_USERS to enable it');
+  }
+
+  router.use(async (req, res, next) => {
+    if (!hasAdminCredentials(credentials)) {
+      res.status(403).json({ error: 'Admin API is disabled; set ADMIN_TOKEN or ADMIN_USERS' });
+      return;
+    }
+    const identity = authenticate(req.get('authorization'), credentials);
+    if (!identity) {
+      await audit.record({
+        actor: null,
+        ip: req.ip,
+        action: `${req.method} ${req.path}`,
+        outcome: 'denied'
+      });
+      res.set('WWW-Authenticate', 'Basic realm="check-cx admin", charset="UTF-8"');
+      res.status(401).json({ error: 'Unauthorized' });
+      return;
+    }
+    req.admin = identity;
+    next();
+  });
+  router.use(express.json());
+
+  /**
+   * Wrap a handler so its outcome is audited. Handlers return
+   * `{status, body, target, detail}`.
+   */
+  const audited = (action, handler) => async (req, res) => {
+    const entry = { actor: req.admin.actor, ip: req.ip, action, target: req.params.id ?? null };
+    try {
+      const { status = 200, body, target, detail } = await handler(req);
+      await audit.record({
+        ...entry,
+        target: target ?? entry.target,
+        outcome: status < 400 ? 'ok' : 'error',
+        detail: detail ?? (status < 400 ? null : body?.error ?? null)
+      });
+      if (body === undefined) {
+        res.status(status).end();
+      } else {
+        res.status(status).json(body);
+      }
+    } catch (error) {
+      const invalid = error instanceof RangeError;
+      await audit.record({ ...entry, outcome: 'error', detail: error.message });
+      if (!invalid) {
+        logger.log('error', 'admin', `Admin action ${action} failed`, error);
+      }
+      res.status(invalid ? 400 : 500).json({
+        error: invalid ? error.message : `Admin action ${action} failed`,
+        ...(invalid ? { issues: error.issues } : { message: getSafeErrorMessage(error) })
+      });
+    }
+  };
+
+  // Apply the change now instead of waiting for the file watcher.
+  const applyConfig = async () => {
+    try {
+      return await monitor.reload();
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const setEnabled = (enabled) => async (req) => {
+    const { id } = req.params;
+    const written = await store.updateConfig((config) => {
+      const service = (config.services || []).find((item) => serviceIdOf(item) === id);
+      if (!service) {
+        return null;
+      }
+      service.enabled = enabled;
+      return config;
+    });
+    if (!written) {
+      return { status: 404, body: { error: 'Service not found', serviceId: id } };
+    }
+    return { body: { serviceId: id, enabled, reload: await applyConfig() } };
+  };
+
+  router.get('/services', async (req, res) => {
+    try {
+      const config = await store.readRawConfig();
+      res.json({ services: config.services || [] });
+    } catch (error) {
+      logger.log('error', 'admin', 'Failed to read services.json', error);
+      res.status(500).json({ error: 'Failed to read services.json', message: getSafeErrorMessage(error) });
+    }
+  });
+
+  router.get('/services/:id', async (req, res) => {
+    try {
+      const config = await store.readRawConfig();
+      const service = (config.services || []).find((item) => serviceIdOf(item) === req.params.id);
+      if (!service) {
+        res.status(404).json({ error: 'Service not found', serviceId: req.params.id });
+        return;
+      }
+      res.json(service);
+    } catch (error) {
+      logger.log('error', 'admin', 'Failed to read services.json', error);
+      res.status(500).json({ error: 'Failed to read services.json', message: getSafeErrorMessage(error) });
+    }
+  });
+
+  router.post(
+    '/services',
+    audited('service.create', async (req) => {
+      const service = req.body;
+      const id = serviceIdOf(service);
+      if (!service || typeof service !== 'object' || Array.isArray(service) || !id) {
+        throw new RangeError('Request body must be a service object with an "id"');
+      }
+      let exists = false;
+      await store.updateConfig((config) => {
+        const services = Array.isArray(config.services) ? config.services : [];
+        exists = services.some((item) => serviceIdOf(item) === id);
+        return exists ? null : { ...config, services: [...services, service] };
+      });
+      if (exists) {
+        return { status: 409, target: id, body: { error: 'Service already exists', serviceId: id } };
+      }
+      return { status: 201, target: id, body: { service, reload: await applyConfig() } };
+    })
+  );
+
+  router.put(
+    '/services/:id',
+    audited('service.update', async (req) => {
+      const { id } = req.params;
+      const service = req.body;
+      if (!service || typeof service !== 'object' || Array.isArray(service)) {
+        throw new RangeError('Request body must be a service object');
+      }
+      if (serviceIdOf(service) && serviceIdOf(service) !== id) {
+        throw new RangeError(`Service id "${serviceIdOf(service)}" does not match "${id}"`);
+      }
+      const written = await store.updateConfig((config) => {
+        const services = Array.isArray(config.services) ? config.services : [];
+        const index = services.findIndex((item) => serviceIdOf(item) === id);
+        if (index === -1) {
+          return null;
+        }
+        services[index] = { id, ...service };
+        return { ...config, services };
+      });
+      if (!written) {
+        return { status: 404, body: { error: 'Service not found', serviceId: id } };
+      }
+      return { body: { service: { id, ...service }, reload: await applyConfig() } };
+    })
+  );
+
+  router.delete(
+    '/services/:id',
+    audited('service.delete', async (req) => {
+      const { id } = req.params;
+      const written = await store.updateConfig((config) => {
+        const services = Array.isArray(config.services) ? config.services : [];
+        const remaining = services.filter((item) => serviceIdOf(item) !== id);
+        return remaining.length === services.length ? null : { ...config, services: remaining };
+      });
+      if (!written) {
+        return { status: 404, body: { error: 'Service not found', serviceId: id } };
+      }
+      await applyConfig();
+      return { status: 204 };
+    })
+  );
+
+  router.post('/services/:id/enable', audited('service.enable', setEnabled(true)));
+  router.post('/services/:id/disable', audited('service.disable', setEnabled(false)));
+
+  router.post(
+    '/services/:id/check',
+    audited('service.check', async (req) => {
+      const { id } = req.params;
+      const result = await monitor.checkNow(id);
+      if (!result) {
+        return { status: 404, body: { error: 'Service not found', serviceId: id } };
+      }
+      return {
+        body: {
+          serviceId: id,
+          status: result.status,
+          result: {
+            ...result,
+            stdout: sanitizeOutput(result.stdout),
+            stderr: sanitizeOutput(result.stderr),
+            message: result.message ? sanitizeOutput(result.message) : null
+          }
+        },
+        detail: { status: result.status, errorCategory: result.errorCategory ?? null }
+      };
+    })
+  );
+
+  router.get('/scheduler', (req, res) => {
+    res.json(monitor.getSchedulerState());
+  });
+
+  router.post(
+    '/scheduler/pause',
+    audited('scheduler.pause', async () => {
+      monitor.pause();
+      return { body: monitor.getSchedulerState() };
+    })
+  );
+
+  router.post(
+    '/scheduler/resume',
+    audited('scheduler.resume', async () => {
+      monitor.resume();
+      return { body: monitor.getSchedulerState() };
+    })
+  );
+
+  router.post(
+    '/maintenance',
+    audited('maintenance.create', async (req) => {
+      const body = req.body && typeof req.body === 'object' ? req.body : {};
+      // One-off windows start now unless told otherwise.
+      const entry =
+        body.recurring == null && body.start == null ? { ...body, start: new Date().toISOString() } : body;
+      const window = await store.addMaintenanceWindow(entry);
+      return { status: 201, target: window.id, body: window };
+    })
+  );
+
+  router.delete(
+    '/maintenance/:id',
+    audited('maintenance.delete', async (req) => {
+      const removed = await store.removeMaintenanceWindow(req.params.id);
+      if (!removed) {
+        return {
+          status: 404,
+          body: {
+            error: 'Maintenance window not found (windows from services.json cannot be removed)',
+            id: req.params.id
+          }
+        };
+      }
+      return { status: 204 };
+    })
+  );
+
+  router.get('/audit', async (req, res) => {
+    const limit = Number(req.query.limit);
+    try {
+      const entries = await audit.list({ limit: Number.isInteger(limit) ? limit : undefined });
+      res.json({ entries });
+    } catch (error) {
+      logger.log('error', 'admin', 'Failed to read audit log', error);
+      res.status(500).json({ error: 'Failed to read audit log', message: getSafeErrorMessage(error) });
+    }
+  });
+
+  // Malformed JSON bodies from express.json().
+  router.use((error, req, res, next) => {
+    if (error?.type === 'entity.parse.failed') {
+      res.status(400).json({ error: 'Invalid JSON body' });
+      return;
+    }
+    next(error);
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
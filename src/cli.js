@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+const path = require('path');
+const { resolvePath } = require('./core/ServiceChecker');
+const { formatIssue, validateConfigFile } = require('./core/ConfigValidator');
+
+const DEFAULT_CONFIG = path.join(__dirname, '..', 'config', 'services.json');
+
+const USAGE = `Usage: checkcx <command> [options]
+
+Commands:
+  validate [path]   Validate services.json (default: config/services.json)
+
+Options:
+  --strict          Treat warnings (e.g. unknown fields) as errors
+  --no-paths        Skip checking that cwd, codex_home and suite files exist`;
+
+function runValidate(args) {
+  const flags = new Set(args.filter((arg) => arg.startsWith('--')));
+  const configPath = args.find((arg) => !arg.startsWith('--')) || DEFAULT_CONFIG;
+
+  const report = validateConfigFile(configPath, {
+    resolvePath: flags.has('--no-paths') ? null : resolvePath
+  });
+
+  for (const issue of report.errors) {
+    console.error(`error    ${formatIssue(issue)}`);
+  }
+  for (const issue of report.warnings) {
+    console.error(`warning  ${formatIssue(issue)}`);
+  }
+
+  const failed = !report.valid || (flags.has('--strict') && report.warnings.length > 0);
+  console.log(
+    `${failed ? '✗' : '✓'} ${configPath}: ${report.services.length} valid service(s), ` +
+      `${report.errors.length} error(s), ${report.warnings.length} warning(s)`
+  );
+  return failed ? 1 : 0;
+}
+
+function main(argv) {
+  const [command, ...args] = argv;
+  switch (command) {
+    case 'validate':
+      return runValidate(args);
+    case undefined:
+    case '-h':
+    case '--help':
+      console.log(USAGE);
+      return command ? 0 : 1;
+    default:
+      console.error(`Unknown command: ${command}\n\n${USAGE}`);
+      return 1;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
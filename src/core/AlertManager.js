@@ -0,0 +1,425 @@
+const fs = require('fs/promises');
+const path = require('path');
+const logger = require('../utils/logger');
+const { sanitizeOutput } = require('../utils/sanitize');
+
+const DELIVERY_TIMEOUT = 10_000;
+const DEFAULT_FAILURE_THRESHOLD = 1;
+const SNIPPET_LIMIT = 300;
+
+const CHANNEL_TYPES = new Set(['webhook', 'feishu', 'dingtalk', 'wecom', 'slack', 'telegram']);
+
+/**
+ * Match a service id against a rule pattern. Supports "*" wildcards.
+ * @param {string} pattern
+ * @param {string} serviceId
+ * @returns {boolean}
+ */
+function matchesPattern(pattern, serviceId) {
+  if (typeof pattern !== 'string' || !pattern) {
+    return false;
+  }
+  if (pattern === '*') {
+    return true;
+  }
+  const source = pattern
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`).test(serviceId);
+}
+
+const CATEGORY_LABELS = {
+  auth: '鉴权失败',
+  quota: '额度不足',
+  rate_limit: '请求限流',
+  model_not_found: '模型不存在',
+  upstream_5xx: '上游服务错误',
+  network: '网络错误',
+  cli_missing: 'CLI 不可用',
+  timeout: '超时',
+  wrong_answer: '答案错误',
+  unknown: '未知错误'
+};
+
+function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) {
+    return `${hours}h${minutes}m`;
+  }
+  if (minutes > 0) {
+    return `${minutes}m${seconds}s`;
+  }
+  return `${seconds}s`;
+}
+
+/**
+ * Render a human readable alert text shared by all chat bot formats.
+ * @param {object} event
+ * @returns {string}
+ */
+function renderText(event) {
+  const title =
+    event.type === 'recovered'
+      ? `[Check-CX] 服务恢复: ${event.service.name}`
+      : event.type === 'test'
+      ? `[Check-CX] 告警通道测试: ${event.service.name}`
+      : `[Check-CX] 服务异常: ${event.service.name}`;
+
+  const lines = [title, `状态: ${event.previousStatus ?? 'unknown'} → ${event.status}`];
+  if (event.type === 'triggered') {
+    lines.push(`连续失败: ${event.consecutiveFailures} 次`);
+    if (event.errorCategory) {
+      lines.push(`错误类型: ${CATEGORY_LABELS[event.errorCategory] ?? event.errorCategory}`);
+    }
+  }
+  if (event.type === 'recovered' && Number.isFinite(event.downtimeMs)) {
+    lines.push(`故障持续: ${formatDuration(event.downtimeMs)}`);
+  }
+  if (event.message) {
+    lines.push(`信息: ${event.message}`);
+  }
+  if (event.output) {
+    lines.push(`输出: ${event.output}`);
+  }
+  lines.push(`时间: ${event.checkedAt}`);
+  return lines.join('\n');
+}
+
+/**
+ * Build the request body for a channel type.
+ * @param {object} channel
+ * @param {object} event
+ * @returns {object}
+ */
+function buildPayload(channel, event) {
+  const text = renderText(event);
+  switch (channel.type) {
+    case 'feishu':
+      return { msg_type: 'text', content: { text } };
+    case 'dingtalk':
+    case 'wecom':
+      return { msgtype: 'text', text: { content: text } };
+    case 'slack':
+      return { text };
+    case 'telegram':
+      return { chat_id: channel.chatId, text };
+    default:
+      return {
+        event: `alert.${event.type}`,
+        service: event.service,
+        status: event.status,
+        errorCategory: event.errorCategory ?? null,
+        previousStatus: event.previousStatus,
+        consecutiveFailures: event.consecutiveFailures,
+        downtimeMs: event.downtimeMs ?? null,
+        message: event.message,
+        output: event.output,
+        responseTime: event.responseTime,
+        checkedAt: event.checkedAt,
+        text
+      };
+  }
+}
+
+class AlertManager {
+  constructor(options = {}) {
+    this.store = options.store || null;
+    this.logger = options.logger || logger;
+    this.fetch = options.fetch || globalThis.fetch;
+    this.statePath = options.statePath || null;
+    this.serviceStates = new Map();
+    this.stateLoaded = false;
+    this.stateWrites = Promise.resolve();
+  }
+
+  bindStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Load alert channels and rules from services.json.
+   * Without explicit rules every service alerts every channel.
+   * @returns {Promise<{channels: Map<string, object>, rules: Array}>}
+   */
+  async loadAlertConfig() {
+    const config = this.store ? await this.store.loadConfig() : {};
+    const alerts = config.alerts && typeof config.alerts === 'object' ? config.alerts : {};
+
+    const channels = new Map();
+    for (const channel of Array.isArray(alerts.channels) ? alerts.channels : []) {
+      if (!channel || !channel.id || !channel.url) {
+        continue;
+      }
+      const type = channel.type || 'webhook';
+      if (!CHANNEL_TYPES.has(type)) {
+        this.logger.log('warn', 'alerts', `Unknown alert channel type "${type}" for ${channel.id}`);
+        continue;
+      }
+      channels.set(channel.id, { ...channel, type });
+    }
+
+    const rawRules = Array.isArray(alerts.rules) && alerts.rules.length > 0
+      ? alerts.rules
+      : [{ services: ['*'], channels: [...channels.keys()] }];
+
+    const rules = rawRules
+      .filter((rule) => rule && typeof rule === 'object')
+      .map((rule, index) => ({
+        id: rule.id || `rule-${index}`,
+        services: Array.isArray(rule.services) ? rule.services : ['*'],
+        channels: Array.isArray(rule.channels) ? rule.channels : [...channels.keys()],
+        failureThreshold:
+          Number.isInteger(rule.failureThreshold) && rule.failureThreshold > 0
+            ? rule.failureThreshold
+            : DEFAULT_FAILURE_THRESHOLD,
+        notifyRecovery: rule.notifyRecovery !== false,
+        categories: Array.isArray(rule.categories) && rule.categories.length > 0 ? rule.categories : null
+      }));
+
+    return { channels, rules };
+  }
+
+  /**
+   * Track a service's status transition and deliver alerts for rules
+   * whose failure threshold was crossed or whose alert has recovered.
+   * @param {object} service
+   * @param {object} result
+   */
+  async evaluate(service, result) {
+    const serviceId = service?.id || service?.name;
+    if (!serviceId || !result) {
+      return;
+    }
+
+    await this.#loadState();
+    const state = this.serviceStates.get(serviceId) ?? {
+      status: null,
+      consecutiveFailures: 0,
+      failingSince: null,
+      alertedRules: new Set()
+    };
+    this.serviceStates.set(serviceId, state);
+
+    const previousStatus = state.status;
+    const failing = result.status !== 'ok';
+    state.status = result.status;
+
+    if (failing) {
+      state.consecutiveFailures += 1;
+      state.failingSince = state.failingSince ?? result.checkedAt;
+    }
+
+    const { channels, rules } = await this.loadAlertConfig();
+    if (channels.size === 0) {
+      if (!failing) {
+        state.consecutiveFailures = 0;
+        state.failingSince = null;
+        state.alertedRules.clear();
+      }
+      await this.#saveState();
+      return;
+    }
+
+    const event = {
+      service: { id: serviceId, name: service.name || serviceId },
+      status: result.status,
+      errorCategory: result.errorCategory ?? null,
+      previousStatus,
+      consecutiveFailures: state.consecutiveFailures,
+      message: result.message ? sanitizeOutput(result.message) : null,
+      output: this.#buildSnippet(result),
+      responseTime: result.responseTime ?? null,
+      checkedAt: result.checkedAt || new Date().toISOString()
+    };
+
+    const deliveries = [];
+    for (const rule of rules) {
+      if (!rule.services.some((pattern) => matchesPattern(pattern, serviceId))) {
+        continue;
+      }
+
+      if (failing) {
+        // Category-scoped rules only fire on failures of those categories.
+        if (rule.categories && !rule.categories.includes(result.errorCategory)) {
+          continue;
+        }
+        if (
+          state.consecutiveFailures >= rule.failureThreshold &&
+          !state.alertedRules.has(rule.id)
+        ) {
+          state.alertedRules.add(rule.id);
+          deliveries.push(this.#deliverAll(rule, channels, { ...event, type: 'triggered' }));
+        }
+        continue;
+      }
+
+      if (state.alertedRules.has(rule.id) && rule.notifyRecovery) {
+        const downtimeMs = state.failingSince
+          ? new Date(event.checkedAt).getTime() - new Date(state.failingSince).getTime()
+          : null;
+        deliveries.push(
+          this.#deliverAll(rule, channels, { ...event, type: 'recovered', downtimeMs })
+        );
+      }
+    }
+
+    if (!failing) {
+      state.consecutiveFailures = 0;
+      state.failingSince = null;
+      state.alertedRules.clear();
+    }
+
+    await this.#saveState();
+    await Promise.all(deliveries);
+  }
+
+  /**
+   * Send a test message through a single channel.
+   * @param {string} channelId
+   * @returns {Promise<{ok: boolean, status?: number, error?: string}>}
+   */
+  async testChannel(channelId) {
+    const { channels } = await this.loadAlertConfig();
+    const channel = channels.get(channelId);
+    if (!channel) {
+      throw new Error(`Alert channel "${channelId}" not found`);
+    }
+
+    return this.#deliver(channel, {
+      type: 'test',
+      service: { id: 'test', name: channel.id },
+      status: 'ok',
+      previousStatus: 'ok',
+      consecutiveFailures: 0,
+      message: 'This is a test notification',
+      output: null,
+      responseTime: null,
+      checkedAt: new Date().toISOString()
+    });
+  }
+
+  // Alert state is persisted so a recovery after a restart still notifies.
+  #resolveStatePath() {
+    if (this.statePath) {
+      return this.statePath;
+    }
+    return this.store?.dataDir ? path.join(this.store.dataDir, 'alert-state.json') : null;
+  }
+
+  async #loadState() {
+    if (this.stateLoaded) {
+      return;
+    }
+    this.stateLoaded = true;
+    const statePath = this.#resolveStatePath();
+    if (!statePath) {
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(statePath, 'utf8'));
+    } catch (error) {
+      if (error && error.code !== 'ENOENT') {
+        this.logger.log('warn', 'alerts', `Failed to read ${statePath}`, error);
+      }
+      return;
+    }
+    for (const [serviceId, saved] of Object.entries(data && typeof data === 'object' ? data : {})) {
+      if (!saved || typeof saved !== 'object' || this.serviceStates.has(serviceId)) {
+        continue;
+      }
+      this.serviceStates.set(serviceId, {
+        status: typeof saved.status === 'string' ? saved.status : null,
+        consecutiveFailures: Number.isInteger(saved.consecutiveFailures) ? saved.consecutiveFailures : 0,
+        failingSince: typeof saved.failingSince === 'string' ? saved.failingSince : null,
+        alertedRules: new Set(Array.isArray(saved.alertedRules) ? saved.alertedRules : [])
+      });
+    }
+  }
+
+  #saveState() {
+    const statePath = this.#resolveStatePath();
+    if (!statePath) {
+      return Promise.resolve();
+    }
+    const data = {};
+    for (const [serviceId, state] of this.serviceStates) {
+      data[serviceId] = { ...state, alertedRules: [...state.alertedRules] };
+    }
+    // Checks finish concurrently; serialize writes so they cannot interleave.
+    this.stateWrites = this.stateWrites.then(async () => {
+      try {
+        await fs.writeFile(statePath, JSON.stringify(data, null, 2), 'utf8');
+      } catch (error) {
+        this.logger.log('warn', 'alerts', `Failed to write ${statePath}`, error);
+      }
+    });
+    return this.stateWrites;
+  }
+
+  async #deliverAll(rule, channels, event) {
+    const results = [];
+    for (const channelId of rule.channels) {
+      const channel = channels.get(channelId);
+      if (!channel) {
+        this.logger.log('warn', 'alerts', `Rule ${rule.id} references unknown channel ${channelId}`);
+        continue;
+      }
+      results.push(this.#deliver(channel, event));
+    }
+    await Promise.all(results);
+  }
+
+  async #deliver(channel, event) {
+    const body = buildPayload(channel, event);
+    try {
+      const response = await this.fetch(channel.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(channel.headers && typeof channel.headers === 'object' ? channel.headers : {})
+        },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(channel.timeout || DELIVERY_TIMEOUT)
+      });
+
+      if (!response.ok) {
+        this.logger.log(
+          'warn',
+          'alerts',
+          `Channel ${channel.id} responded with HTTP ${response.status}`,
+          { event: event.type, serviceId: event.service.id }
+        );
+        return { ok: false, status: response.status };
+      }
+
+      this.logger.log(
+        'info',
+        'alerts',
+        `Delivered ${event.type} alert for ${event.service.id} via ${channel.id}`
+      );
+      return { ok: true, status: response.status };
+    } catch (error) {
+      this.logger.log('warn', 'alerts', `Failed to deliver alert via ${channel.id}`, error);
+      return { ok: false, error: error.message };
+    }
+  }
+
+  #buildSnippet(result) {
+    const source = (result.stdout || result.stderr || '').trim();
+    if (!source || result.status === 'ok') {
+      return null;
+    }
+    const sanitized = sanitizeOutput(source);
+    return sanitized.length > SNIPPET_LIMIT
+      ? `${sanitized.slice(0, SNIPPET_LIMIT)}...`
+      : sanitized;
+  }
+}
+
+module.exports = { AlertManager, CHANNEL_TYPES, buildPayload, matchesPattern };
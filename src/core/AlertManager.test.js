@@ -0,0 +1,164 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const http = require('http');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AlertManager, buildPayload, matchesPattern } = require('./AlertManager');
+
+const silent = { log() {} };
+
+// Local webhook stub that records every delivery and answers with `status`.
+async function startStub(t, status = 200) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(status).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}`, received };
+}
+
+function createManager(alerts, options = {}) {
+  return new AlertManager({ store: { loadConfig: async () => ({ alerts }) }, logger: silent, ...options });
+}
+
+const service = { id: 'fox-aws', name: 'Fox AWS' };
+const check = (status, errorCategory = null, checkedAt = new Date().toISOString()) => ({
+  status,
+  errorCategory,
+  checkedAt,
+  message: status === 'ok' ? null : 'API Error: 502',
+  stdout: '',
+  stderr: status === 'ok' ? '' : 'Bad Gateway',
+  responseTime: 100
+});
+
+test('matchesPattern supports wildcards', () => {
+  assert.equal(matchesPattern('*', 'anything'), true);
+  assert.equal(matchesPattern('fox-*', 'fox-aws'), true);
+  assert.equal(matchesPattern('fox-*', 'wolf-aws'), false);
+  assert.equal(matchesPattern('a.b', 'axb'), false);
+});
+
+test('alerts once the failure threshold is crossed and notifies recovery', async (t) => {
+  const stub = await startStub(t);
+  const manager = createManager({
+    channels: [{ id: 'hook', url: `${stub.url}/hook` }],
+    rules: [{ services: ['fox-*'], channels: ['hook'], failureThreshold: 2 }]
+  });
+
+  await manager.evaluate(service, check('error', 'upstream_5xx', '2026-01-01T00:00:00.000Z'));
+  assert.equal(stub.received.length, 0);
+  await manager.evaluate(service, check('error', 'upstream_5xx', '2026-01-01T00:05:00.000Z'));
+  await manager.evaluate(service, check('timeout', 'timeout', '2026-01-01T00:10:00.000Z'));
+  assert.equal(stub.received.length, 1);
+  assert.equal(stub.received[0].body.event, 'alert.triggered');
+  assert.equal(stub.received[0].body.consecutiveFailures, 2);
+
+  await manager.evaluate(service, check('ok', null, '2026-01-01T00:15:00.000Z'));
+  assert.equal(stub.received.length, 2);
+  assert.equal(stub.received[1].body.event, 'alert.recovered');
+  assert.equal(stub.received[1].body.downtimeMs, 15 * 60 * 1000);
+
+  await manager.evaluate(service, check('ok'));
+  assert.equal(stub.received.length, 2);
+});
+
+test('notifyRecovery false skips the recovery alert', async (t) => {
+  const stub = await startStub(t);
+  const manager = createManager({
+    channels: [{ id: 'hook', url: stub.url }],
+    rules: [{ channels: ['hook'], notifyRecovery: false }]
+  });
+  await manager.evaluate(service, check('error'));
+  await manager.evaluate(service, check('ok'));
+  assert.deepEqual(stub.received.map((request) => request.body.event), ['alert.triggered']);
+});
+
+test('category-scoped rules only fire for their categories', async (t) => {
+  const stub = await startStub(t);
+  const manager = createManager({
+    channels: [{ id: 'hook', url: stub.url }],
+    rules: [{ id: 'billing', channels: ['hook'], categories: ['auth', 'quota'] }]
+  });
+  await manager.evaluate(service, check('error', 'upstream_5xx'));
+  assert.equal(stub.received.length, 0);
+  await manager.evaluate(service, check('error', 'quota'));
+  assert.equal(stub.received.length, 1);
+  assert.equal(stub.received[0].body.errorCategory, 'quota');
+});
+
+test('buildPayload renders each channel format', () => {
+  const event = {
+    type: 'triggered',
+    service: { id: 'fox-aws', name: 'Fox AWS' },
+    status: 'error',
+    errorCategory: 'quota',
+    previousStatus: 'ok',
+    consecutiveFailures: 3,
+    message: 'insufficient_quota',
+    output: null,
+    responseTime: 10,
+    checkedAt: '2026-01-01T00:00:00.000Z'
+  };
+  const text = buildPayload({ type: 'slack' }, event).text;
+  assert.match(text, /^\[Check-CX\] 服务异常: Fox AWS\n状态: ok → error\n连续失败: 3 次\n错误类型: 额度不足/);
+
+  assert.deepEqual(buildPayload({ type: 'feishu' }, event), { msg_type: 'text', content: { text } });
+  assert.deepEqual(buildPayload({ type: 'dingtalk' }, event), { msgtype: 'text', text: { content: text } });
+  assert.deepEqual(buildPayload({ type: 'wecom' }, event), { msgtype: 'text', text: { content: text } });
+  assert.deepEqual(buildPayload({ type: 'telegram', chatId: '42' }, event), { chat_id: '42', text });
+
+  const webhook = buildPayload({ type: 'webhook' }, event);
+  assert.equal(webhook.event, 'alert.triggered');
+  assert.equal(webhook.errorCategory, 'quota');
+  assert.equal(webhook.downtimeMs, null);
+  assert.equal(webhook.text, text);
+
+  assert.match(buildPayload({ type: 'slack' }, { ...event, type: 'recovered', downtimeMs: 125_000 }).text, /故障持续: 2m5s/);
+});
+
+test('channel headers are sent and non-2xx deliveries are reported', async (t) => {
+  const stub = await startStub(t, 500);
+  const manager = createManager({
+    channels: [{ id: 'hook', type: 'slack', url: stub.url, headers: { 'X-Token': 'secret' } }]
+  });
+  assert.deepEqual(await manager.testChannel('hook'), { ok: false, status: 500 });
+  assert.equal(stub.received[0].headers['x-token'], 'secret');
+  assert.match(stub.received[0].body.text, /告警通道测试/);
+
+  const unreachable = createManager(
+    { channels: [{ id: 'hook', url: 'http://stub.invalid' }] },
+    { fetch: async () => { throw new Error('getaddrinfo ENOTFOUND'); } }
+  );
+  assert.deepEqual(await unreachable.testChannel('hook'), { ok: false, error: 'getaddrinfo ENOTFOUND' });
+  await assert.rejects(unreachable.testChannel('missing'), /not found/);
+});
+
+test('alert state survives a restart so recovery is still notified', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const sent = [];
+  const options = {
+    statePath: path.join(dir, 'alert-state.json'),
+    fetch: async (url, init) => {
+      sent.push(JSON.parse(init.body).event);
+      return { ok: true, status: 200 };
+    }
+  };
+  const alerts = { channels: [{ id: 'hook', url: 'http://stub' }] };
+
+  await createManager(alerts, options).evaluate(service, check('error'));
+  const restarted = createManager(alerts, options);
+  await restarted.evaluate(service, check('error'));
+  await restarted.evaluate(service, check('ok'));
+  assert.deepEqual(sent, ['alert.triggered', 'alert.recovered']);
+});
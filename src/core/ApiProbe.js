@@ -0,0 +1,496 @@
+const fs = require('fs');
+const path = require('path');
+const { matchAnswer } = require('../utils/answer');
+const { parseToml } = require('../utils/toml');
+const { normalizeUsage } = require('./OutputParsers');
+
+const API_PROBE_TYPES = new Set(['anthropic-api', 'openai-responses', 'openai-chat']);
+const ANTHROPIC_DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const ANTHROPIC_VERSION = '2023-06-01';
+const OPENAI_DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MAX_TOKENS = 256;
+const BODY_LIMIT = 4000;
+const CREDENTIALS_CACHE_TTL = 60 * 1000;
+
+const credentialsCache = new Map();
+
+/**
+ * Read and parse a credentials file. The parsed value is reused for
+ * CREDENTIALS_CACHE_TTL, since every scheduled check resolves its provider.
+ * @param {string} filePath
+ * @param {Function} parse
+ * @param {{optional?: boolean}} [options] optional files that are missing read as null
+ * @returns {*}
+ */
+function readCredentialsFile(filePath, parse, { optional = false } = {}) {
+  const cached = credentialsCache.get(filePath);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+  let value;
+  try {
+    value = parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (!optional || error.code !== 'ENOENT') {
+      throw error;
+    }
+    value = null;
+  }
+  credentialsCache.set(filePath, { value, expiresAt: Date.now() + CREDENTIALS_CACHE_TTL });
+  return value;
+}
+
+function trimTrailingSlash(url) {
+  return String(url).replace(/\/+$/, '');
+}
+
+/**
+ * Read the relay endpoint and credentials from a Claude service's
+ * `.claude/settings.json` env block.
+ * @param {object} service
+ * @param {Function} resolvePath
+ * @returns {{baseUrl: string, apiKey: string|null, authToken: string|null}}
+ */
+function loadAnthropicCredentials(service, resolvePath) {
+  if (!service.cwd) {
+    throw new Error('anthropic-api service requires "cwd" pointing at its .claude directory parent');
+  }
+  const settingsPath = path.join(resolvePath(service.cwd), '.claude', 'settings.json');
+  const env = readCredentialsFile(settingsPath, JSON.parse)?.env ?? {};
+
+  return {
+    baseUrl: trimTrailingSlash(env.ANTHROPIC_BASE_URL || ANTHROPIC_DEFAULT_BASE_URL),
+    apiKey: env.ANTHROPIC_API_KEY || null,
+    authToken: env.ANTHROPIC_AUTH_TOKEN || null
+  };
+}
+
+/**
+ * Read the model provider entry and API key from a codex home directory.
+ * @param {object} service
+ * @param {Function} resolvePath
+ * @returns {{baseUrl: string, apiKey: string|null}}
+ */
+function loadOpenAICredentials(service, resolvePath) {
+  const codexHome = service.params?.codex_home;
+  if (!codexHome) {
+    throw new Error(`${service.type} service requires "params.codex_home"`);
+  }
+  const home = resolvePath(codexHome);
+  const config = readCredentialsFile(path.join(home, 'config.toml'), parseToml);
+
+  const providerName = service.params.provider || config.model_provider || 'openai';
+  const provider = config.model_providers?.[providerName] ?? {};
+  if (providerName !== 'openai' && !provider.base_url) {
+    throw new Error(`Model provider "${providerName}" has no base_url in config.toml`);
+  }
+
+  let apiKey = provider.env_key ? process.env[provider.env_key] || null : null;
+  if (!apiKey) {
+    const auth = readCredentialsFile(path.join(home, 'auth.json'), JSON.parse, { optional: true });
+    apiKey = auth?.OPENAI_API_KEY || null;
+  }
+
+  return {
+    baseUrl: trimTrailingSlash(provider.base_url || OPENAI_DEFAULT_BASE_URL),
+    apiKey
+  };
+}
+
+/**
+ * Host of the relay a service talks to, read from the same credentials the
+ * CLI uses. Returns null when it cannot be determined.
+ * @param {object} service
+ * @param {Function} resolvePath
+ * @returns {string|null}
+ */
+function resolveProviderHost(service, resolvePath) {
+  try {
+    const usesAnthropic = service.type === 'claude' || service.type === 'anthropic-api';
+    const usesOpenAI = service.type === 'codex' || API_PROBE_TYPES.has(service.type);
+    if (!usesAnthropic && !usesOpenAI) {
+      return null;
+    }
+    const { baseUrl } = usesAnthropic
+      ? loadAnthropicCredentials(service, resolvePath)
+      : loadOpenAICredentials(service, resolvePath);
+    return new URL(baseUrl).host;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the HTTP request for a probe type.
+ * @returns {{url: string, headers: object, body: object, model: string|null, stream: boolean}}
+ */
+function buildRequest(service, resolvePath) {
+  const params = service.params && typeof service.params === 'object' ? service.params : {};
+  const prompt = params.prompt;
+  if (!prompt) {
+    throw new Error(`${service.type} service requires "params.prompt"`);
+  }
+  const maxTokens = Number.isInteger(params.maxTokens) ? params.maxTokens : DEFAULT_MAX_TOKENS;
+  const stream = params.stream !== false;
+
+  if (service.type === 'anthropic-api') {
+    const credentials = loadAnthropicCredentials(service, resolvePath);
+    const headers = {
+      'Content-Type': 'application/json',
+      'anthropic-version': ANTHROPIC_VERSION
+    };
+    if (credentials.apiKey) {
+      headers['x-api-key'] = credentials.apiKey;
+    }
+    if (credentials.authToken) {
+      headers.Authorization = `Bearer ${credentials.authToken}`;
+    }
+    return {
+      url: `${credentials.baseUrl}/v1/messages`,
+      headers,
+      model: params.model || null,
+      stream,
+      body: {
+        model: params.model,
+        max_tokens: maxTokens,
+        messages: [{ role: 'user', content: prompt }],
+        ...(stream ? { stream: true } : {})
+      }
+    };
+  }
+
+  const credentials = loadOpenAICredentials(service, resolvePath);
+  const model = params.model;
+  const headers = { 'Content-Type': 'application/json' };
+  if (credentials.apiKey) {
+    headers.Authorization = `Bearer ${credentials.apiKey}`;
+  }
+
+  if (service.type === 'openai-responses') {
+    return {
+      url: `${credentials.baseUrl}/responses`,
+      headers,
+      model,
+      stream,
+      body: { model, input: prompt, ...(stream ? { stream: true } : {}) }
+    };
+  }
+
+  return {
+    url: `${credentials.baseUrl}/chat/completions`,
+    headers,
+    model,
+    stream,
+    body: {
+      model,
+      max_tokens: maxTokens,
+      messages: [{ role: 'user', content: prompt }],
+      ...(stream ? { stream: true, stream_options: { include_usage: true } } : {})
+    }
+  };
+}
+
+/**
+ * Pull the assistant text out of a provider response body.
+ * @param {string} type
+ * @param {object} payload
+ * @returns {string}
+ */
+function extractResponseText(type, payload) {
+  if (!payload || typeof payload !== 'object') {
+    return '';
+  }
+
+  if (type === 'anthropic-api') {
+    const blocks = Array.isArray(payload.content) ? payload.content : [];
+    return blocks
+      .filter((block) => block && block.type === 'text')
+      .map((block) => block.text)
+      .join('\n');
+  }
+
+  if (type === 'openai-responses') {
+    if (typeof payload.output_text === 'string') {
+      return payload.output_text;
+    }
+    const output = Array.isArray(payload.output) ? payload.output : [];
+    return output
+      .flatMap((item) => (Array.isArray(item?.content) ? item.content : []))
+      .filter((part) => part && part.type === 'output_text')
+      .map((part) => part.text)
+      .join('\n');
+  }
+
+  const content = payload.choices?.[0]?.message?.content;
+  if (Array.isArray(content)) {
+    return content.map((part) => part?.text ?? '').join('');
+  }
+  return typeof content === 'string' ? content : '';
+}
+
+/**
+ * Interpret one server-sent event of a streaming response.
+ * @param {string} type
+ * @param {object} event
+ * @returns {{delta: string|null, model: string|null, usage: object|null, error: string|null}}
+ */
+function readStreamEvent(type, event) {
+  const parsed = { delta: null, model: null, usage: null, error: null };
+  if (!event || typeof event !== 'object') {
+    return parsed;
+  }
+
+  if (event.type === 'error' || (event.error && typeof event.error === 'object')) {
+    parsed.error = event.error?.message || JSON.stringify(event.error ?? event);
+    return parsed;
+  }
+
+  if (type === 'anthropic-api') {
+    if (event.type === 'message_start') {
+      parsed.model = event.message?.model ?? null;
+      parsed.usage = event.message?.usage ?? null;
+    } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+      parsed.delta = event.delta.text;
+    } else if (event.type === 'message_delta') {
+      parsed.usage = event.usage ?? null;
+    }
+    return parsed;
+  }
+
+  if (type === 'openai-responses') {
+    if (event.type === 'response.output_text.delta') {
+      parsed.delta = event.delta;
+    } else if (event.type === 'response.created' || event.type === 'response.completed') {
+      parsed.model = event.response?.model ?? null;
+      parsed.usage = event.response?.usage ?? null;
+    }
+    return parsed;
+  }
+
+  const content = event.choices?.[0]?.delta?.content;
+  parsed.delta = typeof content === 'string' && content ? content : null;
+  parsed.model = event.model ?? null;
+  parsed.usage = event.usage ?? null;
+  return parsed;
+}
+
+/**
+ * Consume an SSE body, collecting the streamed text and timing metrics.
+ * @param {Response} response
+ * @param {string} type
+ * @param {number} startedAt
+ */
+async function readEventStream(response, type, startedAt) {
+  const decoder = new TextDecoder();
+  const stream = { text: '', firstTokenAt: null, model: null, usage: {}, error: null };
+  let buffer = '';
+
+  const handleLine = (line) => {
+    if (!line.startsWith('data:')) {
+      return;
+    }
+    const data = line.slice(5).trim();
+    if (!data || data === '[DONE]') {
+      return;
+    }
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+    const { delta, model, usage, error } = readStreamEvent(type, event);
+    if (delta) {
+      if (stream.firstTokenAt == null) {
+        stream.firstTokenAt = Date.now();
+      }
+      stream.text += delta;
+    }
+    if (model) {
+      stream.model = model;
+    }
+    if (usage) {
+      // Later events (message_delta, response.completed) refine earlier counts.
+      for (const [key, value] of Object.entries(normalizeUsage(usage))) {
+        if (value != null) {
+          stream.usage[key] = value;
+        }
+      }
+    }
+    if (error) {
+      stream.error = error;
+    }
+  };
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let index;
+    while ((index = buffer.indexOf('\n')) >= 0) {
+      handleLine(buffer.slice(0, index).replace(/\r$/, ''));
+      buffer = buffer.slice(index + 1);
+    }
+  }
+  handleLine((buffer + decoder.decode()).trim());
+
+  const endedAt = Date.now();
+  const streamDuration = stream.firstTokenAt != null ? endedAt - stream.firstTokenAt : null;
+  const outputTokens = stream.usage.outputTokens ?? null;
+  return {
+    text: stream.text,
+    error: stream.error,
+    model: stream.model,
+    usage: stream.usage,
+    firstTokenTime: stream.firstTokenAt != null ? stream.firstTokenAt - startedAt : null,
+    streamDuration,
+    tokensPerSecond:
+      outputTokens != null && streamDuration > 0
+        ? Math.round((outputTokens / (streamDuration / 1000)) * 10) / 10
+        : null
+  };
+}
+
+function truncateBody(text) {
+  return text.length > BODY_LIMIT ? `${text.slice(0, BODY_LIMIT)}...` : text;
+}
+
+/**
+ * Probe a provider directly over HTTP, bypassing the CLI, and map the
+ * outcome onto the same result shape as CLI checks.
+ * @param {object} options
+ * @returns {Promise<object>}
+ */
+async function checkApiService({ name, service, expectedAnswer, timeout, log, resolvePath, fetchImpl }) {
+  const startedAt = Date.now();
+  const checkedAt = () => new Date().toISOString();
+  const base = {
+    name,
+    stdout: '',
+    stderr: '',
+    expectedAnswer: expectedAnswer ?? null
+  };
+
+  let request;
+  try {
+    request = buildRequest(service, resolvePath);
+  } catch (error) {
+    return {
+      ...base,
+      stderr: error.message,
+      checkedAt: checkedAt(),
+      status: 'error',
+      message: error.message,
+      responseTime: 0
+    };
+  }
+
+  log('info', 'checker', `Requesting ${service.type} endpoint: ${request.url}`);
+
+  let response;
+  let firstByteTime = null;
+  let bodyText = '';
+  let streamed = null;
+  try {
+    response = await (fetchImpl || globalThis.fetch)(request.url, {
+      method: 'POST',
+      headers: request.headers,
+      body: JSON.stringify(request.body),
+      signal: AbortSignal.timeout(timeout)
+    });
+    firstByteTime = Date.now() - startedAt;
+
+    const contentType = response.headers.get('content-type') || '';
+    if (response.ok && request.stream && contentType.includes('text/event-stream')) {
+      streamed = await readEventStream(response, service.type, startedAt);
+    } else {
+      bodyText = await response.text();
+    }
+  } catch (error) {
+    const timedOut = error && (error.name === 'TimeoutError' || error.name === 'AbortError');
+    const reason = error?.cause?.code ? `${error.message} (${error.cause.code})` : error.message;
+    return {
+      ...base,
+      stderr: reason,
+      checkedAt: checkedAt(),
+      status: timedOut ? 'timeout' : 'error',
+      message: timedOut ? `Request timed out after ${timeout}ms` : reason,
+      responseTime: Date.now() - startedAt,
+      firstByteTime
+    };
+  }
+
+  const responseTime = Date.now() - startedAt;
+  const result = {
+    ...base,
+    stderr: `HTTP ${response.status} ${request.url}`,
+    checkedAt: checkedAt(),
+    responseTime,
+    firstByteTime
+  };
+
+  if (!response.ok) {
+    return {
+      ...result,
+      stdout: truncateBody(bodyText.trim()),
+      status: 'error',
+      message: `HTTP ${response.status}`
+    };
+  }
+
+  let text;
+  if (streamed) {
+    Object.assign(result, {
+      model: streamed.model,
+      ...streamed.usage,
+      firstTokenTime: streamed.firstTokenTime,
+      streamDuration: streamed.streamDuration,
+      tokensPerSecond: streamed.tokensPerSecond
+    });
+    if (streamed.error) {
+      return {
+        ...result,
+        stdout: streamed.text.trim(),
+        status: 'error',
+        message: `Stream error: ${streamed.error}`
+      };
+    }
+    text = streamed.text.trim();
+  } else {
+    let payload;
+    try {
+      payload = JSON.parse(bodyText);
+    } catch (error) {
+      return {
+        ...result,
+        stdout: truncateBody(bodyText.trim()),
+        status: 'error',
+        message: 'Response body is not valid JSON'
+      };
+    }
+    text = extractResponseText(service.type, payload).trim();
+    Object.assign(result, {
+      model: typeof payload.model === 'string' ? payload.model : null,
+      ...normalizeUsage(payload.usage)
+    });
+  }
+
+  const outcome = matchAnswer(text, expectedAnswer);
+  if (outcome.matched) {
+    return { ...result, stdout: text, status: 'ok', answer: outcome.answer, message: null };
+  }
+
+  return {
+    ...result,
+    stdout: text || truncateBody(bodyText.trim()),
+    status: 'fail',
+    answer: null,
+    message: outcome.reason
+  };
+}
+
+module.exports = {
+  API_PROBE_TYPES,
+  buildRequest,
+  checkApiService,
+  extractResponseText,
+  resolveProviderHost
+};
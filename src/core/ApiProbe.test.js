@@ -0,0 +1,176 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildRequest, checkApiService, resolveProviderHost } = require('./ApiProbe');
+
+const silent = () => {};
+const identity = (value) => value;
+
+function createHomes(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'api-probe-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  fs.mkdirSync(path.join(root, 'claude', '.claude'), { recursive: true });
+  fs.writeFileSync(
+    path.join(root, 'claude', '.claude', 'settings.json'),
+    JSON.stringify({ env: { ANTHROPIC_BASE_URL: 'https://relay.example/', ANTHROPIC_AUTH_TOKEN: 'token' } })
+  );
+  fs.mkdirSync(path.join(root, 'codex'));
+  fs.writeFileSync(
+    path.join(root, 'codex', 'config.toml'),
+    'model_provider = "fox"\n\n[model_providers.fox]\nbase_url = "https://fox.example/v1"\n'
+  );
+  fs.writeFileSync(path.join(root, 'codex', 'auth.json'), JSON.stringify({ OPENAI_API_KEY: 'sk-test' }));
+  return root;
+}
+
+function anthropicService(root, params = {}) {
+  return {
+    type: 'anthropic-api',
+    cwd: path.join(root, 'claude'),
+    params: { prompt: '1+1=?', model: 'claude-sonnet-4-5', ...params }
+  };
+}
+
+function chatService(root, params = {}) {
+  return {
+    type: 'openai-chat',
+    params: { prompt: '1+1=?', model: 'gpt-5', codex_home: path.join(root, 'codex'), ...params }
+  };
+}
+
+function check(service, fetchImpl, options = {}) {
+  return checkApiService({
+    name: 'probe',
+    service,
+    expectedAnswer: '2',
+    timeout: 1000,
+    log: silent,
+    resolvePath: identity,
+    fetchImpl,
+    ...options
+  });
+}
+
+function sse(events) {
+  const body = events.map((event) => `data: ${JSON.stringify(event)}\n\n`).join('');
+  return new Response(body, { status: 200, headers: { 'content-type': 'text/event-stream' } });
+}
+
+test('buildRequest reads relay credentials for each probe type', (t) => {
+  const root = createHomes(t);
+  const anthropic = buildRequest(anthropicService(root), identity);
+  assert.equal(anthropic.url, 'https://relay.example/v1/messages');
+  assert.equal(anthropic.headers.Authorization, 'Bearer token');
+  assert.equal(anthropic.body.stream, true);
+
+  const chat = buildRequest(chatService(root, { stream: false }), identity);
+  assert.equal(chat.url, 'https://fox.example/v1/chat/completions');
+  assert.equal(chat.headers.Authorization, 'Bearer sk-test');
+  assert.equal(chat.body.stream, undefined);
+
+  assert.equal(resolveProviderHost({ ...chatService(root), type: 'codex' }, identity), 'fox.example');
+  assert.equal(resolveProviderHost({ type: 'gemini' }, identity), null);
+  assert.throws(() => buildRequest(chatService(root, { prompt: '' }), identity), /params.prompt/);
+});
+
+test('credentials files are cached between checks', (t) => {
+  const root = createHomes(t);
+  const service = anthropicService(root);
+  assert.equal(resolveProviderHost(service, identity), 'relay.example');
+
+  fs.writeFileSync(
+    path.join(root, 'claude', '.claude', 'settings.json'),
+    JSON.stringify({ env: { ANTHROPIC_BASE_URL: 'https://other.example' } })
+  );
+  assert.equal(resolveProviderHost(service, identity), 'relay.example');
+});
+
+test('streaming responses collect text, model and usage', async (t) => {
+  const root = createHomes(t);
+  const result = await check(anthropicService(root), async () =>
+    sse([
+      { type: 'message_start', message: { model: 'claude-sonnet-4-5', usage: { input_tokens: 12 } } },
+      { type: 'content_block_delta', delta: { type: 'text_delta', text: 'The answer ' } },
+      { type: 'content_block_delta', delta: { type: 'text_delta', text: 'is 2' } },
+      { type: 'message_delta', usage: { output_tokens: 5 } }
+    ])
+  );
+
+  assert.equal(result.status, 'ok');
+  assert.equal(result.answer, '2');
+  assert.equal(result.stdout, 'The answer is 2');
+  assert.equal(result.model, 'claude-sonnet-4-5');
+  assert.equal(result.inputTokens, 12);
+  assert.equal(result.outputTokens, 5);
+  assert.equal(typeof result.firstTokenTime, 'number');
+});
+
+test('stream error events fail the check', async (t) => {
+  const root = createHomes(t);
+  const result = await check(anthropicService(root), async () =>
+    sse([{ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }])
+  );
+  assert.equal(result.status, 'error');
+  assert.equal(result.message, 'Stream error: Overloaded');
+});
+
+test('non-streaming responses are parsed as JSON', async (t) => {
+  const root = createHomes(t);
+  let request;
+  const payload = {
+    model: 'gpt-5-2025',
+    choices: [{ message: { content: '3' } }],
+    usage: { prompt_tokens: 8, completion_tokens: 1 }
+  };
+  const result = await check(chatService(root, { stream: false }), async (url, init) => {
+    request = { url, body: JSON.parse(init.body) };
+    return Response.json(payload);
+  });
+
+  assert.equal(request.url, 'https://fox.example/v1/chat/completions');
+  assert.equal(request.body.model, 'gpt-5');
+  assert.equal(result.status, 'fail');
+  assert.equal(result.stdout, '3');
+  assert.equal(result.model, 'gpt-5-2025');
+  assert.equal(result.outputTokens, 1);
+
+  const invalid = await check(chatService(root, { stream: false }), async () => new Response('<html>'));
+  assert.equal(invalid.status, 'error');
+  assert.equal(invalid.message, 'Response body is not valid JSON');
+});
+
+test('HTTP errors keep the response body', async (t) => {
+  const root = createHomes(t);
+  const result = await check(chatService(root), async () =>
+    new Response('{"error":{"message":"Bad Gateway"}}', { status: 502 })
+  );
+  assert.equal(result.status, 'error');
+  assert.equal(result.message, 'HTTP 502');
+  assert.equal(result.stderr, 'HTTP 502 https://fox.example/v1/chat/completions');
+  assert.match(result.stdout, /Bad Gateway/);
+});
+
+test('requests that outlive the timeout are reported as timeouts', async (t) => {
+  const root = createHomes(t);
+  // AbortSignal.timeout does not keep the event loop alive on its own.
+  const hang = (url, init) =>
+    new Promise((resolve, reject) => {
+      const keepAlive = setTimeout(() => {}, 1000);
+      init.signal.addEventListener('abort', () => {
+        clearTimeout(keepAlive);
+        reject(init.signal.reason);
+      });
+    });
+  const result = await check(chatService(root), hang, { timeout: 20 });
+  assert.equal(result.status, 'timeout');
+  assert.equal(result.message, 'Request timed out after 20ms');
+
+  const refused = await check(chatService(root), async () => {
+    throw new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } });
+  });
+  assert.equal(refused.status, 'error');
+  assert.equal(refused.message, 'fetch failed (ECONNREFUSED)');
+});
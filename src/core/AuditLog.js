@@ -0,0 +1,88 @@
+const fs = require('fs/promises');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DEFAULT_LIST_LIMIT = 100;
+
+/**
+ * Append-only record of admin actions in data/audit.jsonl.
+ */
+class AuditLog {
+  constructor(options = {}) {
+    this.logger = options.logger || logger;
+    this.filePath = path.resolve(
+      options.filePath || path.join(__dirname, '..', '..', 'data', 'audit.jsonl')
+    );
+  }
+
+  /**
+   * @param {{actor: string|null, ip?: string|null, action: string, target?: string|null, outcome: 'ok'|'denied'|'error', detail?: object|string|null}} entry
+   */
+  async record(entry) {
+    const item = {
+      timestamp: new Date().toISOString(),
+      actor: entry.actor ?? null,
+      ip: entry.ip ?? null,
+      action: entry.action,
+      target: entry.target ?? null,
+      outcome: entry.outcome,
+      detail: entry.detail ?? null
+    };
+
+    this.logger.log(
+      entry.outcome === 'ok' ? 'info' : 'warn',
+      'audit',
+      `${item.actor ?? 'anonymous'} ${item.action}${item.target ? ` ${item.target}` : ''}: ${item.outcome}`,
+      { ip: item.ip }
+    );
+
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.appendFile(this.filePath, `${JSON.stringify(item)}\n`, 'utf8');
+    } catch (error) {
+      this.logger.log('error', 'audit', `Failed to write ${this.filePath}`, error);
+    }
+  }
+
+  /**
+   * Most recent entries first. Streams the log and keeps only the last
+   * `limit` entries, so the file is never read into memory whole.
+   * @param {{limit?: number}} [options]
+   * @returns {Promise<Array<object>>}
+   */
+  async list(options = {}) {
+    const limit = Number.isInteger(options.limit) && options.limit > 0 ? options.limit : DEFAULT_LIST_LIMIT;
+    let handle;
+    try {
+      handle = await fs.open(this.filePath, 'r');
+    } catch (error) {
+      if (error && error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = [];
+    try {
+      for await (const line of handle.readLines()) {
+        if (!line.trim()) {
+          continue;
+        }
+        try {
+          entries.push(JSON.parse(line));
+        } catch (error) {
+          // Skip a torn last line.
+          continue;
+        }
+        if (entries.length > limit) {
+          entries.shift();
+        }
+      }
+    } finally {
+      await handle.close();
+    }
+    return entries.reverse();
+  }
+}
+
+module.exports = { AuditLog };
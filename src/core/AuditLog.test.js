@@ -0,0 +1,27 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AuditLog } = require('./AuditLog');
+
+const silent = { log() {} };
+
+test('list returns the most recent entries first', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const audit = new AuditLog({ logger: silent, filePath: path.join(dir, 'audit.jsonl') });
+
+  assert.deepEqual(await audit.list(), []);
+
+  for (let index = 0; index < 5; index += 1) {
+    await audit.record({ actor: 'admin', action: 'service.check', target: `svc-${index}`, outcome: 'ok' });
+  }
+  fs.appendFileSync(audit.filePath, '{"timestamp":\n');
+
+  const entries = await audit.list({ limit: 3 });
+  assert.deepEqual(entries.map((entry) => entry.target), ['svc-4', 'svc-3', 'svc-2']);
+  assert.equal(entries[0].actor, 'admin');
+  assert.equal(entries[0].detail, null);
+  assert.equal((await audit.list()).length, 5);
+});
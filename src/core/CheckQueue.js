@@ -0,0 +1,165 @@
+const logger = require('../utils/logger');
+const { matchesPattern } = require('./AlertManager');
+const { toMilliseconds } = require('./Scheduler');
+
+const DEFAULT_CONCURRENCY = 4;
+
+function toPositiveInteger(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Execution queue in front of the checker. Limits how many checks (CLI
+ * processes) run at once, and spaces out checks that share a provider
+ * group so one relay is not hit by every service at the same moment.
+ */
+class CheckQueue {
+  constructor(options = {}) {
+    this.store = options.store || null;
+    this.logger = options.logger || logger;
+    this.pending = [];
+    this.active = 0;
+    this.groups = new Map();
+    this.settings = { concurrency: DEFAULT_CONCURRENCY, rateLimits: [] };
+    this.timer = null;
+  }
+
+  /**
+   * Read `queue` from services.json. CHECK_CONCURRENCY overrides the
+   * configured concurrency.
+   * @returns {Promise<{concurrency: number, rateLimits: Array<{pattern: string, maxConcurrent: number|null, minIntervalMs: number|null}>}>}
+   */
+  async loadQueueConfig() {
+    const config = this.store ? await this.store.loadConfig() : {};
+    const queue = config.queue && typeof config.queue === 'object' ? config.queue : {};
+
+    const concurrency =
+      toPositiveInteger(process.env.CHECK_CONCURRENCY) ??
+      toPositiveInteger(queue.concurrency) ??
+      DEFAULT_CONCURRENCY;
+
+    const rateLimits = Object.entries(
+      queue.rateLimits && typeof queue.rateLimits === 'object' ? queue.rateLimits : {}
+    )
+      .filter(([, limit]) => limit && typeof limit === 'object')
+      .map(([pattern, limit]) => ({
+        pattern,
+        maxConcurrent: toPositiveInteger(limit.maxConcurrent),
+        minIntervalMs: limit.minInterval != null ? toMilliseconds(limit.minInterval) : null
+      }));
+
+    return { concurrency, rateLimits };
+  }
+
+  /**
+   * Run `task` once a global slot is free and its group's limits allow it.
+   * @param {() => Promise<any>} task
+   * @param {{group?: string|null, label?: string}} [options]
+   * @returns {Promise<{value: any, queueWait: number}>}
+   */
+  async run(task, options = {}) {
+    this.settings = await this.loadQueueConfig();
+    return new Promise((resolve, reject) => {
+      this.pending.push({
+        task,
+        group: options.group || null,
+        label: options.label || 'check',
+        enqueuedAt: Date.now(),
+        resolve,
+        reject
+      });
+      this.#drain();
+    });
+  }
+
+  getStats() {
+    return {
+      active: this.active,
+      pending: this.pending.length,
+      concurrency: this.settings.concurrency
+    };
+  }
+
+  #findLimit(group) {
+    if (!group) {
+      return null;
+    }
+    return (
+      this.settings.rateLimits.find((limit) => limit.pattern === group) ??
+      this.settings.rateLimits.find((limit) => matchesPattern(limit.pattern, group)) ??
+      null
+    );
+  }
+
+  #groupState(group) {
+    if (!this.groups.has(group)) {
+      this.groups.set(group, { active: 0, nextStartAt: 0 });
+    }
+    return this.groups.get(group);
+  }
+
+  // Jobs blocked by their group's limit do not hold up jobs for other groups.
+  #drain() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    let wakeAt = Infinity;
+    let index = 0;
+    while (index < this.pending.length && this.active < this.settings.concurrency) {
+      const job = this.pending[index];
+      const limit = this.#findLimit(job.group);
+      const state = job.group ? this.#groupState(job.group) : null;
+
+      if (limit && limit.maxConcurrent && state.active >= limit.maxConcurrent) {
+        index += 1;
+        continue;
+      }
+      if (limit && state.nextStartAt > now) {
+        wakeAt = Math.min(wakeAt, state.nextStartAt);
+        index += 1;
+        continue;
+      }
+
+      this.pending.splice(index, 1);
+      this.#start(job, limit, state, now);
+    }
+
+    if (wakeAt !== Infinity) {
+      this.timer = setTimeout(() => this.#drain(), wakeAt - now);
+    }
+  }
+
+  #start(job, limit, state, now) {
+    this.active += 1;
+    if (state) {
+      state.active += 1;
+      if (limit?.minIntervalMs) {
+        state.nextStartAt = now + limit.minIntervalMs;
+      }
+    }
+
+    const queueWait = now - job.enqueuedAt;
+    if (queueWait >= 1000) {
+      this.logger.log('info', 'queue', `${job.label} waited ${queueWait}ms in queue`, {
+        group: job.group,
+        active: this.active,
+        pending: this.pending.length
+      });
+    }
+
+    Promise.resolve()
+      .then(() => job.task())
+      .then((value) => job.resolve({ value, queueWait }), job.reject)
+      .finally(() => {
+        this.active -= 1;
+        if (state) {
+          state.active -= 1;
+        }
+        this.#drain();
+      });
+  }
+}
+
+module.exports = { CheckQueue, DEFAULT_CONCURRENCY };
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CheckQueue, DEFAULT_CONCURRENCY } = require('./CheckQueue');
+
+delete process.env.CHECK_CONCURRENCY;
+
+const silent = { log() {} };
+const createQueue = (queue) => new CheckQueue({ store: { loadConfig: async () => ({ queue }) }, logger: silent });
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test('loadQueueConfig reads concurrency and rate limits', async () => {
+  assert.deepEqual(await new CheckQueue({ logger: silent }).loadQueueConfig(), {
+    concurrency: DEFAULT_CONCURRENCY,
+    rateLimits: []
+  });
+  assert.deepEqual(
+    await createQueue({ concurrency: 2, rateLimits: { 'fox-*': { maxConcurrent: 1, minInterval: '2s' } } }).loadQueueConfig(),
+    { concurrency: 2, rateLimits: [{ pattern: 'fox-*', maxConcurrent: 1, minIntervalMs: 2000 }] }
+  );
+});
+
+test('limits how many tasks run at once', async () => {
+  const queue = createQueue({ concurrency: 2 });
+  const gates = [deferred(), deferred(), deferred()];
+  const runs = gates.map((gate, index) => queue.run(() => gate.promise.then(() => index)));
+  await tick();
+  assert.deepEqual(queue.getStats(), { active: 2, pending: 1, concurrency: 2 });
+
+  gates[0].resolve();
+  assert.equal((await runs[0]).value, 0);
+  await tick();
+  assert.equal(queue.getStats().active, 2);
+
+  gates[1].resolve();
+  gates[2].resolve();
+  assert.deepEqual((await Promise.all(runs)).map((run) => run.value), [0, 1, 2]);
+  assert.deepEqual(queue.getStats(), { active: 0, pending: 0, concurrency: 2 });
+});
+
+test('a group at its limit does not block other groups', async () => {
+  const queue = createQueue({ concurrency: 4, rateLimits: { 'fox-*': { maxConcurrent: 1 } } });
+  const gate = deferred();
+  const started = [];
+  const task = (name, wait) => () => {
+    started.push(name);
+    return wait;
+  };
+  const first = queue.run(task('fox-1', gate.promise), { group: 'fox-relay' });
+  const second = queue.run(task('fox-2'), { group: 'fox-relay' });
+  const other = queue.run(task('other'), { group: 'wolf' });
+  await other;
+  assert.deepEqual(started, ['fox-1', 'other']);
+
+  gate.resolve();
+  await Promise.all([first, second]);
+  assert.deepEqual(started, ['fox-1', 'other', 'fox-2']);
+});
+
+test('spaces out starts within a group by minInterval', async () => {
+  const queue = createQueue({ rateLimits: { relay: { minInterval: 60 } } });
+  const startedAt = [];
+  const task = () => {
+    startedAt.push(Date.now());
+  };
+  const [, second] = await Promise.all([
+    queue.run(task, { group: 'relay' }),
+    queue.run(task, { group: 'relay' })
+  ]);
+  assert.ok(startedAt[1] - startedAt[0] >= 55);
+  assert.ok(second.queueWait >= 55);
+});
+
+test('rejects with the task error and frees the slot', async () => {
+  const queue = createQueue({ concurrency: 1 });
+  await assert.rejects(queue.run(async () => {
+    throw new Error('boom');
+  }), /boom/);
+  assert.equal((await queue.run(async () => 'next')).value, 'next');
+});
@@ -0,0 +1,539 @@
+const fs = require('fs');
+const path = require('path');
+const { MATCHER_TYPES } = require('../utils/answer');
+const { API_PROBE_TYPES } = require('./ApiProbe');
+const { OUTPUT_PARSERS } = require('./OutputParsers');
+const { CHANNEL_TYPES } = require('./AlertManager');
+const { resolveSuite } = require('./QuestionSuite');
+const { ERROR_CATEGORIES } = require('./ErrorClassifier');
+const { parseActiveHours, resolveJitter, resolveSchedule, toMilliseconds } = require('./Scheduler');
+const { MAINTENANCE_FIELDS, parseMaintenanceWindow } = require('./Maintenance');
+
+const SERVICE_TYPES = new Set(['claude', 'codex', ...API_PROBE_TYPES]);
+const RETRYABLE_STATUSES = new Set(['error', 'timeout', 'fail', 'degraded']);
+
+const TOP_LEVEL_FIELDS = {
+  services: { type: 'array' },
+  checkInterval: { type: 'number', min: 1 },
+  historyRetentionDays: { type: 'number', min: 1 },
+  resultsMaxEntries: { type: 'integer', min: 1 },
+  jitter: { type: ['string', 'number'] },
+  activeHours: { type: ['string', 'object'] },
+  queue: { type: 'object' },
+  alerts: { type: 'object' },
+  maintenance: { type: 'array' }
+};
+
+const SERVICE_FIELDS = {
+  id: { type: 'string' },
+  name: { type: 'string' },
+  displayName: { type: 'string' },
+  group: { type: 'string' },
+  tags: { type: 'array' },
+  type: { type: 'string', enum: SERVICE_TYPES },
+  cwd: { type: 'string' },
+  command: { type: 'string' },
+  params: { type: 'object' },
+  model: { type: 'string' },
+  timeout: { type: 'number', min: 1 },
+  expectedAnswer: { type: ['string', 'number', 'array', 'object'] },
+  checkInterval: { type: 'integer', min: 1 },
+  schedule: { type: 'string' },
+  jitter: { type: ['string', 'number'] },
+  activeHours: { type: ['string', 'object', 'boolean', 'null'] },
+  rateLimitGroup: { type: 'string' },
+  retries: { type: 'integer', min: 0 },
+  retryDelay: { type: ['string', 'number'] },
+  retryOn: { type: 'array' },
+  maintenance: { type: 'array' },
+  enabled: { type: 'boolean' },
+  outputParser: { type: 'string', enum: new Set([...Object.keys(OUTPUT_PARSERS), 'text']) },
+  verifyModel: { type: ['boolean', 'object'] },
+  suite: { type: ['string', 'object'] }
+};
+
+// Fields each service type cannot run without. Dotted names point into `params`.
+const REQUIRED_BY_TYPE = {
+  claude: ['cwd', 'command'],
+  codex: ['command'],
+  'anthropic-api': ['cwd', 'params.model'],
+  'openai-responses': ['params.codex_home', 'params.model'],
+  'openai-chat': ['params.codex_home', 'params.model']
+};
+
+const QUEUE_FIELDS = {
+  concurrency: { type: 'integer', min: 1 },
+  rateLimits: { type: 'object' }
+};
+const RATE_LIMIT_FIELDS = {
+  maxConcurrent: { type: 'integer', min: 1 },
+  minInterval: { type: ['string', 'number'] }
+};
+
+const ALERT_FIELDS = new Set(['channels', 'rules']);
+const CHANNEL_FIELDS = new Set(['id', 'type', 'url', 'chatId', 'headers', 'timeout']);
+const RULE_FIELDS = new Set(['id', 'services', 'channels', 'failureThreshold', 'notifyRecovery', 'categories']);
+
+// Matches {name} command placeholders but not shell ${VAR} expansions.
+const PLACEHOLDER_PATTERN = /(^|[^$])\{([\w.-]+)\}/g;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, expected) {
+  const actual = typeOf(value);
+  const allowed = Array.isArray(expected) ? expected : [expected];
+  return allowed.some((type) => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Suggest a known field for a likely typo, e.g. "checkinterval".
+ * @param {string} key
+ * @param {string[]} known
+ * @returns {string|null}
+ */
+function suggestField(key, known) {
+  const lower = key.toLowerCase();
+  const byCase = known.find((candidate) => candidate.toLowerCase() === lower);
+  if (byCase) {
+    return byCase;
+  }
+
+  let best = null;
+  let bestDistance = 3;
+  for (const candidate of known) {
+    const distance = editDistance(lower, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+function unknownKeyMessage(key, known) {
+  const suggestion = suggestField(key, known);
+  return suggestion ? `Unknown field "${key}" (did you mean "${suggestion}"?)` : `Unknown field "${key}"`;
+}
+
+function checkFields(object, fields, at, report) {
+  for (const [key, value] of Object.entries(object)) {
+    const rule = fields[key];
+    if (!rule) {
+      report.warning(at, unknownKeyMessage(key, Object.keys(fields)));
+      continue;
+    }
+    if (!matchesType(value, rule.type)) {
+      const expected = Array.isArray(rule.type) ? rule.type.join(' | ') : rule.type;
+      report.error(`${at}.${key}`, `Expected ${expected}, got ${typeOf(value)}`);
+      continue;
+    }
+    if (rule.enum && !rule.enum.has(value)) {
+      report.error(`${at}.${key}`, `Must be one of ${[...rule.enum].join(', ')}, got "${value}"`);
+      continue;
+    }
+    if (rule.min != null && value < rule.min) {
+      report.error(`${at}.${key}`, `Must be at least ${rule.min}, got ${value}`);
+    }
+  }
+}
+
+function readField(service, field) {
+  if (field.startsWith('params.')) {
+    return service.params?.[field.slice('params.'.length)];
+  }
+  return service[field];
+}
+
+/**
+ * List {placeholder} names used by a command template.
+ * @param {string} command
+ * @returns {string[]}
+ */
+function listPlaceholders(command) {
+  const names = new Set();
+  for (const match of String(command).matchAll(PLACEHOLDER_PATTERN)) {
+    names.add(match[2]);
+  }
+  return [...names];
+}
+
+function checkNumber(value, at, report, { integer = false, required = false } = {}) {
+  if (value == null) {
+    if (required) {
+      report.error(at, 'Missing value');
+    }
+    return;
+  }
+  const valid = integer ? Number.isInteger(value) : Number.isFinite(value);
+  if (!valid || value < 0) {
+    report.error(at, `Expected a non-negative ${integer ? 'integer' : 'number'}, got ${JSON.stringify(value)}`);
+  }
+}
+
+function checkMatcher(matcher, at, report) {
+  if (Array.isArray(matcher)) {
+    matcher.forEach((item, index) => checkMatcher(item, `${at}[${index}]`, report));
+    return;
+  }
+  if (!matcher || typeof matcher !== 'object') {
+    return;
+  }
+  if (!MATCHER_TYPES.has(matcher.type)) {
+    report.error(at, `Unknown matcher type "${matcher.type}"`);
+    return;
+  }
+  if (matcher.type === 'regex') {
+    try {
+      new RegExp(matcher.pattern, matcher.flags || '');
+    } catch (error) {
+      report.error(`${at}.pattern`, `Invalid regular expression: ${error.message}`);
+    }
+  }
+  if (matcher.type === 'numeric') {
+    if (matcher.value == null || matcher.value === '' || !Number.isFinite(Number(matcher.value))) {
+      report.error(`${at}.value`, `Expected a number, got ${JSON.stringify(matcher.value)}`);
+    }
+    checkNumber(matcher.tolerance, `${at}.tolerance`, report);
+  }
+  if (matcher.type === 'minLength') {
+    checkNumber(matcher.value, `${at}.value`, report, { integer: true, required: true });
+  }
+  if (matcher.type === 'all' || matcher.type === 'any') {
+    if (!Array.isArray(matcher.matchers)) {
+      report.error(`${at}.matchers`, 'Expected array');
+      return;
+    }
+    matcher.matchers.forEach((item, index) => checkMatcher(item, `${at}.matchers[${index}]`, report));
+  }
+}
+
+function checkService(service, at, report, options) {
+  checkFields(service, SERVICE_FIELDS, at, report);
+
+  if (!service.id && !service.name) {
+    report.error(at, 'Missing "id" (or "name")');
+  }
+  if (service.type == null) {
+    report.error(at, 'Missing "type"');
+  }
+
+  for (const field of REQUIRED_BY_TYPE[service.type] || []) {
+    const value = readField(service, field);
+    if (value == null || value === '') {
+      report.error(at, `Type "${service.type}" requires "${field}"`);
+    }
+  }
+
+  if (typeof service.command === 'string') {
+    const params = service.params && typeof service.params === 'object' ? service.params : {};
+    for (const name of listPlaceholders(service.command)) {
+      // Suites fill {prompt} per question.
+      if (name === 'prompt' && service.suite) {
+        continue;
+      }
+      if (params[name] == null) {
+        report.error(`${at}.command`, `Placeholder {${name}} has no matching "params.${name}"`);
+      }
+    }
+  }
+
+  if (API_PROBE_TYPES.has(service.type) && !service.suite && !service.params?.prompt) {
+    report.error(at, `Type "${service.type}" requires "params.prompt" or "suite"`);
+  }
+
+  if (service.expectedAnswer != null) {
+    checkMatcher(service.expectedAnswer, `${at}.expectedAnswer`, report);
+  }
+
+  checkSchedule(service, at, report);
+
+  if (service.retryDelay != null && toMilliseconds(service.retryDelay) == null) {
+    report.error(`${at}.retryDelay`, `Invalid duration "${service.retryDelay}"`);
+  }
+  if (Array.isArray(service.retryOn)) {
+    const invalid = service.retryOn.filter((status) => !RETRYABLE_STATUSES.has(status));
+    if (invalid.length > 0) {
+      report.error(
+        `${at}.retryOn`,
+        `Must contain only ${[...RETRYABLE_STATUSES].join(', ')}, got ${invalid.map((status) => `"${status}"`).join(', ')}`
+      );
+    }
+  }
+
+  if (Array.isArray(service.tags) && service.tags.some((tag) => typeof tag !== 'string' || !tag)) {
+    report.error(`${at}.tags`, 'Must contain only non-empty strings');
+  }
+
+  if (Array.isArray(service.maintenance)) {
+    checkMaintenance(service.maintenance, `${at}.maintenance`, report);
+  }
+
+  if (options.resolvePath) {
+    checkPaths(service, at, report, options.resolvePath);
+  }
+}
+
+function checkSchedule(service, at, report) {
+  const checks = [
+    ['schedule', () => resolveSchedule(service)],
+    ['checkInterval', () => resolveSchedule({ checkInterval: service.checkInterval })],
+    ['jitter', () => resolveJitter(service)],
+    ['activeHours', () => parseActiveHours(service.activeHours)]
+  ];
+  for (const [field, check] of checks) {
+    if (service[field] == null || typeof service[field] === 'boolean') {
+      continue;
+    }
+    try {
+      check();
+    } catch (error) {
+      report.error(`${at}.${field}`, error.message);
+    }
+  }
+}
+
+function checkPaths(service, at, report, resolvePath) {
+  for (const field of ['cwd', 'params.codex_home']) {
+    const value = readField(service, field);
+    if (typeof value === 'string' && value && !fs.existsSync(resolvePath(value))) {
+      report.error(`${at}.${field}`, `Path does not exist: ${value}`);
+    }
+  }
+
+  if (service.suite) {
+    try {
+      resolveSuite(service, resolvePath);
+    } catch (error) {
+      report.error(`${at}.suite`, error.message);
+    }
+  }
+}
+
+function checkQueue(queue, report) {
+  checkFields(queue, QUEUE_FIELDS, 'queue', report);
+  const rateLimits = queue.rateLimits && typeof queue.rateLimits === 'object' ? queue.rateLimits : {};
+  for (const [group, limit] of Object.entries(rateLimits)) {
+    const at = `queue.rateLimits["${group}"]`;
+    if (!limit || typeof limit !== 'object' || Array.isArray(limit)) {
+      report.error(at, 'Expected object');
+      continue;
+    }
+    checkFields(limit, RATE_LIMIT_FIELDS, at, report);
+    if (limit.minInterval != null && !toMilliseconds(limit.minInterval)) {
+      report.error(`${at}.minInterval`, `Invalid duration "${limit.minInterval}"`);
+    }
+  }
+}
+
+function checkMaintenance(entries, at, report) {
+  entries.forEach((entry, index) => {
+    const entryAt = `${at}[${index}]`;
+    if (entry && typeof entry === 'object') {
+      for (const key of Object.keys(entry)) {
+        if (!MAINTENANCE_FIELDS.has(key)) {
+          report.warning(entryAt, unknownKeyMessage(key, [...MAINTENANCE_FIELDS]));
+        }
+      }
+    }
+    try {
+      parseMaintenanceWindow(entry);
+    } catch (error) {
+      report.error(entryAt, error.message);
+    }
+  });
+}
+
+function checkAlerts(alerts, report) {
+  for (const key of Object.keys(alerts)) {
+    if (!ALERT_FIELDS.has(key)) {
+      report.warning('alerts', unknownKeyMessage(key, [...ALERT_FIELDS]));
+    }
+  }
+
+  const channelIds = new Set();
+  const channels = Array.isArray(alerts.channels) ? alerts.channels : [];
+  channels.forEach((channel, index) => {
+    const at = `alerts.channels[${index}]`;
+    if (!channel || typeof channel !== 'object') {
+      report.error(at, 'Expected object');
+      return;
+    }
+    for (const key of Object.keys(channel)) {
+      if (!CHANNEL_FIELDS.has(key)) {
+        report.warning(at, unknownKeyMessage(key, [...CHANNEL_FIELDS]));
+      }
+    }
+    if (!channel.id || !channel.url) {
+      report.error(at, 'Channel requires "id" and "url"');
+    }
+    if (channel.type != null && !CHANNEL_TYPES.has(channel.type)) {
+      report.error(`${at}.type`, `Must be one of ${[...CHANNEL_TYPES].join(', ')}, got "${channel.type}"`);
+    }
+    if (channel.type === 'telegram' && !channel.chatId) {
+      report.error(at, 'Telegram channel requires "chatId"');
+    }
+    if (channel.id) {
+      channelIds.add(channel.id);
+    }
+  });
+
+  const rules = Array.isArray(alerts.rules) ? alerts.rules : [];
+  rules.forEach((rule, index) => {
+    const at = `alerts.rules[${index}]`;
+    if (!rule || typeof rule !== 'object') {
+      report.error(at, 'Expected object');
+      return;
+    }
+    for (const key of Object.keys(rule)) {
+      if (!RULE_FIELDS.has(key)) {
+        report.warning(at, unknownKeyMessage(key, [...RULE_FIELDS]));
+      }
+    }
+    for (const channelId of Array.isArray(rule.channels) ? rule.channels : []) {
+      if (!channelIds.has(channelId)) {
+        report.error(`${at}.channels`, `Unknown channel "${channelId}"`);
+      }
+    }
+    for (const category of Array.isArray(rule.categories) ? rule.categories : []) {
+      if (!ERROR_CATEGORIES.includes(category)) {
+        report.error(`${at}.categories`, `Unknown error category "${category}"`);
+      }
+    }
+  });
+}
+
+/**
+ * Validate a parsed services.json. Invalid services are left out of
+ * `services` so the rest of the configuration can still be monitored.
+ * @param {object} config
+ * @param {{resolvePath?: Function}} [options] - pass resolvePath to also check that referenced paths exist
+ * @returns {{valid: boolean, errors: Array<{path: string, service: string|null, message: string}>, warnings: Array<{path: string, service: string|null, message: string}>, services: Array, skipped: string[]}}
+ */
+function validateConfig(config, options = {}) {
+  const errors = [];
+  const warnings = [];
+  const services = [];
+  const skipped = [];
+  let currentService = null;
+
+  const report = {
+    error: (at, message) => errors.push({ path: at, service: currentService, message }),
+    warning: (at, message) => warnings.push({ path: at, service: currentService, message })
+  };
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    report.error('$', 'Configuration must be a JSON object');
+    return { valid: false, errors, warnings, services, skipped };
+  }
+
+  checkFields(config, TOP_LEVEL_FIELDS, '$', report);
+  checkSchedule({ jitter: config.jitter, activeHours: config.activeHours }, '$', report);
+
+  if (config.queue && typeof config.queue === 'object') {
+    checkQueue(config.queue, report);
+  }
+
+  if (config.alerts && typeof config.alerts === 'object') {
+    checkAlerts(config.alerts, report);
+  }
+
+  if (Array.isArray(config.maintenance)) {
+    checkMaintenance(config.maintenance, 'maintenance', report);
+  }
+
+  const seenIds = new Map();
+  const list = Array.isArray(config.services) ? config.services : [];
+  list.forEach((service, index) => {
+    const at = `services[${index}]`;
+    if (!service || typeof service !== 'object' || Array.isArray(service)) {
+      currentService = null;
+      report.error(at, 'Expected object');
+      skipped.push(at);
+      return;
+    }
+
+    const serviceId = typeof (service.id || service.name) === 'string' ? service.id || service.name : null;
+    currentService = serviceId;
+    const errorCount = errors.length;
+
+    checkService(service, at, report, options);
+
+    if (serviceId && seenIds.has(serviceId)) {
+      report.error(at, `Duplicate id "${serviceId}" (first defined at services[${seenIds.get(serviceId)}])`);
+    } else if (serviceId) {
+      seenIds.set(serviceId, index);
+    }
+
+    if (errors.length === errorCount) {
+      services.push(service);
+    } else {
+      skipped.push(serviceId || at);
+    }
+  });
+
+  return { valid: errors.length === 0, errors, warnings, services, skipped };
+}
+
+/**
+ * Render a validation issue as a single line.
+ * @param {{path: string, service: string|null, message: string}} issue
+ * @returns {string}
+ */
+function formatIssue(issue) {
+  const label = issue.service ? `${issue.path} (${issue.service})` : issue.path;
+  return `${label}: ${issue.message}`;
+}
+
+/**
+ * Read and validate a services.json file.
+ * @param {string} configPath
+ * @param {{resolvePath?: Function}} [options]
+ * @returns {ReturnType<typeof validateConfig>}
+ */
+function validateConfigFile(configPath, options = {}) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(path.resolve(configPath), 'utf8'));
+  } catch (error) {
+    return {
+      valid: false,
+      errors: [{ path: '$', service: null, message: `Failed to read ${configPath}: ${error.message}` }],
+      warnings: [],
+      services: [],
+      skipped: []
+    };
+  }
+  return validateConfig(config, options);
+}
+
+module.exports = {
+  SERVICE_FIELDS,
+  SERVICE_TYPES,
+  formatIssue,
+  listPlaceholders,
+  validateConfig,
+  validateConfigFile
+};
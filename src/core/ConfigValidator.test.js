@@ -0,0 +1,99 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatIssue, listPlaceholders, validateConfig, validateConfigFile } = require('./ConfigValidator');
+
+const codex = (overrides = {}) => ({
+  id: 'codex-fox',
+  type: 'codex',
+  command: 'codex exec {prompt}',
+  params: { prompt: '1+1=?' },
+  ...overrides
+});
+
+const messages = (report) => report.errors.map((issue) => `${issue.path}: ${issue.message}`);
+
+test('accepts the shipped example configuration', () => {
+  const report = validateConfigFile(path.join(__dirname, '..', '..', 'config', 'services.json.example'));
+  assert.deepEqual(report.errors, []);
+  assert.equal(report.valid, true);
+  assert.equal(report.services.length, 3);
+});
+
+test('skips only the invalid services', () => {
+  const report = validateConfig({ services: [codex(), { id: 'broken', type: 'codex' }, null] });
+  assert.equal(report.valid, false);
+  assert.deepEqual(report.services.map((service) => service.id), ['codex-fox']);
+  assert.deepEqual(report.skipped, ['broken', 'services[2]']);
+  assert.deepEqual(messages(report), [
+    'services[1]: Type "codex" requires "command"',
+    'services[2]: Expected object'
+  ]);
+});
+
+test('reports types, placeholders and duplicates', () => {
+  const report = validateConfig({
+    services: [
+      codex({ timeout: '30s', command: 'codex exec {prompt} -m {model}' }),
+      codex({ type: 'gemini' }),
+      codex()
+    ]
+  });
+  assert.deepEqual(messages(report), [
+    'services[0].timeout: Expected number, got string',
+    'services[0].command: Placeholder {model} has no matching "params.model"',
+    'services[1].type: Must be one of claude, codex, anthropic-api, openai-responses, openai-chat, got "gemini"',
+    'services[1]: Duplicate id "codex-fox" (first defined at services[0])',
+    'services[2]: Duplicate id "codex-fox" (first defined at services[0])'
+  ]);
+});
+
+test('API probes need a model and a prompt', () => {
+  const report = validateConfig({ services: [{ id: 'api', type: 'anthropic-api', cwd: 'config/claude/x' }] });
+  assert.deepEqual(messages(report), [
+    'services[0]: Type "anthropic-api" requires "params.model"',
+    'services[0]: Type "anthropic-api" requires "params.prompt" or "suite"'
+  ]);
+});
+
+test('validates matchers, schedules and retries', () => {
+  const report = validateConfig({
+    services: [
+      codex({
+        expectedAnswer: { type: 'all', matchers: [{ type: 'regex', pattern: '(' }, { type: 'fuzzy' }] },
+        schedule: '30d',
+        retryOn: ['ok']
+      })
+    ]
+  });
+  const errors = messages(report);
+  assert.match(errors[0], /^services\[0\]\.expectedAnswer\.matchers\[0\]\.pattern: Invalid regular expression/);
+  assert.equal(errors[1], 'services[0].expectedAnswer.matchers[1]: Unknown matcher type "fuzzy"');
+  assert.match(errors[2], /^services\[0\]\.schedule: .*longer than/);
+  assert.match(errors[3], /^services\[0\]\.retryOn: Must contain only/);
+});
+
+test('warns about unknown fields with a suggestion', () => {
+  const report = validateConfig({ services: [codex({ timout: 1000 })] });
+  assert.equal(report.valid, true);
+  assert.equal(formatIssue(report.warnings[0]), 'services[0] (codex-fox): Unknown field "timout" (did you mean "timeout"?)');
+});
+
+test('checks referenced paths when asked to', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validator-'));
+  try {
+    const config = { services: [codex({ type: 'claude', cwd: 'missing' })] };
+    const report = validateConfig(config, { resolvePath: (value) => path.join(dir, value) });
+    assert.deepEqual(messages(report), ['services[0].cwd: Path does not exist: missing']);
+    fs.mkdirSync(path.join(dir, 'missing'));
+    assert.equal(validateConfig(config, { resolvePath: (value) => path.join(dir, value) }).valid, true);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('listPlaceholders', () => {
+  assert.deepEqual(listPlaceholders('claude -p {prompt} --model {model} {prompt}'), ['prompt', 'model']);
+});
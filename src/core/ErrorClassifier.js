@@ -0,0 +1,133 @@
+/**
+ * Classify failed checks into coarse categories so a relay whose key
+ * expired is not reported the same way as one that is down. Works on the
+ * text Claude Code, Codex and the HTTP probes print for API failures.
+ */
+
+const ERROR_CATEGORIES = [
+  'auth',
+  'quota',
+  'rate_limit',
+  'model_not_found',
+  'upstream_5xx',
+  'network',
+  'cli_missing',
+  'timeout',
+  'wrong_answer',
+  'unknown'
+];
+
+// Checked in order; the first match wins.
+const KEYWORD_RULES = [
+  {
+    category: 'model_not_found',
+    pattern: /model_not_found|model[_ ]not[_ ]found|model\b[^\n]{0,80}\b(?:does not exist|not found|not supported|is not available|unavailable)|no such model|invalid model|unknown model/i
+  },
+  {
+    category: 'quota',
+    pattern: /insufficient_quota|quota|credit balance|billing|余额不足|额度/i
+  },
+  {
+    category: 'rate_limit',
+    pattern: /rate[_ ]limit|too many requests|请求过于频繁/i
+  },
+  {
+    category: 'auth',
+    pattern: /authentication_error|permission_error|invalid[_ ](?:api[_ ])?key|invalid x-api-key|incorrect api key|unauthorized|forbidden|please run \/login|oauth token|令牌|未授权/i
+  },
+  {
+    category: 'upstream_5xx',
+    pattern: /overloaded_error|overloaded|internal server error|bad gateway|service unavailable|gateway time-?out|\bapi_error\b/i
+  },
+  {
+    category: 'network',
+    pattern: /ECONNREFUSED|ECONNRESET|ENOTFOUND|ETIMEDOUT|EAI_AGAIN|EHOSTUNREACH|ENETUNREACH|fetch failed|socket hang up|connection (?:error|refused|reset)|stream disconnected|getaddrinfo|certificate|self[- ]signed|network error/i
+  }
+];
+
+const STATUS_CODE_PATTERNS = [
+  /API Error:\s*(\d{3})/i,
+  /\bHTTP\/?[\d.]*\s+(\d{3})\b/i,
+  /(?:unexpected|last) status:?\s*(\d{3})/i,
+  /status(?:[ _]?code)?["']?\s*[:=]\s*(\d{3})\b/i
+];
+
+// Only the shell's and spawn's own messages: a bare ENOENT usually means a
+// missing cwd or input file, not a missing CLI.
+const CLI_MISSING_PATTERN = /command not found|^(?:\S*\/)?(?:ba|da|z)?sh: .*: not found|spawn \S+ ENOENT/im;
+
+/**
+ * Find the first HTTP status code mentioned in API error output.
+ * @param {string} text
+ * @returns {number|null}
+ */
+function extractStatusCode(text) {
+  for (const pattern of STATUS_CODE_PATTERNS) {
+    const match = pattern.exec(text);
+    if (match) {
+      return Number(match[1]);
+    }
+  }
+  return null;
+}
+
+function categoryForStatusCode(code) {
+  if (code === 401 || code === 403) return 'auth';
+  if (code === 402) return 'quota';
+  if (code === 429) return 'rate_limit';
+  // Relays answer 404 when the requested model is not routed.
+  if (code === 404) return 'model_not_found';
+  if (code >= 500 && code <= 599) return 'upstream_5xx';
+  return null;
+}
+
+/**
+ * Classify a check result. Returns null for passing and degraded checks.
+ * @param {{status: string, message?: string|null, stdout?: string, stderr?: string}} result
+ * @returns {string|null}
+ */
+function classifyError(result) {
+  const status = result?.status;
+  if (!status || status === 'ok' || status === 'degraded') {
+    return null;
+  }
+  if (status === 'timeout') {
+    return 'timeout';
+  }
+
+  const message = String(result.message ?? '');
+  // For "fail" the message is the matcher's reason, not output from the provider.
+  const text = [status === 'fail' ? null : message, result.stderr, result.stdout]
+    .filter((part) => typeof part === 'string' && part)
+    .join('\n');
+
+  if (status === 'error' && (/Exit code: 127\b/.test(message) || CLI_MISSING_PATTERN.test(text))) {
+    return 'cli_missing';
+  }
+
+  const code = extractStatusCode(text);
+  // A reply that did not match is a wrong answer unless it is an API error
+  // printed with a zero exit code.
+  if (status === 'fail' && code == null && !/\berror\b/i.test(text)) {
+    return 'wrong_answer';
+  }
+
+  for (const rule of KEYWORD_RULES) {
+    if (rule.pattern.test(text)) {
+      return rule.category;
+    }
+  }
+
+  const byCode = code != null ? categoryForStatusCode(code) : null;
+  if (byCode) {
+    return byCode;
+  }
+
+  return status === 'fail' ? 'wrong_answer' : 'unknown';
+}
+
+module.exports = {
+  ERROR_CATEGORIES,
+  classifyError,
+  extractStatusCode
+};
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyError, extractStatusCode } = require('./ErrorClassifier');
+
+const error = (stderr, message = '') => ({ status: 'error', message, stderr, stdout: '' });
+
+test('passing, degraded and timed-out checks', () => {
+  assert.equal(classifyError({ status: 'ok' }), null);
+  assert.equal(classifyError({ status: 'degraded' }), null);
+  assert.equal(classifyError({ status: 'timeout', stderr: '401' }), 'timeout');
+});
+
+test('cli_missing only for shell and spawn errors', () => {
+  assert.equal(classifyError(error('', 'spawn claude ENOENT')), 'cli_missing');
+  assert.equal(classifyError(error('sh: 1: codex: not found')), 'cli_missing');
+  assert.equal(classifyError(error('/bin/bash: line 1: claude: command not found')), 'cli_missing');
+  assert.equal(classifyError(error('', 'Exit code: 127')), 'cli_missing');
+  assert.equal(
+    classifyError(error("ENOENT: no such file or directory, open '/srv/relay/.codex/auth.json'")),
+    'unknown'
+  );
+  assert.equal(classifyError(error('Error: No such file or directory (os error 2)')), 'unknown');
+});
+
+test('keywords take priority over status codes', () => {
+  assert.equal(classifyError(error('API Error: 403 {"error":{"type":"insufficient_quota"}}')), 'quota');
+  assert.equal(classifyError(error('API Error: 400 model "gpt-9" does not exist')), 'model_not_found');
+  assert.equal(classifyError(error('429 Too Many Requests')), 'rate_limit');
+  assert.equal(classifyError(error('invalid x-api-key')), 'auth');
+  assert.equal(classifyError(error('connect ECONNREFUSED 127.0.0.1:443')), 'network');
+});
+
+test('status codes classify otherwise unrecognised errors', () => {
+  assert.equal(classifyError(error('API Error: 401')), 'auth');
+  assert.equal(classifyError(error('HTTP/1.1 404')), 'model_not_found');
+  assert.equal(classifyError(error('unexpected status 502')), 'upstream_5xx');
+  assert.equal(classifyError(error('something odd')), 'unknown');
+});
+
+test('failed matches are wrong answers unless the output is an API error', () => {
+  assert.equal(classifyError({ status: 'fail', message: 'Expected 4', stdout: '5' }), 'wrong_answer');
+  assert.equal(classifyError({ status: 'fail', message: 'quota', stdout: '5' }), 'wrong_answer');
+  assert.equal(classifyError({ status: 'fail', stdout: 'API Error: 429 rate limited' }), 'rate_limit');
+});
+
+test('extractStatusCode', () => {
+  assert.equal(extractStatusCode('API Error: 529 overloaded'), 529);
+  assert.equal(extractStatusCode('{"status_code": 503}'), 503);
+  assert.equal(extractStatusCode('nothing here'), null);
+});
@@ -1,4 +1,4 @@
-const cron = require('node-cron');
+const EventEmitter = require('events');
 const fs = require('fs');
 const fsp = fs.promises;
 const path = require('path');
@@ -6,28 +6,132 @@ const os = require('os');
 const logger = require('../utils/logger');
 const { StatusStore } = require('./StatusStore');
 const { ServiceChecker, resolvePath } = require('./ServiceChecker');
+const { AlertManager } = require('./AlertManager');
+const {
+  parseActiveHours,
+  resolveJitter,
+  resolveSchedule,
+  scheduleTask,
+  toMilliseconds
+} = require('./Scheduler');
+
+// fs.watch fires several events per save; wait for the file to settle.
+const CONFIG_RELOAD_DEBOUNCE_MS = 500;
+const DEFAULT_RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+const DEFAULT_RETRY_ON = ['error', 'timeout'];
 
 /**
- * Calculate uptime percentage from recent checks
+ * Calculate uptime percentage from recent checks. Only `ok` counts as up;
+ * `degraded` (model substitution) answers but is not what was paid for.
+ * Checks run during maintenance are left out.
  * @param {Array} recentChecks
  * @returns {number}
  */
 function calculateUptime(recentChecks) {
-  if (!Array.isArray(recentChecks) || recentChecks.length === 0) {
+  const checks = Array.isArray(recentChecks)
+    ? recentChecks.filter((check) => !check.maintenance)
+    : [];
+  if (checks.length === 0) {
     return 0;
   }
 
-  const successCount = recentChecks.filter((check) => check.status === 'ok').length;
-  return Math.round((successCount / recentChecks.length) * 100 * 10) / 10;
+  const successCount = checks.filter((check) => check.status === 'ok').length;
+  return Math.round((successCount / checks.length) * 100 * 10) / 10;
 }
 
-class HealthMonitor {
+/**
+ * Name shown for a service on public pages and badges. The internal name
+ * often identifies the relay, so services without a displayName fall back
+ * to their position in services.json.
+ * @param {object} service
+ * @param {number} index - position in services.json
+ * @returns {string}
+ */
+function publicServiceName(service, index) {
+  return service?.displayName || `Service ${index + 1}`;
+}
+
+/**
+ * Overall status of a set of public services. Services under maintenance
+ * or not yet checked do not count towards an outage.
+ * @param {Array<{status: string, maintenance: boolean}>} services
+ * @returns {'operational'|'degraded'|'partial_outage'|'major_outage'|'maintenance'|'unknown'}
+ */
+function summarizePublicStatus(services) {
+  const checked = services.filter((service) => !service.maintenance && service.status !== 'unknown');
+  if (checked.length === 0) {
+    return services.some((service) => service.maintenance) ? 'maintenance' : 'unknown';
+  }
+  const down = checked.filter((service) => service.status !== 'ok' && service.status !== 'degraded').length;
+  if (down === 0) {
+    return checked.some((service) => service.status === 'degraded') ? 'degraded' : 'operational';
+  }
+  return down === checked.length ? 'major_outage' : 'partial_outage';
+}
+
+/**
+ * Resolve a service's retry settings. `retryDelay` doubles after each attempt.
+ * @param {object} service
+ * @returns {{retries: number, delayMs: number, retryOn: Set<string>}}
+ */
+function resolveRetryPolicy(service) {
+  const retries = Number.isInteger(service?.retries) && service.retries > 0 ? service.retries : 0;
+  const delayMs = service?.retryDelay != null ? toMilliseconds(service.retryDelay) : null;
+  return {
+    retries,
+    delayMs: delayMs ?? DEFAULT_RETRY_DELAY_MS,
+    retryOn: new Set(Array.isArray(service?.retryOn) ? service.retryOn : DEFAULT_RETRY_ON)
+  };
+}
+
+function summarizeAttempt(result, attempt) {
+  return {
+    attempt,
+    status: result.status,
+    errorCategory: result.errorCategory ?? null,
+    message: result.message ?? null,
+    responseTime: result.responseTime ?? 0,
+    checkedAt: result.checkedAt ?? null
+  };
+}
+
+/**
+ * Global schedule settings that services inherit unless they override them.
+ * @param {object} config
+ * @returns {{jitter?: string|number, activeHours?: string|object}}
+ */
+function pickScheduleDefaults(config) {
+  const defaults = {};
+  if (config?.jitter != null) defaults.jitter = config.jitter;
+  if (config?.activeHours != null) defaults.activeHours = config.activeHours;
+  return defaults;
+}
+
+/**
+ * Schedules and runs checks. Emits `check.started`, `check.completed` and
+ * `status.changed` for the live event stream.
+ */
+class HealthMonitor extends EventEmitter {
   constructor(options = {}) {
+    super();
+    // Each open /api/events stream adds its own listeners.
+    this.setMaxListeners(0);
     this.checker = options.checker instanceof ServiceChecker ? options.checker : null;
     this.store = options.store instanceof StatusStore ? options.store : null;
+    this.alerts = options.alerts instanceof AlertManager ? options.alerts : null;
     this.logger = options.logger || logger;
     this.isChecking = false;
+    this.running = false;
+    this.paused = false;
+    this.activeChecks = new Map();
+    this.pendingChecks = new Map();
     this.serviceTasks = new Map();
+    this.scheduledConfigs = new Map();
+    this.scheduleDefaults = {};
+    this.reloadQueue = Promise.resolve();
+    this.configWatcher = null;
+    this.reloadTimer = null;
     this.claudeConfigInitialized = false;
   }
 
@@ -39,6 +143,10 @@ class HealthMonitor {
     this.store = store;
   }
 
+  bindAlerts(alerts) {
+    this.alerts = alerts;
+  }
+
   /**
    * Initialize local Claude configuration with template defaults, project entries,
    * and pre-approved API key suffixes discovered in service configurations.
@@ -239,34 +347,20 @@ class HealthMonitor {
 
   async start() {
     this.#assertReady();
-    if (this.serviceTasks.size > 0) {
+    if (this.running) {
       return;
     }
 
     await this.initializeClaudeConfig();
 
-    const services = await this.#loadEnabledServices();
-
-    for (const service of services) {
-      const serviceId = service.id || service.name;
-      if (!serviceId) continue;
-
-      const intervalMinutes = service.checkInterval || 5;
-      const cronExpression = `*/${intervalMinutes} * * * *`;
-
-      const task = cron.schedule(cronExpression, () => {
-        this.runCheckForService(service).catch((error) => {
-          this.logger.log('error', 'monitor', `Failed to check service ${serviceId}`, error);
-        });
-      });
-
-      this.serviceTasks.set(serviceId, task);
-      this.logger.log('info', 'monitor', `Scheduled service ${serviceId} with interval ${intervalMinutes} minutes`);
+    const config = await this.store.loadConfig();
+    this.scheduleDefaults = pickScheduleDefaults(config);
 
-      this.runCheckForService(service).catch((error) => {
-        this.logger.log('error', 'monitor', `Failed initial check for service ${serviceId}`, error);
-      });
+    for (const service of config.services.filter((item) => item && item.enabled)) {
+      this.#scheduleService(service);
     }
+    this.running = true;
+    await this.#resolveUnmonitoredIncidents();
 
     this.generatePublicStatus().catch((error) => {
       this.logger.log('warn', 'monitor', 'Failed to generate initial public status', error);
@@ -274,37 +368,185 @@ class HealthMonitor {
   }
 
   stop() {
-    for (const [serviceId, task] of this.serviceTasks.entries()) {
-      task.stop();
-      this.logger.log('info', 'monitor', `Stopped task for service ${serviceId}`);
+    for (const serviceId of [...this.serviceTasks.keys()]) {
+      this.#unscheduleService(serviceId);
+    }
+    if (this.configWatcher) {
+      this.configWatcher.close();
+      this.configWatcher = null;
+    }
+    clearTimeout(this.reloadTimer);
+    this.running = false;
+  }
+
+  /**
+   * Stop starting scheduled checks until resume() is called. Checks that
+   * are already running finish, and manual checks still run.
+   */
+  pause() {
+    this.paused = true;
+    this.logger.log('info', 'monitor', 'Scheduler paused');
+  }
+
+  resume() {
+    this.paused = false;
+    this.logger.log('info', 'monitor', 'Scheduler resumed');
+  }
+
+  /**
+   * Checks currently in progress, as sent in their `check.started` event.
+   * @returns {Array<{serviceId: string, name: string, startedAt: string}>}
+   */
+  getActiveChecks() {
+    return [...this.activeChecks.values()];
+  }
+
+  getSchedulerState() {
+    return {
+      running: this.running,
+      paused: this.paused,
+      services: [...this.serviceTasks.keys()]
+    };
+  }
+
+  /**
+   * Run a check for a configured service right away and record it, even if
+   * the service is disabled or in a skip maintenance window.
+   * @param {string} serviceId
+   * @returns {Promise<object|null>} the recorded result, or null if the service is unknown
+   */
+  async checkNow(serviceId) {
+    this.#assertReady();
+    const config = await this.store.loadConfig();
+    const service = config.services.find((item) => item && (item.id || item.name) === serviceId);
+    if (!service) {
+      return null;
+    }
+    return this.runCheckForService(service, { force: true });
+  }
+
+  /**
+   * Re-read services.json and reschedule only the services that were added,
+   * removed or changed. Unchanged services keep their cron task, and history
+   * is keyed by service id so it survives the reload.
+   * @returns {Promise<{added: string[], removed: string[], changed: string[]}>}
+   */
+  reload() {
+    const run = this.reloadQueue.then(() => this.#reload());
+    this.reloadQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Reload automatically when services.json changes. The parent directory is
+   * watched so editors that save by replacing the file are picked up too.
+   * @param {string} [configPath]
+   */
+  watchConfig(configPath = this.store?.paths?.config) {
+    if (this.configWatcher || !configPath) {
+      return;
+    }
+
+    const fileName = path.basename(configPath);
+    try {
+      this.configWatcher = fs.watch(path.dirname(configPath), (eventType, changed) => {
+        if (changed && changed !== fileName) {
+          return;
+        }
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => {
+          this.reload().catch(() => {});
+        }, CONFIG_RELOAD_DEBOUNCE_MS);
+      });
+      this.configWatcher.on('error', (error) => {
+        this.logger.log('warn', 'monitor', 'Config watcher failed; use SIGHUP to reload', error);
+      });
+      this.logger.log('info', 'monitor', `Watching ${configPath} for changes`);
+    } catch (error) {
+      this.logger.log('warn', 'monitor', `Failed to watch ${configPath}; use SIGHUP to reload`, error);
     }
-    this.serviceTasks.clear();
   }
 
-  async runCheckForService(service) {
+  /**
+   * Run and record a check. A call made while the service is already being
+   * checked (including retry backoff) shares that run's result instead of
+   * starting a second one.
+   * @param {object} service
+   * @param {{force?: boolean}} [options] - force runs even in a skip maintenance window
+   * @returns {Promise<object|null>} the recorded result, or null when skipped
+   */
+  async runCheckForService(service, options = {}) {
     this.#assertReady();
     const serviceId = service.id || service.name;
-    if (!serviceId) return;
+    if (!serviceId) return null;
 
+    const pending = this.pendingChecks.get(serviceId);
+    if (pending) {
+      this.logger.log('info', 'monitor', `Check for ${serviceId} already in progress; not starting another`);
+      return pending;
+    }
+
+    const run = this.#runCheck(service, serviceId, options);
+    this.pendingChecks.set(serviceId, run);
     try {
-      const result = await this.checker.check(service);
-      await this.store.recordCheckResult(serviceId, result);
-    } catch (error) {
-      const fallback = {
-        name: service.name || serviceId,
-        stdout: '',
-        stderr: '',
-        checkedAt: new Date().toISOString(),
-        status: 'error',
-        message: error.message,
-        responseTime: 0,
-        expectedAnswer: service.expectedAnswer ?? null
-      };
-      this.logger.log('error', 'monitor', `Failed to check service ${serviceId}`, { error, result: fallback });
-      await this.store.recordCheckResult(serviceId, fallback);
+      return await run;
+    } finally {
+      this.pendingChecks.delete(serviceId);
     }
+  }
 
+  async #runCheck(service, serviceId, options) {
+    const maintenance = await this.store.getActiveMaintenance(serviceId);
+    if (maintenance?.mode === 'skip' && !options.force) {
+      this.logger.log('info', 'monitor', `Skipping ${serviceId} during maintenance ${maintenance.id}`);
+      return null;
+    }
+
+    const previousStatus = this.store.getCurrentStatus(serviceId);
+    const started = {
+      serviceId,
+      name: service.name || serviceId,
+      startedAt: new Date().toISOString()
+    };
+    this.activeChecks.set(serviceId, started);
+    this.#emit('check.started', started);
+
+    let result;
+    try {
+      try {
+        result = await this.#checkWithRetries(service);
+        if (maintenance) {
+          result = { ...result, maintenance: true };
+        }
+        await this.store.recordCheckResult(serviceId, result);
+      } catch (error) {
+        const fallback = {
+          name: service.name || serviceId,
+          stdout: '',
+          stderr: '',
+          checkedAt: new Date().toISOString(),
+          status: 'error',
+          errorCategory: 'unknown',
+          message: error.message,
+          responseTime: 0,
+          maintenance: Boolean(maintenance),
+          expectedAnswer: service.expectedAnswer ?? null
+        };
+        this.logger.log('error', 'monitor', `Failed to check service ${serviceId}`, { error, result: fallback });
+        await this.store.recordCheckResult(serviceId, fallback);
+        result = fallback;
+      }
+
+      // Alerts stay quiet during maintenance.
+      if (!maintenance) {
+        await this.#evaluateAlerts(service, result);
+      }
+    } finally {
+      this.activeChecks.delete(serviceId);
+    }
+    await this.#emitCompleted(serviceId, previousStatus);
     await this.generatePublicStatus();
+    return result;
   }
 
   async runChecks() {
@@ -321,62 +563,293 @@ class HealthMonitor {
     }
   }
 
-  async generatePublicStatus() {
-    try {
-      this.#assertReady();
-      const config = await this.store.loadConfig();
-      const servicesConfig = Array.isArray(config.services) ? config.services : [];
-      const summaries = await this.store.getAllServicesSummary();
-
-      const configMap = new Map();
-      for (const service of servicesConfig) {
-        const serviceId = service?.id || service?.name;
-        if (serviceId) {
-          configMap.set(serviceId, service);
-        }
+  /**
+   * Anonymized status for the public status page: display names, groups
+   * and uptime only, without service ids, models or check output.
+   */
+  async buildPublicStatus() {
+    this.#assertReady();
+    const config = await this.store.loadConfig();
+    const servicesConfig = Array.isArray(config.services) ? config.services : [];
+    const summaries = await this.store.getAllServicesSummary();
+
+    const configMap = new Map();
+    servicesConfig.forEach((service, index) => {
+      const serviceId = service?.id || service?.name;
+      if (serviceId) {
+        configMap.set(serviceId, { service, index });
       }
+    });
 
-      const publicServices = [];
-      for (const summary of summaries) {
-        const serviceConfig = configMap.get(summary.id);
-        if (!serviceConfig) {
-          continue;
-        }
+    const publicServices = [];
+    for (const summary of summaries) {
+      const configured = configMap.get(summary.id);
+      if (!configured) {
+        continue;
+      }
 
-        publicServices.push({
-          displayName: serviceConfig.displayName || summary.name,
-          status: summary.currentStatus,
-          lastCheck: summary.lastCheck,
-          uptime: calculateUptime(summary.recentChecks)
-        });
+      publicServices.push({
+        displayName: publicServiceName(configured.service, configured.index),
+        group: summary.group ?? null,
+        status: summary.currentStatus,
+        maintenance: Boolean(summary.maintenance),
+        lastCheck: summary.lastCheck,
+        uptime: calculateUptime(summary.recentChecks),
+        availability: summary.availability ?? null,
+        recentChecks: (summary.recentChecks ?? []).map((check) => ({
+          timestamp: check.timestamp,
+          status: check.status,
+          responseTime: check.responseTime,
+          ...(check.maintenance ? { maintenance: true } : {})
+        }))
+      });
+    }
+
+    // Groups keep the order in which they first appear in services.json.
+    const groups = [];
+    for (const service of publicServices) {
+      if (!groups.some((group) => group.name === service.group)) {
+        groups.push({ name: service.group });
       }
+    }
 
-      const overall = {
+    return {
+      services: publicServices,
+      groups: groups.map((group) => ({
+        name: group.name,
+        status: summarizePublicStatus(publicServices.filter((service) => service.group === group.name))
+      })),
+      overall: {
+        status: summarizePublicStatus(publicServices),
         healthy: publicServices.filter((s) => s.status === 'ok').length,
+        degraded: publicServices.filter((s) => s.status === 'degraded').length,
         unhealthy: publicServices.filter(
-          (s) => s.status !== 'ok' && s.status !== 'unknown'
+          (s) => s.status !== 'ok' && s.status !== 'degraded' && s.status !== 'unknown'
         ).length,
         unknown: publicServices.filter((s) => s.status === 'unknown').length,
+        maintenance: publicServices.filter((s) => s.maintenance).length,
         total: publicServices.length
-      };
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
 
-      const publicData = {
-        services: publicServices,
-        overall,
-        timestamp: new Date().toISOString()
-      };
+  async generatePublicStatus() {
+    try {
+      const publicData = await this.buildPublicStatus();
 
       const outputPath = path.join(__dirname, '..', '..', 'frontend', 'dist', 'status.json');
       const outputDir = path.dirname(outputPath);
       await fsp.mkdir(outputDir, { recursive: true });
       await fsp.writeFile(outputPath, JSON.stringify(publicData, null, 2), 'utf8');
 
-      this.logger.log('info', 'monitor', `Generated public status: ${publicServices.length} services`);
+      this.logger.log('info', 'monitor', `Generated public status: ${publicData.services.length} services`);
     } catch (error) {
       this.logger.log('warn', 'monitor', 'Failed to generate public status', error);
     }
   }
 
+  async #reload() {
+    this.#assertReady();
+    if (!this.running) {
+      return { added: [], removed: [], changed: [] };
+    }
+
+    let config;
+    try {
+      config = await this.store.loadConfig({ strict: true });
+    } catch (error) {
+      // Keep the current schedule rather than stopping everything on a half-saved file.
+      this.logger.log('error', 'monitor', 'Failed to reload services.json; keeping current schedule', error);
+      throw error;
+    }
+
+    this.scheduleDefaults = pickScheduleDefaults(config);
+    const next = new Map();
+    for (const service of config.services) {
+      const serviceId = service?.id || service?.name;
+      if (serviceId && service.enabled) {
+        next.set(serviceId, service);
+      }
+    }
+
+    const removed = [...this.serviceTasks.keys()].filter((serviceId) => !next.has(serviceId));
+    const added = [];
+    const changed = [];
+    for (const [serviceId, service] of next) {
+      if (!this.serviceTasks.has(serviceId)) {
+        added.push(serviceId);
+      } else if (this.scheduledConfigs.get(serviceId) !== this.#scheduleKey(service)) {
+        changed.push(serviceId);
+      }
+    }
+
+    if (added.length === 0 && removed.length === 0 && changed.length === 0) {
+      return { added, removed, changed };
+    }
+
+    const needsClaudeInit = [...added, ...changed].some(
+      (serviceId) => next.get(serviceId).type === 'claude'
+    );
+    if (needsClaudeInit) {
+      this.claudeConfigInitialized = false;
+      try {
+        await this.initializeClaudeConfig();
+      } catch (error) {
+        // Already logged; schedule the services anyway so their failures are visible.
+      }
+    }
+
+    for (const serviceId of [...removed, ...changed]) {
+      this.#unscheduleService(serviceId);
+    }
+    for (const serviceId of [...changed, ...added]) {
+      this.#scheduleService(next.get(serviceId));
+    }
+    await this.#resolveUnmonitoredIncidents();
+
+    this.logger.log('info', 'monitor', 'Reloaded services.json', { added, removed, changed });
+    await this.generatePublicStatus();
+    return { added, removed, changed };
+  }
+
+  #scheduleService(service) {
+    const serviceId = service.id || service.name;
+    if (!serviceId) return;
+
+    let schedule;
+    let jitterMs;
+    let activeHours;
+    try {
+      schedule = resolveSchedule(service);
+      jitterMs = resolveJitter(service, this.scheduleDefaults);
+      activeHours = parseActiveHours(
+        service.activeHours !== undefined ? service.activeHours : this.scheduleDefaults.activeHours
+      );
+    } catch (error) {
+      this.logger.log('error', 'monitor', `Failed to schedule service ${serviceId}: ${error.message}`);
+      return;
+    }
+
+    const task = scheduleTask(
+      schedule,
+      () => {
+        if (this.paused) {
+          return;
+        }
+        this.runCheckForService(service).catch((error) => {
+          this.logger.log('error', 'monitor', `Failed to check service ${serviceId}`, error);
+        });
+      },
+      { jitterMs, activeHours, runImmediately: true }
+    );
+
+    this.serviceTasks.set(serviceId, task);
+    this.scheduledConfigs.set(serviceId, this.#scheduleKey(service));
+    this.logger.log('info', 'monitor', `Scheduled service ${serviceId} ${schedule.label}`, {
+      jitterMs,
+      activeHours: activeHours ? service.activeHours ?? this.scheduleDefaults.activeHours : null
+    });
+  }
+
+  // Global schedule defaults are part of the key so changing them reschedules every service.
+  #scheduleKey(service) {
+    return JSON.stringify([service, this.scheduleDefaults]);
+  }
+
+  async #resolveUnmonitoredIncidents() {
+    try {
+      await this.store.resolveUnmonitoredIncidents((serviceId) => this.serviceTasks.has(serviceId));
+    } catch (error) {
+      this.logger.log('warn', 'monitor', 'Failed to resolve incidents of unmonitored services', error);
+    }
+  }
+
+  #unscheduleService(serviceId) {
+    const task = this.serviceTasks.get(serviceId);
+    if (task) {
+      task.stop();
+      this.logger.log('info', 'monitor', `Stopped task for service ${serviceId}`);
+    }
+    this.serviceTasks.delete(serviceId);
+    this.scheduledConfigs.delete(serviceId);
+  }
+
+  /**
+   * Run a check, retrying with backoff on transient statuses. Earlier
+   * attempts are kept as `subAttempts`; a pass after retries is `flaky`.
+   */
+  async #checkWithRetries(service) {
+    const serviceId = service.id || service.name;
+    const policy = resolveRetryPolicy(service);
+    const subAttempts = [];
+
+    let result = await this.checker.check(service);
+    while (subAttempts.length < policy.retries && policy.retryOn.has(result.status)) {
+      subAttempts.push(summarizeAttempt(result, subAttempts.length + 1));
+      const delay = Math.min(policy.delayMs * 2 ** (subAttempts.length - 1), MAX_RETRY_DELAY_MS);
+      this.logger.log(
+        'info',
+        'monitor',
+        `Retrying ${serviceId} in ${delay}ms after ${result.status} (attempt ${subAttempts.length + 1}/${policy.retries + 1})`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      result = await this.checker.check(service);
+    }
+
+    if (subAttempts.length === 0) {
+      return result;
+    }
+    return {
+      ...result,
+      attempts: subAttempts.length + 1,
+      flaky: result.status === 'ok',
+      subAttempts
+    };
+  }
+
+  async #emitCompleted(serviceId, previousStatus) {
+    if (this.listenerCount('check.completed') === 0 && this.listenerCount('status.changed') === 0) {
+      return;
+    }
+    try {
+      const summary = await this.store.getServiceSummary(serviceId);
+      const recentChecks = summary?.recentChecks ?? [];
+      const check = recentChecks[recentChecks.length - 1] ?? null;
+      this.#emit('check.completed', { serviceId, check, service: summary });
+      if (check && check.status !== previousStatus) {
+        this.#emit('status.changed', {
+          serviceId,
+          previousStatus,
+          status: check.status,
+          checkedAt: check.timestamp
+        });
+      }
+    } catch (error) {
+      this.logger.log('warn', 'monitor', `Failed to publish check events for ${serviceId}`, error);
+    }
+  }
+
+  // A failing listener must not fail the check.
+  #emit(event, payload) {
+    try {
+      this.emit(event, payload);
+    } catch (error) {
+      this.logger.log('warn', 'monitor', `Listener for ${event} failed`, error);
+    }
+  }
+
+  async #evaluateAlerts(service, result) {
+    if (!this.alerts) {
+      return;
+    }
+    try {
+      await this.alerts.evaluate(service, result);
+    } catch (error) {
+      this.logger.log('warn', 'monitor', `Failed to evaluate alerts for ${service.id || service.name}`, error);
+    }
+  }
+
   async #loadEnabledServices() {
     const config = await this.store.loadConfig();
     const services = Array.isArray(config.services) ? config.services : [];
@@ -393,4 +866,4 @@ class HealthMonitor {
   }
 }
 
-module.exports = { HealthMonitor };
+module.exports = { HealthMonitor, publicServiceName };
@@ -0,0 +1,162 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HealthMonitor } = require('./HealthMonitor');
+const { StatusStore } = require('./StatusStore');
+
+const silent = { log() {} };
+
+async function createMonitor(t, config) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'health-monitor-'));
+  const configDir = path.join(root, 'config');
+  fs.mkdirSync(configDir);
+  const writeConfig = (value) => fs.writeFileSync(path.join(configDir, 'services.json'), JSON.stringify(value));
+  writeConfig(config);
+
+  const store = new StatusStore({ dataDir: path.join(root, 'data'), configDir, logger: silent, retentionDays: 30 });
+  await store.initialize();
+
+  const checked = [];
+  const alerted = [];
+  const monitor = new HealthMonitor({ logger: silent });
+  monitor.bindStore(store);
+  monitor.bindChecker({
+    async check(service) {
+      checked.push(service.id);
+      return {
+        name: service.id,
+        status: 'error',
+        stdout: '',
+        stderr: 'API Error: 502',
+        message: 'Exit code: 1',
+        checkedAt: new Date().toISOString(),
+        responseTime: 10
+      };
+    }
+  });
+  monitor.bindAlerts({ evaluate: async (service) => alerted.push(service.id) });
+  // Keep tests away from ~/.claude.json and frontend/dist/status.json.
+  monitor.claudeConfigInitialized = true;
+  monitor.initializeClaudeConfig = async () => {};
+  monitor.generatePublicStatus = async () => {};
+
+  t.after(async () => {
+    monitor.stop();
+    await Promise.allSettled([...monitor.pendingChecks.values()]);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+  return { monitor, store, writeConfig, checked, alerted };
+}
+
+const service = (id, overrides = {}) => ({
+  id,
+  name: id,
+  type: 'codex',
+  command: 'codex exec hi',
+  enabled: true,
+  checkInterval: 3600,
+  ...overrides
+});
+
+test('checks in a skip window are not run unless forced', async (t) => {
+  const { monitor, store, checked } = await createMonitor(t, {
+    services: [service('a')],
+    maintenance: [{ id: 'upgrade', services: ['a'], recurring: '00:00-00:00', mode: 'skip' }]
+  });
+  const [config] = (await store.loadConfig()).services;
+
+  assert.equal(await monitor.runCheckForService(config), null);
+  assert.deepEqual(checked, []);
+  assert.equal(store.getCurrentStatus('a'), null);
+
+  const forced = await monitor.checkNow('a');
+  assert.equal(forced.status, 'error');
+  assert.equal(forced.maintenance, true);
+  assert.deepEqual(checked, ['a']);
+});
+
+test('checks in a tag window are recorded as maintenance without alerts or incidents', async (t) => {
+  const { monitor, store, checked, alerted } = await createMonitor(t, {
+    services: [service('claude-a'), service('codex-b')],
+    maintenance: [{ services: ['claude-*'], recurring: '00:00-00:00', reason: 'relay migration' }]
+  });
+  const [tagged, untagged] = (await store.loadConfig()).services;
+
+  const result = await monitor.runCheckForService(tagged);
+  assert.equal(result.maintenance, true);
+  await monitor.runCheckForService(untagged);
+  assert.deepEqual(checked, ['claude-a', 'codex-b']);
+  assert.deepEqual(alerted, ['codex-b']);
+
+  const [summary] = await store.getAllServicesSummary();
+  assert.equal(summary.recentChecks[0].maintenance, true);
+  const incidents = await store.getIncidents({ status: 'open' });
+  assert.deepEqual(incidents.map((incident) => incident.serviceId), ['codex-b']);
+});
+
+// Scheduled services run once right away, so `checked` shows which ones were (re)scheduled.
+async function startMonitor(t, config) {
+  const context = await createMonitor(t, config);
+  await context.monitor.start();
+  await settle(context.monitor);
+  context.checked.length = 0;
+  return context;
+}
+
+async function settle(monitor) {
+  await Promise.allSettled([...monitor.pendingChecks.values()]);
+}
+
+test('reload reschedules only added, removed and changed services', async (t) => {
+  const { monitor, writeConfig, checked } = await startMonitor(t, {
+    services: [service('a'), service('b'), service('c')]
+  });
+  const tasks = new Map(monitor.serviceTasks);
+
+  writeConfig({
+    services: [service('a'), service('b', { checkInterval: 600 }), service('c', { enabled: false }), service('d')]
+  });
+  assert.deepEqual(await monitor.reload(), { added: ['d'], removed: ['c'], changed: ['b'] });
+  await settle(monitor);
+
+  assert.deepEqual([...monitor.serviceTasks.keys()].sort(), ['a', 'b', 'd']);
+  assert.equal(monitor.serviceTasks.get('a'), tasks.get('a'));
+  assert.notEqual(monitor.serviceTasks.get('b'), tasks.get('b'));
+  assert.deepEqual(checked.sort(), ['b', 'd']);
+
+  checked.length = 0;
+  assert.deepEqual(await monitor.reload(), { added: [], removed: [], changed: [] });
+  assert.deepEqual(checked, []);
+});
+
+test('changing the global schedule defaults reschedules every service', async (t) => {
+  const { monitor, writeConfig, checked } = await startMonitor(t, {
+    services: [service('a'), service('b', { activeHours: '00:00-00:00' })]
+  });
+
+  writeConfig({ jitter: 0, services: [service('a'), service('b', { activeHours: '00:00-00:00' })] });
+  assert.deepEqual(await monitor.reload(), { added: [], removed: [], changed: ['a', 'b'] });
+  await settle(monitor);
+  assert.deepEqual(checked.sort(), ['a', 'b']);
+});
+
+test('an invalid config is rejected and the running schedule is kept', async (t) => {
+  const { monitor, store, writeConfig, checked } = await startMonitor(t, {
+    services: [service('a'), service('b')]
+  });
+  const tasks = new Map(monitor.serviceTasks);
+
+  fs.writeFileSync(store.paths.config, '{"services": [');
+  await assert.rejects(monitor.reload(), SyntaxError);
+  writeConfig([service('a')]);
+  await assert.rejects(monitor.reload(), /"services" array/);
+
+  assert.deepEqual(monitor.serviceTasks, tasks);
+  assert.deepEqual(checked, []);
+
+  // The next valid save is applied as usual.
+  writeConfig({ services: [service('a')] });
+  assert.deepEqual(await monitor.reload(), { added: [], removed: ['b'], changed: [] });
+});
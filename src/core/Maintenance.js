@@ -0,0 +1,153 @@
+const { matchesPattern } = require('./AlertManager');
+const { isWithinActiveHours, parseActiveHours } = require('./Scheduler');
+
+const MAINTENANCE_MODES = new Set(['tag', 'skip']);
+const MAINTENANCE_FIELDS = new Set(['id', 'services', 'start', 'end', 'recurring', 'mode', 'reason']);
+
+function parseTime(value, field) {
+  if (value == null) {
+    return null;
+  }
+  const time = new Date(value).getTime();
+  if (typeof value !== 'string' || Number.isNaN(time)) {
+    throw new Error(`Invalid maintenance ${field} "${value}": expected an ISO 8601 timestamp`);
+  }
+  return time;
+}
+
+/**
+ * Normalize a maintenance window. One-off windows need `start` and `end`;
+ * recurring windows use the activeHours format ("02:00-03:00" or
+ * `{ start, end, days, timezone }`), optionally bounded by `start`/`end`.
+ * During a window checks are tagged (`mode: "tag"`, default) or skipped.
+ * @param {object} entry
+ * @param {{services?: string[], source?: string}} [defaults]
+ * @returns {{id: string|null, services: string[], reason: string|null, mode: string, start: number|null, end: number|null, recurring: object|null, source: string, entry: object}}
+ * @throws {Error} when the window cannot be parsed
+ */
+function parseMaintenanceWindow(entry, defaults = {}) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error('Maintenance window must be an object');
+  }
+
+  const mode = entry.mode ?? 'tag';
+  if (!MAINTENANCE_MODES.has(mode)) {
+    throw new Error(`Invalid maintenance mode "${mode}": expected ${[...MAINTENANCE_MODES].join(' or ')}`);
+  }
+  if (entry.services != null && !Array.isArray(entry.services)) {
+    throw new Error('Maintenance services must be an array of service ids or patterns');
+  }
+
+  const start = parseTime(entry.start, 'start');
+  const end = parseTime(entry.end, 'end');
+  const recurring = entry.recurring != null ? parseActiveHours(entry.recurring) : null;
+  if (!recurring && (start == null || end == null)) {
+    throw new Error('Maintenance window requires "start" and "end", or "recurring"');
+  }
+  if (start != null && end != null && end <= start) {
+    throw new Error('Maintenance window "end" must be after "start"');
+  }
+
+  return {
+    id: entry.id != null ? String(entry.id) : null,
+    services: entry.services ?? defaults.services ?? ['*'],
+    reason: typeof entry.reason === 'string' && entry.reason ? entry.reason : null,
+    mode,
+    start,
+    end,
+    recurring,
+    source: defaults.source || 'config',
+    entry
+  };
+}
+
+/**
+ * @param {ReturnType<typeof parseMaintenanceWindow>} window
+ * @param {Date} [date]
+ * @returns {boolean}
+ */
+function isMaintenanceActive(window, date = new Date()) {
+  const time = date.getTime();
+  if (window.start != null && time < window.start) {
+    return false;
+  }
+  if (window.end != null && time >= window.end) {
+    return false;
+  }
+  return window.recurring ? isWithinActiveHours(window.recurring, date) : true;
+}
+
+/**
+ * Collect the windows from services.json: global ones under `maintenance`
+ * and per-service ones under each service's `maintenance`. Entries that
+ * fail to parse are left out; the config validator reports them.
+ * @param {object} config
+ * @returns {Array<ReturnType<typeof parseMaintenanceWindow>>}
+ */
+function collectMaintenanceWindows(config) {
+  const windows = [];
+  const add = (entries, defaults, prefix) => {
+    (Array.isArray(entries) ? entries : []).forEach((entry, index) => {
+      try {
+        const window = parseMaintenanceWindow(entry, defaults);
+        windows.push({ ...window, id: window.id ?? `${prefix}-${index}` });
+      } catch (error) {
+        // Reported by ConfigValidator.
+      }
+    });
+  };
+
+  add(config?.maintenance, {}, 'maintenance');
+  for (const service of Array.isArray(config?.services) ? config.services : []) {
+    const serviceId = service?.id || service?.name;
+    if (serviceId) {
+      add(service.maintenance, { services: [serviceId] }, `${serviceId}-maintenance`);
+    }
+  }
+  return windows;
+}
+
+/**
+ * Find the window that applies to a service right now. Skip windows win
+ * over tag windows.
+ * @param {Array<ReturnType<typeof parseMaintenanceWindow>>} windows
+ * @param {string} serviceId
+ * @param {Date} [date]
+ */
+function findActiveMaintenance(windows, serviceId, date = new Date()) {
+  const active = windows.filter(
+    (window) =>
+      window.services.some((pattern) => matchesPattern(pattern, serviceId)) &&
+      isMaintenanceActive(window, date)
+  );
+  return active.find((window) => window.mode === 'skip') ?? active[0] ?? null;
+}
+
+/**
+ * Public JSON shape of a window.
+ * @param {ReturnType<typeof parseMaintenanceWindow>} window
+ * @param {Date} [date]
+ */
+function describeMaintenance(window, date = new Date()) {
+  return {
+    id: window.id,
+    services: window.services,
+    reason: window.reason,
+    mode: window.mode,
+    start: window.start != null ? new Date(window.start).toISOString() : null,
+    end: window.end != null ? new Date(window.end).toISOString() : null,
+    recurring: window.entry.recurring ?? null,
+    source: window.source,
+    active: isMaintenanceActive(window, date)
+  };
+}
+
+module.exports = {
+  MAINTENANCE_FIELDS,
+  MAINTENANCE_MODES,
+  collectMaintenanceWindows,
+  describeMaintenance,
+  findActiveMaintenance,
+  isMaintenanceActive,
+  parseMaintenanceWindow
+};
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  collectMaintenanceWindows,
+  describeMaintenance,
+  findActiveMaintenance,
+  isMaintenanceActive,
+  parseMaintenanceWindow
+} = require('./Maintenance');
+
+const at = (iso) => new Date(iso);
+
+test('one-off windows cover [start, end)', () => {
+  const window = parseMaintenanceWindow({
+    start: '2026-03-01T02:00:00Z',
+    end: '2026-03-01T03:00:00Z',
+    reason: 'relay upgrade'
+  });
+  assert.equal(window.mode, 'tag');
+  assert.deepEqual(window.services, ['*']);
+  assert.equal(isMaintenanceActive(window, at('2026-03-01T01:59:59Z')), false);
+  assert.equal(isMaintenanceActive(window, at('2026-03-01T02:00:00Z')), true);
+  assert.equal(isMaintenanceActive(window, at('2026-03-01T03:00:00Z')), false);
+
+  assert.deepEqual(describeMaintenance({ ...window, id: 'm1' }, at('2026-03-01T02:30:00Z')), {
+    id: 'm1',
+    services: ['*'],
+    reason: 'relay upgrade',
+    mode: 'tag',
+    start: '2026-03-01T02:00:00.000Z',
+    end: '2026-03-01T03:00:00.000Z',
+    recurring: null,
+    source: 'config',
+    active: true
+  });
+});
+
+test('invalid windows are rejected', () => {
+  assert.throws(() => parseMaintenanceWindow({ start: '2026-03-01T02:00:00Z' }), /requires "start" and "end"/);
+  assert.throws(
+    () => parseMaintenanceWindow({ start: '2026-03-01T03:00:00Z', end: '2026-03-01T02:00:00Z' }),
+    /must be after "start"/
+  );
+  assert.throws(() => parseMaintenanceWindow({ recurring: '02:00-03:00', mode: 'mute' }), /Invalid maintenance mode/);
+  assert.throws(() => parseMaintenanceWindow({ start: 'tomorrow', end: '2026-03-01T02:00:00Z' }), /ISO 8601/);
+  assert.throws(() => parseMaintenanceWindow({ recurring: { start: '02:00', end: '03:00', timezone: 'Mars/Base' } }), /timezone/);
+});
+
+test('recurring windows follow their timezone, weekdays and bounds', () => {
+  // 23:00-01:00 in Shanghai (UTC+8) is 15:00-17:00 UTC.
+  const nightly = parseMaintenanceWindow({
+    recurring: { start: '23:00', end: '01:00', timezone: 'Asia/Shanghai' }
+  });
+  assert.equal(isMaintenanceActive(nightly, at('2026-03-02T14:59:00Z')), false);
+  assert.equal(isMaintenanceActive(nightly, at('2026-03-02T15:00:00Z')), true);
+  assert.equal(isMaintenanceActive(nightly, at('2026-03-02T16:30:00Z')), true);
+  assert.equal(isMaintenanceActive(nightly, at('2026-03-02T17:00:00Z')), false);
+
+  // Weekdays are read in the window's timezone: 23:30 Monday in Shanghai is
+  // still Monday, while 00:30 after midnight is Tuesday and falls outside.
+  const mondays = parseMaintenanceWindow({
+    recurring: { start: '23:00', end: '01:00', days: [1], timezone: 'Asia/Shanghai' }
+  });
+  assert.equal(isMaintenanceActive(mondays, at('2026-03-02T15:30:00Z')), true);
+  assert.equal(isMaintenanceActive(mondays, at('2026-03-02T16:30:00Z')), false);
+
+  const bounded = parseMaintenanceWindow({
+    recurring: '02:00-03:00',
+    start: '2026-03-01T00:00:00Z',
+    end: '2026-03-03T00:00:00Z'
+  });
+  const local = (day) => new Date(2026, 2, day, 2, 30);
+  assert.equal(isMaintenanceActive(bounded, local(2)), true);
+  assert.equal(isMaintenanceActive(bounded, local(4)), false);
+});
+
+test('windows are collected from the config and matched by service pattern', () => {
+  const windows = collectMaintenanceWindows({
+    maintenance: [
+      { services: ['claude-*'], recurring: '00:00-00:00', reason: 'relay migration' },
+      { services: ['claude-fox'], recurring: '00:00-00:00', mode: 'skip' },
+      { recurring: 'broken' }
+    ],
+    services: [
+      { id: 'codex-fox', maintenance: [{ recurring: '00:00-00:00' }] },
+      { id: 'codex-wolf' }
+    ]
+  });
+  assert.deepEqual(
+    windows.map((window) => [window.id, window.services]),
+    [
+      ['maintenance-0', ['claude-*']],
+      ['maintenance-1', ['claude-fox']],
+      ['codex-fox-maintenance-0', ['codex-fox']]
+    ]
+  );
+
+  assert.equal(findActiveMaintenance(windows, 'claude-fox').mode, 'skip');
+  assert.equal(findActiveMaintenance(windows, 'claude-wolf').id, 'maintenance-0');
+  assert.equal(findActiveMaintenance(windows, 'codex-fox').id, 'codex-fox-maintenance-0');
+  assert.equal(findActiveMaintenance(windows, 'codex-wolf'), null);
+  assert.equal(findActiveMaintenance(windows, 'xclaude-fox'), null);
+});
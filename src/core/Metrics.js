@@ -0,0 +1,157 @@
+const STATUSES = ['ok', 'degraded', 'fail', 'error', 'timeout'];
+// Check durations range from sub-second HTTP probes to multi-minute CLI runs.
+const DURATION_BUCKETS = [0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300];
+
+function escapeLabel(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * Collects check results for the Prometheus `/metrics` endpoint. Counters
+ * and histograms accumulate from process start; gauges are read from the
+ * store and queue at scrape time.
+ */
+class MetricsCollector {
+  constructor() {
+    this.results = new Map();
+    this.durations = new Map();
+  }
+
+  /**
+   * Record a normalized check result.
+   * @param {string} serviceId
+   * @param {{status: string, errorCategory?: string|null, responseTime: number}} result
+   */
+  observe(serviceId, result) {
+    const resultKey = JSON.stringify([serviceId, result.status, result.errorCategory ?? '']);
+    this.results.set(resultKey, (this.results.get(resultKey) ?? 0) + 1);
+
+    const histogram = this.durations.get(serviceId) ?? {
+      buckets: DURATION_BUCKETS.map(() => 0),
+      sum: 0,
+      count: 0
+    };
+    const seconds = (Number(result.responseTime) || 0) / 1000;
+    DURATION_BUCKETS.forEach((bound, index) => {
+      if (seconds <= bound) {
+        histogram.buckets[index] += 1;
+      }
+    });
+    histogram.sum += seconds;
+    histogram.count += 1;
+    this.durations.set(serviceId, histogram);
+  }
+
+  /**
+   * Render all metrics in the Prometheus text exposition format.
+   * @param {{services?: Array<object>, summaries?: Array<object>, queue?: {active: number, pending: number, concurrency: number}|null}} snapshot
+   * @returns {string}
+   */
+  render(snapshot = {}) {
+    const configs = new Map();
+    for (const service of snapshot.services ?? []) {
+      const serviceId = service?.id || service?.name;
+      if (serviceId) {
+        configs.set(serviceId, service);
+      }
+    }
+    const labelsFor = (serviceId) => {
+      const service = configs.get(serviceId);
+      return {
+        service: serviceId,
+        type: service?.type ?? '',
+        model: service?.params?.model || service?.model || ''
+      };
+    };
+
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      for (const [labels, value, suffix = ''] of samples) {
+        lines.push(`${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+      }
+    };
+
+    const summaries = (snapshot.summaries ?? []).filter((summary) => summary.currentStatus !== 'unknown');
+    metric(
+      'checkcx_service_up',
+      'gauge',
+      'Whether the last check of the service passed (1) or not (0).',
+      summaries.map((summary) => [labelsFor(summary.id), summary.currentStatus === 'ok' ? 1 : 0])
+    );
+    metric(
+      'checkcx_service_status',
+      'gauge',
+      'Status of the last check of the service, one series per status.',
+      summaries.flatMap((summary) =>
+        STATUSES.map((status) => [
+          { ...labelsFor(summary.id), status },
+          summary.currentStatus === status ? 1 : 0
+        ])
+      )
+    );
+    metric(
+      'checkcx_last_check_timestamp_seconds',
+      'gauge',
+      'Unix time of the last check of the service.',
+      summaries
+        .filter((summary) => summary.lastCheck)
+        .map((summary) => [labelsFor(summary.id), new Date(summary.lastCheck).getTime() / 1000])
+    );
+
+    metric(
+      'checkcx_check_results_total',
+      'counter',
+      'Check results by status and error category since the process started.',
+      [...this.results.entries()].map(([key, count]) => {
+        const [serviceId, status, errorCategory] = JSON.parse(key);
+        return [{ ...labelsFor(serviceId), status, error_category: errorCategory }, count];
+      })
+    );
+
+    const durationSamples = [];
+    for (const [serviceId, histogram] of this.durations) {
+      const labels = labelsFor(serviceId);
+      DURATION_BUCKETS.forEach((bound, index) => {
+        durationSamples.push([{ ...labels, le: bound }, histogram.buckets[index], '_bucket']);
+      });
+      durationSamples.push([{ ...labels, le: '+Inf' }, histogram.count, '_bucket']);
+      durationSamples.push([labels, histogram.sum, '_sum']);
+      durationSamples.push([labels, histogram.count, '_count']);
+    }
+    metric(
+      'checkcx_check_duration_seconds',
+      'histogram',
+      'Check duration (responseTime) in seconds.',
+      durationSamples
+    );
+
+    if (snapshot.queue) {
+      metric('checkcx_queue_pending', 'gauge', 'Checks waiting in the check queue.', [
+        [{}, snapshot.queue.pending]
+      ]);
+      metric('checkcx_queue_active', 'gauge', 'Checks currently running.', [[{}, snapshot.queue.active]]);
+      metric('checkcx_queue_concurrency', 'gauge', 'Maximum number of checks run at once.', [
+        [{}, snapshot.queue.concurrency]
+      ]);
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = { DURATION_BUCKETS, MetricsCollector };
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DURATION_BUCKETS, MetricsCollector } = require('./Metrics');
+
+const services = [
+  { id: 'claude-fox', type: 'claude', params: { model: 'claude-sonnet-4-5' } },
+  { id: 'codex "quoted"\\path\nline', type: 'codex' }
+];
+
+function sampleLines(output, name) {
+  return output.split('\n').filter((line) => line.startsWith(`${name}{`) || line.startsWith(`${name} `));
+}
+
+test('renders gauges, counters and histograms in the exposition format', () => {
+  const metrics = new MetricsCollector();
+  metrics.observe('claude-fox', { status: 'ok', responseTime: 800 });
+  metrics.observe('claude-fox', { status: 'ok', responseTime: 4000 });
+  metrics.observe('claude-fox', { status: 'error', errorCategory: 'upstream_5xx', responseTime: 400000 });
+
+  const output = metrics.render({
+    services,
+    summaries: [
+      { id: 'claude-fox', currentStatus: 'error', lastCheck: '2026-03-01T00:00:10.000Z' },
+      { id: 'never-checked', currentStatus: 'unknown', lastCheck: null }
+    ],
+    queue: { active: 1, pending: 2, concurrency: 4 }
+  });
+
+  assert.ok(output.endsWith('\n'));
+  assert.match(output, /^# HELP checkcx_service_up .+\n# TYPE checkcx_service_up gauge\n/);
+  const labels = 'service="claude-fox",type="claude",model="claude-sonnet-4-5"';
+  assert.deepEqual(sampleLines(output, 'checkcx_service_up'), [`checkcx_service_up{${labels}} 0`]);
+  assert.deepEqual(
+    sampleLines(output, 'checkcx_service_status').map((line) => [line.match(/status="(\w+)"/)[1], line.split(' ').pop()]),
+    [['ok', '0'], ['degraded', '0'], ['fail', '0'], ['error', '1'], ['timeout', '0']]
+  );
+  assert.deepEqual(sampleLines(output, 'checkcx_last_check_timestamp_seconds'), [
+    `checkcx_last_check_timestamp_seconds{${labels}} 1772323210`
+  ]);
+
+  assert.deepEqual(sampleLines(output, 'checkcx_check_results_total'), [
+    `checkcx_check_results_total{${labels},status="ok",error_category=""} 2`,
+    `checkcx_check_results_total{${labels},status="error",error_category="upstream_5xx"} 1`
+  ]);
+
+  assert.match(output, /# TYPE checkcx_check_duration_seconds histogram\n/);
+  const buckets = output
+    .split('\n')
+    .filter((line) => line.startsWith('checkcx_check_duration_seconds_bucket'))
+    .map((line) => [line.match(/le="([^"]+)"/)[1], Number(line.split(' ').pop())]);
+  assert.equal(buckets.length, DURATION_BUCKETS.length + 1);
+  assert.deepEqual(buckets.slice(0, 4), [['0.5', 0], ['1', 1], ['2', 1], ['5', 2]]);
+  assert.deepEqual(buckets[buckets.length - 2], ['300', 2]);
+  assert.deepEqual(buckets[buckets.length - 1], ['+Inf', 3]);
+  assert.ok(output.includes(`checkcx_check_duration_seconds_sum{${labels}} 404.8\n`));
+  assert.ok(output.includes(`checkcx_check_duration_seconds_count{${labels}} 3\n`));
+
+  assert.ok(output.includes('# TYPE checkcx_queue_pending gauge\ncheckcx_queue_pending 2\n'));
+  assert.ok(output.includes('checkcx_queue_active 1\n'));
+  assert.ok(output.includes('checkcx_queue_concurrency 4\n'));
+});
+
+test('label values are escaped and unknown services get empty labels', () => {
+  const metrics = new MetricsCollector();
+  metrics.observe(services[1].id, { status: 'timeout', errorCategory: 'timeout', responseTime: 0 });
+  metrics.observe('removed', { status: 'ok', responseTime: 100 });
+
+  const output = metrics.render({ services });
+  assert.deepEqual(sampleLines(output, 'checkcx_check_results_total'), [
+    'checkcx_check_results_total{service="codex \\"quoted\\"\\\\path\\nline",type="codex",model="",status="timeout",error_category="timeout"} 1',
+    'checkcx_check_results_total{service="removed",type="",model="",status="ok",error_category=""} 1'
+  ]);
+  assert.deepEqual(sampleLines(output, 'checkcx_service_up'), []);
+  assert.ok(!output.includes('checkcx_queue_pending'));
+});
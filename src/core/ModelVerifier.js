@@ -0,0 +1,128 @@
+const MATCH_MODES = new Set(['exact', 'prefix', 'contains']);
+const SNAPSHOT_SUFFIX = /^-\d{8}$/;
+
+/**
+ * Lower-case a model name and drop any "provider/" prefix.
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeModelName(name) {
+  const trimmed = String(name ?? '').trim().toLowerCase();
+  const slash = trimmed.lastIndexOf('/');
+  return slash >= 0 ? trimmed.slice(slash + 1) : trimmed;
+}
+
+/**
+ * Compare a served model against the configured one. "prefix" accepts the
+ * configured id or a dated snapshot of it, e.g. "claude-sonnet-4-5" served
+ * as "claude-sonnet-4-5-20250929", but not a shorter, older model id such
+ * as "claude-sonnet-4".
+ * @param {string} expected
+ * @param {string} actual
+ * @param {{match?: string, aliases?: string[]}} [options]
+ * @returns {boolean}
+ */
+function modelsMatch(expected, actual, options = {}) {
+  const mode = MATCH_MODES.has(options.match) ? options.match : 'prefix';
+  const served = normalizeModelName(actual);
+  const candidates = [expected, ...(Array.isArray(options.aliases) ? options.aliases : [])]
+    .map(normalizeModelName)
+    .filter(Boolean);
+
+  return candidates.some((candidate) => {
+    if (mode === 'exact') {
+      return served === candidate;
+    }
+    if (mode === 'contains') {
+      return served.includes(candidate);
+    }
+    return (
+      served === candidate ||
+      (served.startsWith(candidate) && SNAPSHOT_SUFFIX.test(served.slice(candidate.length)))
+    );
+  });
+}
+
+/**
+ * Resolve a service's `verifyModel` setting into a normalized config.
+ * @param {object} service
+ * @returns {{expected: string|null, match: string, aliases: string[], probes: Array}|null}
+ */
+function resolveVerifyConfig(service) {
+  const setting = service?.verifyModel;
+  if (!setting) {
+    return null;
+  }
+  const options = setting === true ? {} : setting;
+  if (typeof options !== 'object') {
+    return null;
+  }
+
+  return {
+    expected: options.expected || service.params?.model || service.model || null,
+    match: MATCH_MODES.has(options.match) ? options.match : 'prefix',
+    aliases: Array.isArray(options.aliases) ? options.aliases : [],
+    probes: Array.isArray(options.probes)
+      ? options.probes.filter((probe) => probe && probe.prompt && probe.expect != null)
+      : []
+  };
+}
+
+/**
+ * Downgrade a passing check to "degraded" when the served model differs
+ * from the configured one or an identity/fingerprint probe fails.
+ * @param {object} service
+ * @param {object} result - result of the primary check
+ * @param {(probeService: object) => Promise<object>} runProbe
+ * @returns {Promise<object>}
+ */
+async function verifyModel(service, result, runProbe) {
+  const config = resolveVerifyConfig(service);
+  if (!config || result.status !== 'ok') {
+    return result;
+  }
+
+  const verified = { ...result, expectedModel: config.expected };
+
+  if (config.expected && result.model) {
+    verified.modelMatch = modelsMatch(config.expected, result.model, config);
+    if (!verified.modelMatch) {
+      return {
+        ...verified,
+        status: 'degraded',
+        message: `Model mismatch: expected ${config.expected}, served ${result.model}`
+      };
+    }
+  } else {
+    verified.modelMatch = null;
+  }
+
+  for (const probe of config.probes) {
+    const probeService = {
+      ...service,
+      params: { ...(service.params || {}), prompt: probe.prompt },
+      expectedAnswer: probe.expect,
+      verifyModel: false
+    };
+    const probeResult = await runProbe(probeService);
+    if (probeResult.status !== 'ok') {
+      const reply = String(probeResult.stdout || '').trim().slice(0, 100);
+      return {
+        ...verified,
+        status: 'degraded',
+        message: `Model fingerprint probe failed: ${probe.name || probe.prompt}${
+          reply ? ` (replied: ${reply})` : ''
+        }`
+      };
+    }
+  }
+
+  return verified;
+}
+
+module.exports = {
+  modelsMatch,
+  normalizeModelName,
+  resolveVerifyConfig,
+  verifyModel
+};
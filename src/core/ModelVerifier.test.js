@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { modelsMatch, normalizeModelName, resolveVerifyConfig, verifyModel } = require('./ModelVerifier');
+
+test('normalizeModelName lower-cases and drops the provider prefix', () => {
+  assert.equal(normalizeModelName(' Anthropic/Claude-Sonnet-4-5 '), 'claude-sonnet-4-5');
+  assert.equal(normalizeModelName(null), '');
+});
+
+test('prefix mode accepts the expected id and its dated snapshots', () => {
+  assert.equal(modelsMatch('claude-sonnet-4-5', 'claude-sonnet-4-5'), true);
+  assert.equal(modelsMatch('claude-sonnet-4-5', 'claude-sonnet-4-5-20250929'), true);
+  assert.equal(modelsMatch('claude-sonnet-4-5', 'anthropic/claude-sonnet-4-5-20250929'), true);
+});
+
+test('prefix mode rejects older or cheaper model swaps', () => {
+  assert.equal(modelsMatch('claude-sonnet-4-5', 'claude-sonnet-4'), false);
+  assert.equal(modelsMatch('gpt-5-codex', 'gpt-5'), false);
+  assert.equal(modelsMatch('claude-opus-4-1', 'claude-opus-4'), false);
+  assert.equal(modelsMatch('claude-sonnet-4', 'claude-sonnet-4-5'), false);
+  assert.equal(modelsMatch('claude-sonnet-4-5', 'claude-sonnet-4-5-haiku'), false);
+});
+
+test('exact, contains and aliases', () => {
+  assert.equal(modelsMatch('claude-sonnet-4-5', 'claude-sonnet-4-5-20250929', { match: 'exact' }), false);
+  assert.equal(modelsMatch('sonnet-4-5', 'us.anthropic.claude-sonnet-4-5-v1', { match: 'contains' }), true);
+  assert.equal(modelsMatch('claude-sonnet-4-5', 'sonnet-latest', { aliases: ['sonnet-latest'] }), true);
+});
+
+test('resolveVerifyConfig falls back to params.model', () => {
+  assert.equal(resolveVerifyConfig({ verifyModel: false }), null);
+  assert.deepEqual(resolveVerifyConfig({ verifyModel: true, params: { model: 'm' } }), {
+    expected: 'm',
+    match: 'prefix',
+    aliases: [],
+    probes: []
+  });
+});
+
+test('verifyModel degrades a passing check served by another model', async () => {
+  const service = { verifyModel: true, params: { model: 'claude-opus-4-1' } };
+  const swapped = await verifyModel(service, { status: 'ok', model: 'claude-opus-4' }, async () => ({}));
+  assert.equal(swapped.status, 'degraded');
+  assert.equal(swapped.modelMatch, false);
+
+  const served = await verifyModel(service, { status: 'ok', model: 'claude-opus-4-1-20250805' }, async () => ({}));
+  assert.equal(served.status, 'ok');
+  assert.equal(served.modelMatch, true);
+});
+
+test('verifyModel runs probes and degrades on a failed one', async () => {
+  const service = {
+    verifyModel: { probes: [{ name: 'identity', prompt: 'who?', expect: 'claude' }] },
+    params: { model: 'm' }
+  };
+  const result = await verifyModel(service, { status: 'ok' }, async (probe) => {
+    assert.equal(probe.params.prompt, 'who?');
+    assert.equal(probe.verifyModel, false);
+    return { status: 'fail', stdout: 'I am GPT' };
+  });
+  assert.equal(result.status, 'degraded');
+  assert.match(result.message, /identity \(replied: I am GPT\)/);
+});
@@ -0,0 +1,227 @@
+/**
+ * Structured output parsers for CLI checks. Each parser receives the raw
+ * stdout and returns null when the output is not in its structured format,
+ * so plain-text commands keep working through the line-based matcher.
+ */
+
+const USAGE_FIELDS = ['inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens', 'costUsd'];
+
+function firstFinite(...values) {
+  for (const value of values) {
+    if (Number.isFinite(value)) {
+      return value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Map Anthropic or OpenAI usage objects onto common field names.
+ * @param {object|null|undefined} usage
+ * @returns {{inputTokens: number|null, outputTokens: number|null, cacheReadTokens: number|null, cacheWriteTokens: number|null}}
+ */
+function normalizeUsage(usage) {
+  const source = usage && typeof usage === 'object' ? usage : {};
+  return {
+    inputTokens: firstFinite(source.input_tokens, source.prompt_tokens),
+    outputTokens: firstFinite(source.output_tokens, source.completion_tokens),
+    cacheReadTokens: firstFinite(
+      source.cache_read_input_tokens,
+      source.cached_input_tokens,
+      source.input_tokens_details?.cached_tokens,
+      source.prompt_tokens_details?.cached_tokens
+    ),
+    cacheWriteTokens: firstFinite(source.cache_creation_input_tokens)
+  };
+}
+
+function parseJsonLines(stdout) {
+  const text = String(stdout ?? '').trim();
+  if (!text) {
+    return [];
+  }
+
+  try {
+    const whole = JSON.parse(text);
+    return Array.isArray(whole) ? whole : [whole];
+  } catch (error) {
+    // Fall through to line-delimited parsing.
+  }
+
+  const events = [];
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('{')) {
+      continue;
+    }
+    try {
+      events.push(JSON.parse(trimmed));
+    } catch (error) {
+      continue;
+    }
+  }
+  return events;
+}
+
+function emptyParsed() {
+  return {
+    text: '',
+    model: null,
+    inputTokens: null,
+    outputTokens: null,
+    cacheReadTokens: null,
+    cacheWriteTokens: null,
+    costUsd: null,
+    isError: false
+  };
+}
+
+/**
+ * Parse `claude -p --output-format json` (single result object) or
+ * `--output-format stream-json` (JSONL events ending in a result event).
+ * @param {string} stdout
+ * @returns {object|null}
+ */
+function parseClaudeOutput(stdout) {
+  const events = parseJsonLines(stdout);
+  const result = events.find((event) => event && event.type === 'result');
+  if (!result) {
+    return null;
+  }
+
+  const parsed = emptyParsed();
+  parsed.text = typeof result.result === 'string' ? result.result : '';
+  parsed.isError = result.is_error === true || (result.subtype && result.subtype !== 'success');
+  parsed.costUsd = firstFinite(result.total_cost_usd, result.cost_usd);
+  Object.assign(parsed, normalizeUsage(result.usage));
+
+  // modelUsage lists every model the CLI touched; the main model is the
+  // one that produced the most output.
+  const modelUsage = result.modelUsage && typeof result.modelUsage === 'object'
+    ? Object.entries(result.modelUsage)
+    : [];
+  if (modelUsage.length > 0) {
+    modelUsage.sort(
+      ([, a], [, b]) => (b?.outputTokens ?? 0) - (a?.outputTokens ?? 0)
+    );
+    parsed.model = modelUsage[0][0];
+  }
+
+  if (!parsed.model) {
+    const init = events.find((event) => event?.type === 'system' && event.model);
+    const assistant = events.find((event) => event?.type === 'assistant' && event.message?.model);
+    parsed.model = init?.model ?? assistant?.message?.model ?? null;
+  }
+
+  return parsed;
+}
+
+/**
+ * Parse `codex exec --json` event streams. Handles both the thread/item
+ * event format and the older `{ msg: {...} }` envelope.
+ * @param {string} stdout
+ * @returns {object|null}
+ */
+function parseCodexOutput(stdout) {
+  const events = parseJsonLines(stdout);
+  if (events.length === 0) {
+    return null;
+  }
+
+  const parsed = emptyParsed();
+  const messages = [];
+  let structured = false;
+
+  for (const event of events) {
+    if (!event || typeof event !== 'object') {
+      continue;
+    }
+    const msg = event.msg && typeof event.msg === 'object' ? event.msg : event.payload ?? event;
+
+    if (event.type === 'item.completed' && event.item) {
+      structured = true;
+      const itemType = event.item.type ?? event.item.item_type;
+      if (itemType === 'agent_message' || itemType === 'assistant_message') {
+        messages.push(event.item.text ?? '');
+      }
+      continue;
+    }
+
+    if (event.type === 'turn.completed') {
+      structured = true;
+      Object.assign(parsed, normalizeUsage(event.usage));
+      continue;
+    }
+
+    if (event.type === 'turn.failed' || event.type === 'error') {
+      structured = true;
+      parsed.isError = true;
+      parsed.text = event.error?.message ?? event.message ?? parsed.text;
+      continue;
+    }
+
+    if (event.type === 'thread.started' || event.type === 'turn.started') {
+      structured = true;
+      continue;
+    }
+
+    switch (msg.type) {
+      case 'session_configured':
+      case 'turn_context':
+        structured = true;
+        parsed.model = msg.model ?? parsed.model;
+        break;
+      case 'agent_message':
+        structured = true;
+        messages.push(msg.message ?? '');
+        break;
+      case 'token_count':
+        structured = true;
+        if (msg.info?.total_token_usage) {
+          Object.assign(parsed, normalizeUsage(msg.info.total_token_usage));
+        }
+        break;
+      case 'error':
+        structured = true;
+        parsed.isError = true;
+        parsed.text = msg.message ?? parsed.text;
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (!structured) {
+    return null;
+  }
+
+  if (messages.length > 0) {
+    parsed.text = messages.join('\n');
+  }
+  return parsed;
+}
+
+const OUTPUT_PARSERS = {
+  claude: parseClaudeOutput,
+  codex: parseCodexOutput
+};
+
+/**
+ * Pick the structured output parser for a service. `outputParser` in the
+ * service definition overrides the type-based default; "text" disables it.
+ * @param {object} service
+ * @returns {Function|null}
+ */
+function selectOutputParser(service) {
+  const name = service?.outputParser ?? service?.type;
+  return OUTPUT_PARSERS[name] ?? null;
+}
+
+module.exports = {
+  OUTPUT_PARSERS,
+  USAGE_FIELDS,
+  normalizeUsage,
+  parseClaudeOutput,
+  parseCodexOutput,
+  selectOutputParser
+};
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeUsage,
+  parseClaudeOutput,
+  parseCodexOutput,
+  selectOutputParser
+} = require('./OutputParsers');
+
+test('normalizeUsage maps Anthropic and OpenAI field names', () => {
+  assert.deepEqual(
+    normalizeUsage({ input_tokens: 10, output_tokens: 2, cache_read_input_tokens: 8, cache_creation_input_tokens: 1 }),
+    { inputTokens: 10, outputTokens: 2, cacheReadTokens: 8, cacheWriteTokens: 1 }
+  );
+  assert.deepEqual(normalizeUsage({ prompt_tokens: 5, completion_tokens: 1, prompt_tokens_details: { cached_tokens: 3 } }), {
+    inputTokens: 5,
+    outputTokens: 1,
+    cacheReadTokens: 3,
+    cacheWriteTokens: null
+  });
+  assert.equal(normalizeUsage(null).inputTokens, null);
+});
+
+test('parseClaudeOutput reads --output-format json', () => {
+  const stdout = JSON.stringify({
+    type: 'result',
+    subtype: 'success',
+    is_error: false,
+    result: '2',
+    total_cost_usd: 0.0012,
+    usage: { input_tokens: 12, output_tokens: 1 },
+    modelUsage: {
+      'claude-3-5-haiku-20241022': { outputTokens: 0 },
+      'claude-sonnet-4-5-20250929': { outputTokens: 1 }
+    }
+  });
+  const parsed = parseClaudeOutput(stdout);
+  assert.equal(parsed.text, '2');
+  assert.equal(parsed.model, 'claude-sonnet-4-5-20250929');
+  assert.equal(parsed.costUsd, 0.0012);
+  assert.equal(parsed.inputTokens, 12);
+  assert.equal(parsed.isError, false);
+});
+
+test('parseClaudeOutput reads stream-json and flags errors', () => {
+  const stdout = [
+    { type: 'system', subtype: 'init', model: 'claude-opus-4-1' },
+    { type: 'result', subtype: 'error_during_execution', result: 'API Error: 529' }
+  ]
+    .map((event) => JSON.stringify(event))
+    .join('\n');
+  const parsed = parseClaudeOutput(stdout);
+  assert.equal(parsed.model, 'claude-opus-4-1');
+  assert.equal(parsed.isError, true);
+});
+
+test('parsers return null for plain text', () => {
+  assert.equal(parseClaudeOutput('2\n'), null);
+  assert.equal(parseCodexOutput('2\n'), null);
+  assert.equal(parseCodexOutput(''), null);
+});
+
+test('parseCodexOutput reads thread/item events', () => {
+  const stdout = [
+    { type: 'thread.started', thread_id: 't' },
+    { type: 'item.completed', item: { type: 'reasoning', text: 'thinking' } },
+    { type: 'item.completed', item: { type: 'agent_message', text: '2' } },
+    { type: 'turn.completed', usage: { input_tokens: 20, cached_input_tokens: 16, output_tokens: 3 } }
+  ]
+    .map((event) => JSON.stringify(event))
+    .join('\n');
+  const parsed = parseCodexOutput(stdout);
+  assert.equal(parsed.text, '2');
+  assert.equal(parsed.cacheReadTokens, 16);
+  assert.equal(parsed.outputTokens, 3);
+});
+
+test('parseCodexOutput reads the msg envelope', () => {
+  const stdout = [
+    { id: '0', msg: { type: 'session_configured', model: 'gpt-5-codex' } },
+    { id: '1', msg: { type: 'agent_message', message: '2' } },
+    { id: '2', msg: { type: 'token_count', info: { total_token_usage: { input_tokens: 9, output_tokens: 1 } } } }
+  ]
+    .map((event) => JSON.stringify(event))
+    .join('\n');
+  const parsed = parseCodexOutput(stdout);
+  assert.equal(parsed.model, 'gpt-5-codex');
+  assert.equal(parsed.text, '2');
+  assert.equal(parsed.inputTokens, 9);
+
+  const failed = parseCodexOutput(JSON.stringify({ type: 'turn.failed', error: { message: 'quota exceeded' } }));
+  assert.equal(failed.isError, true);
+  assert.equal(failed.text, 'quota exceeded');
+});
+
+test('selectOutputParser honours outputParser over type', () => {
+  assert.equal(selectOutputParser({ type: 'claude' }), parseClaudeOutput);
+  assert.equal(selectOutputParser({ type: 'claude', outputParser: 'codex' }), parseCodexOutput);
+  assert.equal(selectOutputParser({ type: 'claude', outputParser: 'text' }), null);
+  assert.equal(selectOutputParser({ type: 'anthropic-api' }), null);
+});
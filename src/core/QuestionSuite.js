@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+
+const SUITES_DIR = path.join(__dirname, '..', '..', 'config', 'suites');
+const SUITE_MODES = new Set(['round-robin', 'random', 'all']);
+const DEFAULT_PASS_THRESHOLD = 1;
+const SUM_FIELDS = ['inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens', 'costUsd'];
+
+/**
+ * Read a shared question bank. Bare names resolve to config/suites/<name>.json;
+ * anything that looks like a path is resolved against PROJECT_ROOT.
+ * @param {string} file
+ * @param {Function} resolvePath
+ * @returns {object}
+ */
+function loadSuiteFile(file, resolvePath) {
+  const isPath = file.includes('/') || file.includes('\\') || file.endsWith('.json');
+  const filePath = isPath ? resolvePath(file) : path.join(SUITES_DIR, `${file}.json`);
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return Array.isArray(data) ? { questions: data } : data;
+}
+
+/**
+ * Merge a service's `suite` setting with its referenced suite file.
+ * @param {object} service
+ * @param {Function} resolvePath
+ * @returns {{name: string, mode: string, passThreshold: number, questions: Array}}
+ */
+function resolveSuite(service, resolvePath) {
+  const setting = typeof service.suite === 'string' ? { file: service.suite } : service.suite;
+  if (!setting || typeof setting !== 'object') {
+    throw new Error('Invalid "suite" definition');
+  }
+
+  const shared = setting.file ? loadSuiteFile(setting.file, resolvePath) : {};
+  const questions = [
+    ...(Array.isArray(shared.questions) ? shared.questions : []),
+    ...(Array.isArray(setting.questions) ? setting.questions : [])
+  ]
+    .filter((question) => question && question.prompt)
+    .map((question, index) => ({
+      id: String(question.id ?? index + 1),
+      prompt: question.prompt,
+      expectedAnswer: question.expectedAnswer ?? null
+    }));
+
+  if (questions.length === 0) {
+    throw new Error(`Suite "${setting.file || 'inline'}" has no questions`);
+  }
+
+  const mode = setting.mode || shared.mode;
+  const threshold = setting.passThreshold ?? shared.passThreshold;
+  return {
+    name: setting.file || shared.name || 'inline',
+    mode: SUITE_MODES.has(mode) ? mode : 'round-robin',
+    passThreshold:
+      Number.isFinite(threshold) && threshold > 0 && threshold <= 1
+        ? threshold
+        : DEFAULT_PASS_THRESHOLD,
+    questions
+  };
+}
+
+function serviceForQuestion(service, question) {
+  const { suite, ...rest } = service;
+  return {
+    ...rest,
+    params: { ...(service.params || {}), prompt: question.prompt },
+    expectedAnswer: question.expectedAnswer
+  };
+}
+
+function withQuestion(result, question) {
+  return { ...result, questionId: question.id, question: question.prompt };
+}
+
+/**
+ * Run a service's question suite and fold the outcome into one result.
+ * @param {object} service
+ * @param {(service: object) => Promise<object>} runCheck
+ * @param {{cursors: Map<string, number>, resolvePath: Function}} context
+ * @returns {Promise<object>}
+ */
+async function runSuite(service, runCheck, { cursors, resolvePath }) {
+  const serviceId = service.id || service.name;
+  let suite;
+  try {
+    suite = resolveSuite(service, resolvePath);
+  } catch (error) {
+    return {
+      name: service.name || serviceId,
+      stdout: '',
+      stderr: error.message,
+      checkedAt: new Date().toISOString(),
+      status: 'error',
+      message: `Failed to load suite: ${error.message}`,
+      responseTime: 0,
+      expectedAnswer: null
+    };
+  }
+
+  if (suite.mode !== 'all') {
+    let index;
+    if (suite.mode === 'random') {
+      index = Math.floor(Math.random() * suite.questions.length);
+    } else {
+      index = (cursors.get(serviceId) ?? 0) % suite.questions.length;
+      cursors.set(serviceId, index + 1);
+    }
+    const question = suite.questions[index];
+    const result = await runCheck(serviceForQuestion(service, question));
+    return withQuestion(result, question);
+  }
+
+  const startedAt = Date.now();
+  const results = [];
+  for (const question of suite.questions) {
+    const result = await runCheck(serviceForQuestion(service, question));
+    results.push({ question, result });
+  }
+
+  const passed = results.filter(({ result }) => result.status === 'ok').length;
+  const ratio = passed / results.length;
+  const firstFailure = results.find(({ result }) => result.status !== 'ok');
+  const last = results[results.length - 1].result;
+
+  let status = 'ok';
+  if (ratio < suite.passThreshold) {
+    const answered = results.some(({ result }) => result.status === 'ok' || result.status === 'fail');
+    status = answered ? 'fail' : firstFailure.result.status;
+  }
+
+  const totals = {};
+  for (const field of SUM_FIELDS) {
+    const values = results.map(({ result }) => result[field]).filter(Number.isFinite);
+    totals[field] = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : null;
+  }
+
+  return {
+    ...last,
+    ...totals,
+    stdout: results
+      .map(({ question, result }) => `[${question.id}] ${String(result.stdout || '').trim()}`)
+      .join('\n'),
+    stderr: results
+      .map(({ result }) => String(result.stderr || '').trim())
+      .filter(Boolean)
+      .join('\n'),
+    status,
+    answer: null,
+    message:
+      status === 'ok'
+        ? null
+        : `Suite ${suite.name}: ${passed}/${results.length} passed (threshold ${Math.round(suite.passThreshold * 100)}%)`,
+    responseTime: Date.now() - startedAt,
+    questionId: null,
+    question: null,
+    suiteResults: results.map(({ question, result }) => ({
+      questionId: question.id,
+      status: result.status,
+      answer: result.answer ?? null,
+      responseTime: result.responseTime ?? 0
+    })),
+    expectedAnswer: null
+  };
+}
+
+module.exports = { SUITES_DIR, resolveSuite, runSuite };
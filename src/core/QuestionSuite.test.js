@@ -0,0 +1,119 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveSuite, runSuite } = require('./QuestionSuite');
+
+const identity = (value) => value;
+const questions = [
+  { id: 'add', prompt: '1+1=?', expectedAnswer: '2' },
+  { id: 'mul', prompt: '3*3=?', expectedAnswer: '9' },
+  { id: 'sub', prompt: '5-2=?', expectedAnswer: '3' }
+];
+
+// Answers every prompt from `answers`, keyed by the expected answer.
+function fakeCheck(answers, calls = []) {
+  return async (service) => {
+    calls.push(service);
+    const status = answers[service.expectedAnswer] ?? 'ok';
+    return {
+      name: service.name,
+      stdout: status === 'ok' ? service.expectedAnswer : 'wrong',
+      stderr: status === 'error' ? 'API Error: 502' : '',
+      checkedAt: new Date().toISOString(),
+      status,
+      answer: status === 'ok' ? service.expectedAnswer : null,
+      message: status === 'ok' ? null : status,
+      responseTime: 10,
+      inputTokens: 5,
+      outputTokens: status === 'error' ? null : 1
+    };
+  };
+}
+
+test('resolveSuite merges a suite file with inline questions', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'suite-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'math.json');
+  fs.writeFileSync(file, JSON.stringify({ name: 'math', mode: 'all', passThreshold: 0.5, questions: questions.slice(0, 2) }));
+
+  const suite = resolveSuite(
+    { suite: { file, questions: [{ prompt: '2+2=?', expectedAnswer: '4' }, { expectedAnswer: 'no prompt' }] } },
+    identity
+  );
+  assert.equal(suite.name, file);
+  assert.equal(suite.mode, 'all');
+  assert.equal(suite.passThreshold, 0.5);
+  assert.deepEqual(suite.questions.map((question) => question.id), ['add', 'mul', '3']);
+
+  const inline = resolveSuite({ suite: { questions, mode: 'shuffle', passThreshold: 2 } }, identity);
+  assert.equal(inline.name, 'inline');
+  assert.equal(inline.mode, 'round-robin');
+  assert.equal(inline.passThreshold, 1);
+  assert.throws(() => resolveSuite({ suite: { questions: [] } }, identity), /has no questions/);
+});
+
+test('round-robin asks one question per check and rotates per service', async () => {
+  const cursors = new Map();
+  const calls = [];
+  const service = { id: 'a', name: 'A', params: { model: 'gpt-5' }, suite: { questions } };
+  const asked = [];
+  for (let run = 0; run < 4; run += 1) {
+    const result = await runSuite(service, fakeCheck({}, calls), { cursors, resolvePath: identity });
+    asked.push(result.questionId);
+  }
+  assert.deepEqual(asked, ['add', 'mul', 'sub', 'add']);
+  assert.deepEqual(calls[1].params, { model: 'gpt-5', prompt: '3*3=?' });
+  assert.equal(calls[1].suite, undefined);
+
+  const other = await runSuite({ ...service, id: 'b' }, fakeCheck({}), { cursors, resolvePath: identity });
+  assert.equal(other.questionId, 'add');
+  assert.equal(other.question, '1+1=?');
+});
+
+test('random mode picks a question from the suite', async (t) => {
+  t.mock.method(Math, 'random', () => 0.7);
+  const result = await runSuite({ id: 'a', suite: { questions, mode: 'random' } }, fakeCheck({}), {
+    cursors: new Map(),
+    resolvePath: identity
+  });
+  assert.equal(result.questionId, 'sub');
+});
+
+test('all mode aggregates every answer against the pass threshold', async () => {
+  const context = () => ({ cursors: new Map(), resolvePath: identity });
+  const service = (passThreshold) => ({ id: 'a', name: 'A', suite: { questions, mode: 'all', passThreshold } });
+
+  const passed = await runSuite(service(1), fakeCheck({}), context());
+  assert.equal(passed.status, 'ok');
+  assert.equal(passed.message, null);
+  assert.equal(passed.stdout, '[add] 2\n[mul] 9\n[sub] 3');
+  assert.equal(passed.inputTokens, 15);
+  assert.deepEqual(passed.suiteResults.map((item) => item.status), ['ok', 'ok', 'ok']);
+
+  const failed = await runSuite(service(1), fakeCheck({ 9: 'fail' }), context());
+  assert.equal(failed.status, 'fail');
+  assert.equal(failed.message, 'Suite inline: 2/3 passed (threshold 100%)');
+  assert.equal(failed.questionId, null);
+
+  const tolerated = await runSuite(service(0.6), fakeCheck({ 9: 'fail' }), context());
+  assert.equal(tolerated.status, 'ok');
+
+  // Mixed answers and errors count as a wrong answer; no answers at all keep the error status.
+  const mixed = await runSuite(service(1), fakeCheck({ 9: 'error', 3: 'fail' }), context());
+  assert.equal(mixed.status, 'fail');
+  const down = await runSuite(service(1), fakeCheck({ 2: 'timeout', 9: 'error', 3: 'error' }), context());
+  assert.equal(down.status, 'timeout');
+  assert.equal(down.stderr, 'API Error: 502\nAPI Error: 502');
+  assert.equal(down.outputTokens, 1);
+});
+
+test('suites that cannot be loaded report an error', async () => {
+  const result = await runSuite({ id: 'a', name: 'A', suite: 'missing-suite-file.json' }, fakeCheck({}), {
+    cursors: new Map(),
+    resolvePath: (file) => path.join(os.tmpdir(), 'no-such-dir', file)
+  });
+  assert.equal(result.status, 'error');
+  assert.match(result.message, /^Failed to load suite: ENOENT/);
+});
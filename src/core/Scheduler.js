@@ -0,0 +1,248 @@
+const cron = require('node-cron');
+const { parseDuration } = require('../utils/rollups');
+
+const DEFAULT_INTERVAL_MINUTES = 5;
+const MIN_INTERVAL_MS = 5 * 1000;
+// Timer delays are 32-bit signed; longer ones overflow and fire immediately.
+const MAX_INTERVAL_MS = 2 ** 31 - 1;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Read a duration given as "90s"/"2h" or as milliseconds.
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+function toMilliseconds(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+  return parseDuration(value);
+}
+
+/**
+ * Resolve when a service runs. `schedule` accepts a duration ("90s", "2h")
+ * or a cron expression (5 fields, or 6 with seconds); otherwise the legacy
+ * `checkInterval` in minutes is used. Intervals must fit a timer delay
+ * (about 24 days).
+ * @param {object} service
+ * @returns {{type: 'cron', expression: string, label: string}|{type: 'interval', intervalMs: number, label: string}}
+ * @throws {Error} when the schedule cannot be parsed
+ */
+function resolveSchedule(service) {
+  const schedule = service?.schedule;
+  if (schedule != null && schedule !== '') {
+    const text = String(schedule).trim();
+    const intervalMs = parseDuration(text);
+    if (intervalMs != null) {
+      if (intervalMs < MIN_INTERVAL_MS) {
+        throw new Error(`Schedule "${text}" is shorter than the ${MIN_INTERVAL_MS / 1000}s minimum`);
+      }
+      if (intervalMs > MAX_INTERVAL_MS) {
+        throw new Error(`Schedule "${text}" is longer than the ${MAX_INTERVAL_MS}ms maximum; use a cron expression`);
+      }
+      return { type: 'interval', intervalMs, label: `every ${text}` };
+    }
+    if (cron.validate(text)) {
+      return { type: 'cron', expression: text, label: `cron "${text}"` };
+    }
+    throw new Error(`Invalid schedule "${text}": expected a duration like "90s" or "2h", or a cron expression`);
+  }
+
+  const minutes =
+    Number.isFinite(service?.checkInterval) && service.checkInterval > 0
+      ? service.checkInterval
+      : DEFAULT_INTERVAL_MINUTES;
+  if (minutes * 60 * 1000 > MAX_INTERVAL_MS) {
+    throw new Error(`checkInterval ${minutes} is longer than the ${MAX_INTERVAL_MS}ms maximum; use a cron schedule`);
+  }
+  return { type: 'interval', intervalMs: minutes * 60 * 1000, label: `every ${minutes}m` };
+}
+
+/**
+ * Resolve the random start delay for a service, falling back to the global one.
+ * @param {object} service
+ * @param {{jitter?: string|number}} [defaults]
+ * @returns {number}
+ * @throws {Error} when the jitter cannot be parsed
+ */
+function resolveJitter(service, defaults = {}) {
+  const value = service?.jitter ?? defaults.jitter;
+  if (value == null) {
+    return 0;
+  }
+  const jitterMs = toMilliseconds(value);
+  if (jitterMs == null) {
+    throw new Error(`Invalid jitter "${value}": expected a duration like "30s" or milliseconds`);
+  }
+  return jitterMs;
+}
+
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+  if (!match) {
+    return null;
+  }
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (minutes > 59 || hours > 24 || (hours === 24 && minutes > 0)) {
+    return null;
+  }
+  return hours * 60 + minutes;
+}
+
+/**
+ * Normalize an `activeHours` window, either "08:00-22:00" or
+ * `{ start, end, days, timezone }` where days are 0 (Sunday) to 6.
+ * Windows that end before they start wrap past midnight.
+ * @param {string|object|null|false} value
+ * @returns {{start: number, end: number, days: number[]|null, timezone: string|null}|null}
+ * @throws {Error} when the window cannot be parsed
+ */
+function parseActiveHours(value) {
+  if (value == null || value === false) {
+    return null;
+  }
+
+  let setting = value;
+  if (typeof value === 'string') {
+    const [start, end] = value.split('-');
+    setting = { start, end };
+  }
+  if (!setting || typeof setting !== 'object') {
+    throw new Error('Invalid activeHours: expected "HH:MM-HH:MM" or an object');
+  }
+
+  const start = parseClock(setting.start);
+  const end = parseClock(setting.end);
+  if (start == null || end == null) {
+    throw new Error(`Invalid activeHours "${setting.start}-${setting.end}": expected "HH:MM-HH:MM"`);
+  }
+
+  let days = null;
+  if (setting.days != null) {
+    if (
+      !Array.isArray(setting.days) ||
+      !setting.days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+    ) {
+      throw new Error('Invalid activeHours.days: expected weekday numbers 0 (Sunday) to 6');
+    }
+    days = setting.days;
+  }
+
+  const timezone = setting.timezone || null;
+  if (timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+      throw new Error(`Invalid activeHours.timezone "${timezone}"`);
+    }
+  }
+
+  return { start, end, days, timezone };
+}
+
+function localTime(date, timezone) {
+  if (!timezone) {
+    return { minutes: date.getHours() * 60 + date.getMinutes(), day: date.getDay() };
+  }
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = (type) => parts.find((item) => item.type === type)?.value;
+  return {
+    minutes: Number(part('hour')) * 60 + Number(part('minute')),
+    day: WEEKDAYS.indexOf(part('weekday'))
+  };
+}
+
+/**
+ * @param {ReturnType<typeof parseActiveHours>} window
+ * @param {Date} [date]
+ * @returns {boolean}
+ */
+function isWithinActiveHours(window, date = new Date()) {
+  if (!window) {
+    return true;
+  }
+  const { minutes, day } = localTime(date, window.timezone);
+  if (window.days && !window.days.includes(day)) {
+    return false;
+  }
+  if (window.start === window.end) {
+    return true;
+  }
+  return window.start < window.end
+    ? minutes >= window.start && minutes < window.end
+    : minutes >= window.start || minutes < window.end;
+}
+
+/**
+ * Start a recurring task. Each tick is skipped outside `activeHours` and
+ * otherwise delayed by a random 0..jitterMs so services sharing a relay do
+ * not fire at the same instant.
+ * @param {ReturnType<typeof resolveSchedule>} schedule
+ * @param {() => void} run
+ * @param {{jitterMs?: number, activeHours?: object|null, runImmediately?: boolean}} [options]
+ * @returns {{stop: () => void}}
+ */
+function scheduleTask(schedule, run, options = {}) {
+  const { activeHours = null, runImmediately = false } = options;
+  // Never let the delay reach the next interval tick.
+  const jitterMs =
+    schedule.type === 'interval'
+      ? Math.min(options.jitterMs || 0, schedule.intervalMs - 1)
+      : options.jitterMs || 0;
+
+  const pending = new Set();
+  let stopped = false;
+
+  const fire = () => {
+    if (stopped || !isWithinActiveHours(activeHours)) {
+      return;
+    }
+    const delay = jitterMs > 0 ? Math.floor(Math.random() * jitterMs) : 0;
+    if (delay === 0) {
+      run();
+      return;
+    }
+    const timer = setTimeout(() => {
+      pending.delete(timer);
+      if (!stopped) {
+        run();
+      }
+    }, delay);
+    pending.add(timer);
+  };
+
+  const cronTask = schedule.type === 'cron' ? cron.schedule(schedule.expression, fire) : null;
+  const intervalTimer = schedule.type === 'interval' ? setInterval(fire, schedule.intervalMs) : null;
+
+  if (runImmediately) {
+    fire();
+  }
+
+  return {
+    stop() {
+      stopped = true;
+      cronTask?.stop();
+      clearInterval(intervalTimer);
+      for (const timer of pending) {
+        clearTimeout(timer);
+      }
+      pending.clear();
+    }
+  };
+}
+
+module.exports = {
+  isWithinActiveHours,
+  parseActiveHours,
+  resolveJitter,
+  resolveSchedule,
+  scheduleTask,
+  toMilliseconds
+};
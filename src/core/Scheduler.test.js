@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isWithinActiveHours, parseActiveHours, resolveJitter, resolveSchedule } = require('./Scheduler');
+
+test('resolveSchedule reads durations, cron expressions and checkInterval', () => {
+  assert.deepEqual(resolveSchedule({ schedule: '90s' }), { type: 'interval', intervalMs: 90_000, label: 'every 90s' });
+  assert.deepEqual(resolveSchedule({ schedule: '*/30 * * * * *' }), {
+    type: 'cron',
+    expression: '*/30 * * * * *',
+    label: 'cron "*/30 * * * * *"'
+  });
+  assert.equal(resolveSchedule({ checkInterval: 7 }).intervalMs, 7 * 60_000);
+  assert.equal(resolveSchedule({}).intervalMs, 5 * 60_000);
+});
+
+test('resolveSchedule rejects intervals a timer cannot hold', () => {
+  assert.throws(() => resolveSchedule({ schedule: '2s' }), /shorter than the 5s minimum/);
+  assert.throws(() => resolveSchedule({ schedule: '30d' }), /longer than the 2147483647ms maximum/);
+  assert.throws(() => resolveSchedule({ schedule: '4w' }), /longer than/);
+  assert.throws(() => resolveSchedule({ checkInterval: 40_000 }), /longer than/);
+  assert.equal(resolveSchedule({ schedule: '24d' }).intervalMs, 24 * 24 * 3600 * 1000);
+});
+
+test('resolveSchedule rejects unparseable schedules', () => {
+  assert.throws(() => resolveSchedule({ schedule: 'often' }), /Invalid schedule "often"/);
+});
+
+test('resolveJitter falls back to the global default', () => {
+  assert.equal(resolveJitter({}), 0);
+  assert.equal(resolveJitter({}, { jitter: '20s' }), 20_000);
+  assert.equal(resolveJitter({ jitter: 1500 }, { jitter: '20s' }), 1500);
+  assert.throws(() => resolveJitter({ jitter: 'soon' }), /Invalid jitter/);
+});
+
+test('parseActiveHours validates windows', () => {
+  assert.equal(parseActiveHours(null), null);
+  assert.deepEqual(parseActiveHours('08:00-22:00'), { start: 480, end: 1320, days: null, timezone: null });
+  assert.throws(() => parseActiveHours('8am-10pm'), /Invalid activeHours/);
+  assert.throws(() => parseActiveHours({ start: '08:00', end: '09:00', days: [7] }), /activeHours.days/);
+  assert.throws(() => parseActiveHours({ start: '08:00', end: '09:00', timezone: 'Mars/Base' }), /timezone/);
+});
+
+test('isWithinActiveHours handles windows past midnight, weekdays and time zones', () => {
+  const night = parseActiveHours('22:00-06:00');
+  assert.equal(isWithinActiveHours(night, new Date('2026-01-05T23:30:00')), true);
+  assert.equal(isWithinActiveHours(night, new Date('2026-01-05T05:59:00')), true);
+  assert.equal(isWithinActiveHours(night, new Date('2026-01-05T12:00:00')), false);
+
+  // 2026-01-05 is a Monday; 01:00 UTC is 09:00 in Shanghai.
+  const weekdays = parseActiveHours({ start: '08:00', end: '18:00', days: [1, 2, 3, 4, 5], timezone: 'Asia/Shanghai' });
+  assert.equal(isWithinActiveHours(weekdays, new Date('2026-01-05T01:00:00Z')), true);
+  assert.equal(isWithinActiveHours(weekdays, new Date('2026-01-04T01:00:00Z')), false);
+  assert.equal(isWithinActiveHours(null), true);
+});
@@ -2,6 +2,12 @@ const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
+const { escapeRegExp, extractAnswer, matchAnswer } = require('../utils/answer');
+const { API_PROBE_TYPES, checkApiService, resolveProviderHost } = require('./ApiProbe');
+const { selectOutputParser } = require('./OutputParsers');
+const { verifyModel } = require('./ModelVerifier');
+const { runSuite } = require('./QuestionSuite');
+const { classifyError } = require('./ErrorClassifier');
 
 // Load environment variables
 require('dotenv').config();
@@ -168,64 +174,6 @@ function injectResumeParameter(command) {
   );
 }
 
-function escapeRegExp(value) {
-  return value.replace(/[.*+\-?^${}()|[\]\\]/g, '\\$&');
-}
-
-/**
- * Extract the expected answer from the command output.
- * @param {string|undefined|null} text
- * @param {string|string[]|RegExp|RegExp[]|undefined|null} expectedAnswer
- * @returns {string|null}
- */
-function extractAnswer(text, expectedAnswer) {
-  if (!text) return null;
-
-  const normalized = text.replace(/\r\n/g, '\n');
-  const lines = normalized
-    .split('\n')
-    .map((line) => line.trim())
-    .filter(Boolean);
-
-  const expectedList = Array.isArray(expectedAnswer)
-    ? expectedAnswer.filter(Boolean)
-    : expectedAnswer != null
-    ? [expectedAnswer]
-    : [];
-
-  if (expectedList.length === 0) {
-    return lines[0] || null;
-  }
-
-  for (const expected of expectedList) {
-    if (expected instanceof RegExp) {
-      if (lines.some((line) => expected.test(line))) {
-        const matched = lines.find((line) => expected.test(line));
-        return matched ?? null;
-      }
-      if (expected.test(normalized)) {
-        const match = normalized.match(expected);
-        return match ? match[0] : null;
-      }
-      continue;
-    }
-
-    const expectedString = String(expected).trim();
-    if (!expectedString) continue;
-
-    if (lines.some((line) => line === expectedString)) {
-      return expectedString;
-    }
-
-    const boundaryPattern = new RegExp(`\\b${escapeRegExp(expectedString)}\\b`);
-    if (boundaryPattern.test(normalized)) {
-      return expectedString;
-    }
-  }
-
-  return null;
-}
-
 function parseCommand(command) {
   if (typeof command !== 'string' || !command.trim()) {
     return { cmd: null, args: [] };
@@ -351,6 +299,7 @@ function checkService({ name, command, expectedAnswer, timeout, log, service })
     let timedOut = false;
     let stdout = '';
     let stderr = '';
+    let firstByteTime = null;
 
     const finalize = (result) => {
       if (timeoutHandle) {
@@ -451,6 +400,9 @@ function checkService({ name, command, expectedAnswer, timeout, log, service })
 
     if (proc.stdout) {
       proc.stdout.on('data', (chunk) => {
+        if (firstByteTime == null) {
+          firstByteTime = Date.now() - startedAt;
+        }
         stdout += chunk.toString();
       });
     }
@@ -470,6 +422,7 @@ function checkService({ name, command, expectedAnswer, timeout, log, service })
         status: 'error',
         message: error.message,
         responseTime: Date.now() - startedAt,
+        firstByteTime,
         expectedAnswer: expectedAnswer ?? null
       });
     });
@@ -492,12 +445,17 @@ function checkService({ name, command, expectedAnswer, timeout, log, service })
 
     proc.on('close', (code, signal) => {
       const responseTime = Date.now() - startedAt;
+      const parseOutput = selectOutputParser(service);
+      const structured = parseOutput ? parseOutput(stdout) : null;
+      const { text: structuredText, isError: structuredError, ...usage } = structured ?? {};
       const base = {
         name,
         stdout: stdout.trim(),
         stderr: stderr.trim(),
         checkedAt: checkedAt(),
         responseTime,
+        firstByteTime,
+        ...(structured ? usage : {}),
         expectedAnswer: expectedAnswer ?? null
       };
 
@@ -522,12 +480,21 @@ function checkService({ name, command, expectedAnswer, timeout, log, service })
         return;
       }
 
-      const answer = extractAnswer(stdout, expectedAnswer);
-      if (answer != null) {
+      if (structured && structuredError) {
+        finalize({
+          ...base,
+          status: 'error',
+          message: truncateForLog(structuredText) || 'CLI reported an error result'
+        });
+        return;
+      }
+
+      const outcome = matchAnswer(structured ? structuredText : stdout, expectedAnswer);
+      if (outcome.matched) {
         finalize({
           ...base,
           status: 'ok',
-          answer,
+          answer: outcome.answer,
           message: null
         });
         return;
@@ -537,7 +504,7 @@ function checkService({ name, command, expectedAnswer, timeout, log, service })
         ...base,
         status: 'fail',
         answer: null,
-        message: 'Expected answer was not matched'
+        message: outcome.reason
       });
     });
   });
@@ -549,26 +516,73 @@ class ServiceChecker {
       ? Math.floor(options.defaultTimeout)
       : EXEC_TIMEOUT;
     this.logger = options.logger || logger;
+    this.queue = options.queue || null;
+    this.suiteCursors = new Map();
   }
 
+  /**
+   * Run a check, waiting for a queue slot first when a queue is bound.
+   * Time spent waiting is reported as `queueWait`, separate from `responseTime`.
+   * @param {object} service
+   * @returns {Promise<object>}
+   */
   async check(service) {
     if (!service || typeof service !== 'object') {
       throw new Error('Service definition is required');
     }
+    if (!this.queue) {
+      return this.#check(service);
+    }
 
+    const { value, queueWait } = await this.queue.run(() => this.#check(service), {
+      group: service.rateLimitGroup || resolveProviderHost(service, resolvePath),
+      label: service.name || service.id || 'unknown'
+    });
+    return { ...value, queueWait };
+  }
+
+  async #check(service) {
+    let result = service.suite
+      ? await runSuite(service, (questionService) => this.#run(questionService), {
+          cursors: this.suiteCursors,
+          resolvePath
+        })
+      : await this.#run(service);
+    if (service.verifyModel) {
+      result = await verifyModel(service, result, (probeService) => this.#run(probeService));
+    }
+    return { ...result, errorCategory: classifyError(result) };
+  }
+
+  async #run(service) {
     const name = service.name || service.id || 'unknown';
     const command = service.command;
     const expectedAnswer = service.expectedAnswer;
     const timeout = Number.isFinite(service.timeout)
       ? Math.floor(service.timeout)
       : this.defaultTimeout;
+    const log = this.logger.log.bind(this.logger);
+
+    if (API_PROBE_TYPES.has(service.type)) {
+      log('info', 'checker', `Starting check: ${name}`);
+      const result = await checkApiService({
+        name,
+        service,
+        expectedAnswer,
+        timeout,
+        log,
+        resolvePath
+      });
+      log('info', 'checker', `Check ${name} completed`, buildLogSummary(result));
+      return result;
+    }
 
     return checkService({
       name,
       command,
       expectedAnswer,
       timeout,
-      log: this.logger.log.bind(this.logger),
+      log,
       service
     });
   }
@@ -1,13 +1,65 @@
+const crypto = require('crypto');
 const fs = require('fs/promises');
 const path = require('path');
 const logger = require('../utils/logger');
+const { sanitizeOutput } = require('../utils/sanitize');
+const {
+  applyCheck,
+  calculateRate,
+  createRollups,
+  parseDuration,
+  percentile,
+  queryRollups
+} = require('../utils/rollups');
+const { formatIssue, validateConfig } = require('./ConfigValidator');
+const { ERROR_CATEGORIES } = require('./ErrorClassifier');
+const {
+  collectMaintenanceWindows,
+  describeMaintenance,
+  findActiveMaintenance,
+  parseMaintenanceWindow
+} = require('./Maintenance');
 
-const ALLOWED_STATUSES = new Set(['ok', 'fail', 'error', 'timeout']);
+const ALLOWED_STATUSES = new Set(['ok', 'degraded', 'fail', 'error', 'timeout']);
+const ALLOWED_CATEGORIES = new Set(ERROR_CATEGORIES);
 const MAX_RECENT_CHECKS = 90;
+// Optional latency and usage metrics carried alongside responseTime when a probe reports them.
+const CHECK_METRICS = [
+  'queueWait',
+  'firstByteTime',
+  'firstTokenTime',
+  'streamDuration',
+  'tokensPerSecond',
+  'inputTokens',
+  'outputTokens',
+  'cacheReadTokens',
+  'cacheWriteTokens',
+  'costUsd'
+];
+const DEFAULT_RETENTION_DAYS = 30;
+const INCIDENT_MESSAGE_LIMIT = 500;
+const DEFAULT_INCIDENT_LIMIT = 50;
+const DEFAULT_COMPARISON_RANGE = '24h';
+const DEFAULT_CHECK_PAGE_SIZE = 50;
+const MAX_CHECK_PAGE_SIZE = 500;
+// Per-field cap for the output kept in data/results.
+const RESULT_TEXT_LIMIT = 8000;
+// Entries kept per results log regardless of retention (about a week at 5 minute intervals).
+const DEFAULT_RESULTS_LIMIT = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Lines buffered before each write while pruning a log.
+const PRUNE_WRITE_BATCH = 500;
+const AVAILABILITY_WINDOWS = {
+  '24h': '1h',
+  '7d': '1d',
+  '30d': '1d',
+  '90d': '1d'
+};
 
 class StatusStore {
   constructor(options = {}) {
     this.logger = options.logger || logger;
+    this.metrics = options.metrics || null;
     this.dataDir = path.resolve(
       options.dataDir || path.join(__dirname, '..', '..', 'data')
     );
@@ -17,6 +69,11 @@ class StatusStore {
 
     this.paths = {
       status: path.join(this.dataDir, 'status.json'),
+      history: path.join(this.dataDir, 'history'),
+      rollups: path.join(this.dataDir, 'rollups'),
+      results: path.join(this.dataDir, 'results'),
+      incidents: path.join(this.dataDir, 'incidents.json'),
+      maintenance: path.join(this.dataDir, 'maintenance.json'),
       config: path.resolve(
         options.configPath || path.join(this.configDir, 'services.json')
       ),
@@ -28,46 +85,115 @@ class StatusStore {
       ]
     };
 
+    this.retentionDays = this.#parsePositiveNumber(
+      options.retentionDays ?? process.env.HISTORY_RETENTION_DAYS
+    );
+    this.resultsLimit = this.#parsePositiveNumber(
+      options.resultsLimit ?? process.env.RESULTS_MAX_ENTRIES
+    );
+    this.resultCounts = new Map();
+    this.lastPrunedAt = new Map();
+
     this.statusData = {};
+    this.rollupData = {};
+    this.incidents = [];
+    this.maintenanceEntries = [];
+    this.configReport = null;
+    this.lastConfigIssues = null;
+    this.configWrites = Promise.resolve();
     this.initialized = false;
   }
 
   async initialize() {
     await this.#ensureDir(this.dataDir);
     await this.#ensureDir(this.configDir);
+    await this.#ensureDir(this.paths.history);
+    await this.#ensureDir(this.paths.rollups);
+    await this.#ensureDir(this.paths.results);
     await this.#removeLegacyFiles();
-    await this.#resetStatusFile();
+    await this.#resolveRetention();
+    await this.#loadStatusFile();
+    await this.#loadRollups();
+    await this.#loadHistory();
+    await this.#loadIncidents();
+    await this.#loadMaintenance();
     this.initialized = true;
   }
 
-  async #resetStatusFile() {
-    try {
-      await fs.unlink(this.paths.status);
-      this.logger.log('info', 'status-store', 'Reset status.json on startup');
-    } catch (error) {
-      if (error && error.code === 'ENOENT') {
-        this.logger.log('info', 'status-store', 'No status.json to reset');
-      } else {
-        this.logger.log('warn', 'status-store', 'Failed to reset status.json', error);
-      }
-    }
-    this.statusData = {};
-  }
-
-  async loadConfig() {
+  /**
+   * Read and validate services.json. With `strict`, read and parse errors,
+   * and a file without a `services` array, are thrown instead of falling
+   * back to an empty service list.
+   * @param {{strict?: boolean}} [options]
+   */
+  async loadConfig(options = {}) {
     const fallback = {
       services: [],
       checkInterval: 300
     };
-    const data = await this.#safeReadJSON(this.paths.config, fallback);
-    const services = Array.isArray(data.services) ? data.services : [];
+    const data = options.strict
+      ? JSON.parse(await fs.readFile(this.paths.config, 'utf8'))
+      : await this.#safeReadJSON(this.paths.config, fallback);
+    if (options.strict && !Array.isArray(data?.services)) {
+      throw new Error(`${this.paths.config} must be an object with a "services" array`);
+    }
+    const report = validateConfig(data);
+    this.configReport = report;
+    this.#logConfigIssues(report);
     return {
       ...fallback,
       ...data,
-      services
+      services: report.services
     };
   }
 
+  /**
+   * Read services.json as written, without dropping invalid services.
+   * @returns {Promise<object>}
+   */
+  async readRawConfig() {
+    return JSON.parse(await fs.readFile(this.paths.config, 'utf8'));
+  }
+
+  /**
+   * Apply `mutate` to services.json and write the result back. Writes are
+   * serialized, and a change that introduces validation errors is rejected.
+   * @param {(config: object) => object|null} mutate - returns the new config, or null to abort
+   * @returns {Promise<object|null>} the written config, or null when aborted
+   * @throws {RangeError} when the new config has new validation errors
+   */
+  updateConfig(mutate) {
+    const run = this.configWrites.then(() => this.#updateConfig(mutate));
+    this.configWrites = run.catch(() => {});
+    return run;
+  }
+
+  async #updateConfig(mutate) {
+    const current = await this.readRawConfig();
+    const next = mutate(structuredClone(current));
+    if (!next) {
+      return null;
+    }
+
+    // Services move around on delete, so compare issues without their path.
+    const issueKey = (issue) => JSON.stringify([issue.service, issue.message]);
+    const existing = new Set(validateConfig(current).errors.map(issueKey));
+    const introduced = validateConfig(next).errors.filter((issue) => !existing.has(issueKey(issue)));
+    if (introduced.length > 0) {
+      const error = new RangeError(
+        `Invalid configuration: ${introduced.map((issue) => formatIssue(issue)).join('; ')}`
+      );
+      error.issues = introduced;
+      throw error;
+    }
+
+    // Write and rename so the config watcher never sees a half-written file.
+    const tempPath = `${this.paths.config}.tmp`;
+    await fs.writeFile(tempPath, `${JSON.stringify(next, null, 2)}\n`, 'utf8');
+    await fs.rename(tempPath, this.paths.config);
+    return next;
+  }
+
   async recordCheckResult(serviceId, rawResult) {
     this.#assertInitialized();
     if (!serviceId) {
@@ -75,6 +201,8 @@ class StatusStore {
     }
 
     const result = this.#normalizeResult(rawResult);
+    result.checkId = result.checkId ?? crypto.randomUUID();
+    this.metrics?.observe(serviceId, result);
     const previous = this.statusData[serviceId];
     const existingRecent = Array.isArray(previous?.recentChecks)
       ? previous.recentChecks
@@ -84,7 +212,8 @@ class StatusStore {
       {
         timestamp: result.checkedAt,
         status: result.status,
-        responseTime: result.responseTime
+        responseTime: result.responseTime,
+        ...this.#pickMetrics(result)
       }
     ];
     const recentChecks = this.#sanitizeRecentChecks(mergedRecent);
@@ -97,6 +226,14 @@ class StatusStore {
     };
 
     this.statusData[serviceId] = entry;
+    const latestCheck = recentChecks[recentChecks.length - 1];
+    await this.#appendHistory(serviceId, latestCheck);
+    await this.#appendResult(serviceId, result);
+    await this.#updateRollups(serviceId, latestCheck);
+    // Failures during maintenance are expected and do not open incidents.
+    if (!result.maintenance) {
+      await this.#trackIncident(serviceId, result);
+    }
     await this.#writeStatusFile();
   }
 
@@ -110,9 +247,11 @@ class StatusStore {
     const configuredServices = Array.isArray(config.services)
       ? config.services
       : [];
+    const windows = this.#maintenanceWindows(config);
 
+    // History is kept for services that were disabled, removed or renamed,
+    // but only configured, enabled services are reported.
     const summaries = [];
-    const seen = new Set();
 
     for (const service of configuredServices) {
       if (!service) {
@@ -135,24 +274,12 @@ class StatusStore {
         id: serviceId,
         name: service.name || serviceId,
         model: (service.params && service.params.model) || service.model || null,
+        group: typeof service.group === 'string' && service.group ? service.group : null,
+        tags: Array.isArray(service.tags) ? service.tags.filter((tag) => typeof tag === 'string' && tag) : [],
         currentStatus: statusEntry?.status ?? 'unknown',
         lastCheck: statusEntry?.lastCheck ?? null,
-        recentChecks
-      });
-      seen.add(serviceId);
-    }
-
-    for (const [serviceId, statusEntry] of Object.entries(this.statusData)) {
-      if (seen.has(serviceId)) {
-        continue;
-      }
-      const recentChecks = this.#sanitizeRecentChecks(statusEntry?.recentChecks);
-      summaries.push({
-        id: serviceId,
-        name: serviceId,
-        model: null,
-        currentStatus: statusEntry?.status ?? 'unknown',
-        lastCheck: statusEntry?.lastCheck ?? null,
+        availability: this.#calculateAvailability(serviceId),
+        maintenance: this.#summarizeMaintenance(findActiveMaintenance(windows, serviceId)),
         recentChecks
       });
     }
@@ -160,6 +287,25 @@ class StatusStore {
     return summaries;
   }
 
+  /**
+   * The /api/services entry for one service.
+   * @param {string} serviceId
+   * @returns {Promise<object|null>}
+   */
+  async getServiceSummary(serviceId) {
+    const summaries = await this.getAllServicesSummary();
+    return summaries.find((summary) => summary.id === serviceId) ?? null;
+  }
+
+  /**
+   * Status of the last recorded check, or null before the first one.
+   * @param {string} serviceId
+   * @returns {string|null}
+   */
+  getCurrentStatus(serviceId) {
+    return this.statusData[serviceId]?.status ?? null;
+  }
+
   async getServiceDetail(serviceId) {
     this.#assertInitialized();
     if (!serviceId) {
@@ -193,15 +339,333 @@ class StatusStore {
     return recentChecks.map((item) => ({ ...item }));
   }
 
+  /**
+   * Page through a service's check history, newest first.
+   * @param {string} serviceId
+   * @param {{status?: string, category?: string, range?: string, page?: number, pageSize?: number}} [options]
+   * @returns {Promise<{serviceId: string, checks: Array<object>, total: number, page: number, pageSize: number}>}
+   * @throws {RangeError} on an invalid filter
+   */
+  async getServiceChecks(serviceId, options = {}) {
+    this.#assertInitialized();
+    if (options.status && !ALLOWED_STATUSES.has(options.status)) {
+      throw new RangeError(`Invalid status "${options.status}"`);
+    }
+    if (options.category && !ALLOWED_CATEGORIES.has(options.category)) {
+      throw new RangeError(`Invalid category "${options.category}"`);
+    }
+    let from = null;
+    if (options.range) {
+      const rangeMs = parseDuration(options.range);
+      if (!rangeMs) {
+        throw new RangeError(`Invalid range "${options.range}"`);
+      }
+      from = Date.now() - rangeMs;
+    }
+    const page = Number.isInteger(options.page) && options.page > 0 ? options.page : 1;
+    const pageSize =
+      Number.isInteger(options.pageSize) && options.pageSize > 0
+        ? Math.min(options.pageSize, MAX_CHECK_PAGE_SIZE)
+        : DEFAULT_CHECK_PAGE_SIZE;
+
+    const checks = (
+      await this.#readHistory(serviceId, {
+        filter: (check) =>
+          (!options.status || check.status === options.status) &&
+          (!options.category || check.errorCategory === options.category) &&
+          (from == null || new Date(check.timestamp).getTime() >= from)
+      })
+    ).reverse();
+
+    return {
+      serviceId,
+      checks: checks.slice((page - 1) * pageSize, page * pageSize),
+      total: checks.length,
+      page,
+      pageSize
+    };
+  }
+
+  /**
+   * A single check by id, with its full result (sanitized output, answer,
+   * message). `result` is null for checks recorded before results were
+   * kept or whose output has been pruned.
+   * @param {string} serviceId
+   * @param {string} checkId
+   * @returns {Promise<{serviceId: string, check: object, result: object|null}|null>}
+   */
+  async getServiceCheck(serviceId, checkId) {
+    this.#assertInitialized();
+    if (!serviceId || !checkId) {
+      return null;
+    }
+    const [check] = await this.#readHistory(serviceId, {
+      contains: checkId,
+      filter: (item) => item.checkId === checkId
+    });
+    if (!check) {
+      return null;
+    }
+    const lastResult = this.statusData[serviceId]?.lastResult;
+    const result =
+      (await this.#findResult(serviceId, checkId)) ??
+      (lastResult?.checkId === checkId ? { ...lastResult } : null);
+    return { serviceId, check, result };
+  }
+
+  /**
+   * Aggregated check history for a service.
+   * @param {string} serviceId
+   * @param {{range?: string, bucket?: string}} [options]
+   *   range such as "24h"/"30d"; bucket is "1h" or "1d"
+   * @returns {Promise<object|null>}
+   */
+  async getServiceHistory(serviceId, options = {}) {
+    this.#assertInitialized();
+    if (!serviceId || !this.rollupData[serviceId]) {
+      return null;
+    }
+
+    const range = options.range || '7d';
+    const rangeMs = parseDuration(range);
+    if (!rangeMs) {
+      throw new RangeError(`Invalid range "${range}"`);
+    }
+    const bucket = options.bucket || (rangeMs > 2 * DAY_MS ? '1d' : '1h');
+    if (!Object.values(AVAILABILITY_WINDOWS).includes(bucket)) {
+      throw new RangeError(`Invalid bucket "${bucket}"`);
+    }
+
+    return {
+      serviceId,
+      range,
+      bucket,
+      ...queryRollups(this.rollupData[serviceId], { range: rangeMs, bucket })
+    };
+  }
+
+  /**
+   * Compare the services that run the same model. Providers are ranked
+   * for routing: currently healthy first, then by uptime, median latency
+   * and cost per check. Stats cover non-maintenance checks within `range`;
+   * latency percentiles use passing checks only.
+   * @param {{model?: string, range?: string}} [options]
+   * @returns {Promise<{range: string, models: Array<{model: string, providers: Array<object>}>}>}
+   * @throws {RangeError} on an invalid range
+   */
+  async getModelComparison(options = {}) {
+    this.#assertInitialized();
+    const range = options.range || DEFAULT_COMPARISON_RANGE;
+    const rangeMs = parseDuration(range);
+    if (!rangeMs) {
+      throw new RangeError(`Invalid range "${range}"`);
+    }
+    const from = Date.now() - rangeMs;
+
+    const byModel = new Map();
+    for (const summary of await this.getAllServicesSummary()) {
+      if (!summary.model || (options.model && summary.model !== options.model)) {
+        continue;
+      }
+
+      const checks = await this.#readHistory(summary.id, {
+        filter: (check) => !check.maintenance && new Date(check.timestamp).getTime() >= from
+      });
+      const okCount = checks.filter((check) => check.status === 'ok').length;
+      const latencies = checks
+        .filter((check) => check.status === 'ok')
+        .map((check) => check.responseTime)
+        .sort((a, b) => a - b);
+      const errorCategories = {};
+      for (const check of checks) {
+        if (check.errorCategory) {
+          errorCategories[check.errorCategory] = (errorCategories[check.errorCategory] ?? 0) + 1;
+        }
+      }
+      const costs = checks.filter((check) => Number.isFinite(check.costUsd)).map((check) => check.costUsd);
+
+      const providers = byModel.get(summary.model) ?? [];
+      providers.push({
+        serviceId: summary.id,
+        name: summary.name,
+        group: summary.group,
+        currentStatus: summary.currentStatus,
+        maintenance: Boolean(summary.maintenance),
+        lastCheck: summary.lastCheck,
+        checks: checks.length,
+        uptime: calculateRate(okCount, checks.length),
+        latency: { p50: percentile(latencies, 0.5), p95: percentile(latencies, 0.95) },
+        errorCategories,
+        costPerCheck:
+          costs.length > 0
+            ? Math.round((costs.reduce((sum, cost) => sum + cost, 0) / costs.length) * 1e6) / 1e6
+            : null
+      });
+      byModel.set(summary.model, providers);
+    }
+
+    // Missing values sort last.
+    const ascending = (a, b) => (a ?? Infinity) - (b ?? Infinity);
+    const healthy = (provider) => provider.currentStatus === 'ok' && !provider.maintenance;
+    const models = [...byModel.entries()]
+      .map(([model, providers]) => ({
+        model,
+        providers: providers
+          .sort(
+            (a, b) =>
+              Number(healthy(b)) - Number(healthy(a)) ||
+              ascending(a.uptime == null ? null : -a.uptime, b.uptime == null ? null : -b.uptime) ||
+              ascending(a.latency.p50, b.latency.p50) ||
+              ascending(a.costPerCheck, b.costPerCheck)
+          )
+          .map((provider, index) => ({ rank: index + 1, ...provider }))
+      }))
+      .sort((a, b) => a.model.localeCompare(b.model));
+
+    return { range, models };
+  }
+
+  /**
+   * Resolve the open incidents of services that are no longer scheduled.
+   * A disabled or removed service records no further checks, so nothing
+   * else would ever close them.
+   * @param {(serviceId: string) => boolean} isMonitored
+   * @returns {Promise<number>} how many incidents were resolved
+   */
+  async resolveUnmonitoredIncidents(isMonitored) {
+    this.#assertInitialized();
+    const endedAt = new Date().toISOString();
+    let resolved = 0;
+    for (const incident of this.incidents) {
+      if (incident.status !== 'open' || isMonitored(incident.serviceId)) {
+        continue;
+      }
+      incident.status = 'resolved';
+      incident.endedAt = endedAt;
+      incident.durationMs = Math.max(0, new Date(endedAt).getTime() - new Date(incident.startedAt).getTime());
+      resolved += 1;
+      this.logger.log('info', 'status-store', `Incident resolved for ${incident.serviceId}: service is no longer monitored`);
+    }
+    if (resolved > 0) {
+      await this.#writeIncidents();
+    }
+    return resolved;
+  }
+
+  /**
+   * Incidents, newest first. An incident is open while the service keeps
+   * failing and is resolved by its next passing check, or when the service
+   * stops being monitored.
+   * @param {{serviceId?: string, status?: 'open'|'resolved', range?: string, limit?: number}} [options]
+   *   range keeps incidents still open or resolved within it, e.g. "30d"
+   * @returns {Promise<Array<object>>}
+   */
+  async getIncidents(options = {}) {
+    this.#assertInitialized();
+
+    let from = null;
+    if (options.range) {
+      const rangeMs = parseDuration(options.range);
+      if (!rangeMs) {
+        throw new RangeError(`Invalid range "${options.range}"`);
+      }
+      from = Date.now() - rangeMs;
+    }
+    if (options.status && options.status !== 'open' && options.status !== 'resolved') {
+      throw new RangeError(`Invalid status "${options.status}"`);
+    }
+    const limit =
+      Number.isInteger(options.limit) && options.limit > 0 ? options.limit : DEFAULT_INCIDENT_LIMIT;
+
+    return this.incidents
+      .filter((incident) => !options.serviceId || incident.serviceId === options.serviceId)
+      .filter((incident) => !options.status || incident.status === options.status)
+      .filter(
+        (incident) =>
+          from == null || incident.endedAt == null || new Date(incident.endedAt).getTime() >= from
+      )
+      .sort((a, b) => new Date(b.startedAt).getTime() - new Date(a.startedAt).getTime())
+      .slice(0, limit)
+      .map((incident) => ({ ...incident }));
+  }
+
+  /**
+   * Maintenance windows from services.json and the API.
+   * @returns {Promise<Array<object>>}
+   */
+  async listMaintenanceWindows() {
+    this.#assertInitialized();
+    const config = await this.loadConfig();
+    const now = new Date();
+    return this.#maintenanceWindows(config).map((window) => describeMaintenance(window, now));
+  }
+
+  /**
+   * The maintenance window that applies to a service now, if any.
+   * @param {string} serviceId
+   * @returns {Promise<ReturnType<typeof findActiveMaintenance>>}
+   */
+  async getActiveMaintenance(serviceId) {
+    const config = await this.loadConfig();
+    return findActiveMaintenance(this.#maintenanceWindows(config), serviceId);
+  }
+
+  /**
+   * Add a maintenance window at runtime. Persisted to data/maintenance.json.
+   * @param {object} entry - same shape as a `maintenance` entry in services.json
+   * @returns {Promise<object>} the stored window
+   * @throws {RangeError} when the window is invalid
+   */
+  async addMaintenanceWindow(entry) {
+    this.#assertInitialized();
+    const stored = { ...entry, id: entry?.id ? String(entry.id) : crypto.randomUUID() };
+    let window;
+    try {
+      window = parseMaintenanceWindow(stored, { source: 'api' });
+    } catch (error) {
+      throw new RangeError(error.message);
+    }
+    const config = await this.loadConfig();
+    if (this.#maintenanceWindows(config).some((item) => item.id === stored.id)) {
+      throw new RangeError(`Maintenance window "${stored.id}" already exists`);
+    }
+
+    this.maintenanceEntries.push(stored);
+    await this.#writeMaintenance();
+    this.logger.log('info', 'status-store', `Added maintenance window ${stored.id}`, {
+      services: window.services,
+      mode: window.mode
+    });
+    return describeMaintenance(window);
+  }
+
+  /**
+   * Remove a window added through the API. Windows from services.json
+   * are left alone.
+   * @param {string} id
+   * @returns {Promise<boolean>} whether a window was removed
+   */
+  async removeMaintenanceWindow(id) {
+    this.#assertInitialized();
+    const index = this.maintenanceEntries.findIndex((entry) => entry.id === id);
+    if (index === -1) {
+      return false;
+    }
+    this.maintenanceEntries.splice(index, 1);
+    await this.#writeMaintenance();
+    this.logger.log('info', 'status-store', `Removed maintenance window ${id}`);
+    return true;
+  }
+
   async getHealthOverview() {
     this.#assertInitialized();
     const services = {};
 
-    for (const [serviceId, entry] of Object.entries(this.statusData)) {
-      services[serviceId] = {
-        name: serviceId,
-        status: entry.status ?? 'unknown',
-        lastCheck: entry.lastCheck ?? null
+    for (const summary of await this.getAllServicesSummary()) {
+      services[summary.id] = {
+        name: summary.id,
+        status: summary.currentStatus,
+        lastCheck: summary.lastCheck
       };
     }
 
@@ -229,6 +693,565 @@ class StatusStore {
     this.statusData = upgraded;
   }
 
+  async #loadRollups() {
+    let files;
+    try {
+      files = await fs.readdir(this.paths.rollups);
+    } catch (error) {
+      this.logger.log('warn', 'status-store', 'Failed to list rollups directory', error);
+      return;
+    }
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+      const serviceId = decodeURIComponent(file.slice(0, -'.json'.length));
+      const data = await this.#safeReadJSON(path.join(this.paths.rollups, file), null);
+      if (data && Array.isArray(data.hourly) && Array.isArray(data.daily)) {
+        this.rollupData[serviceId] = data;
+      }
+    }
+  }
+
+  async #updateRollups(serviceId, check) {
+    if (!check) {
+      return;
+    }
+
+    const rollups = this.rollupData[serviceId] ?? createRollups();
+    this.rollupData[serviceId] = applyCheck(rollups, check);
+    await this.#writeRollups(serviceId);
+  }
+
+  async #writeRollups(serviceId) {
+    try {
+      await fs.writeFile(
+        this.#rollupPath(serviceId),
+        JSON.stringify(this.rollupData[serviceId]),
+        'utf8'
+      );
+    } catch (error) {
+      this.logger.log(
+        'warn',
+        'status-store',
+        `Failed to write rollups for ${serviceId}`,
+        error
+      );
+    }
+  }
+
+  #rollupPath(serviceId) {
+    return path.join(this.paths.rollups, `${encodeURIComponent(serviceId)}.json`);
+  }
+
+  #calculateAvailability(serviceId) {
+    const rollups = this.rollupData[serviceId];
+    const availability = {};
+    for (const [window, bucket] of Object.entries(AVAILABILITY_WINDOWS)) {
+      availability[window] = rollups
+        ? queryRollups(rollups, { range: parseDuration(window), bucket }).summary.uptime
+        : null;
+    }
+    return availability;
+  }
+
+  /**
+   * Rebuild each service's recent checks from its JSONL history log so
+   * the dashboard survives restarts even when status.json is stale.
+   */
+  async #loadHistory() {
+    let files;
+    try {
+      files = await fs.readdir(this.paths.history);
+    } catch (error) {
+      this.logger.log('warn', 'status-store', 'Failed to list history directory', error);
+      return;
+    }
+
+    for (const file of files) {
+      if (!file.endsWith('.jsonl')) {
+        continue;
+      }
+      const serviceId = decodeURIComponent(file.slice(0, -'.jsonl'.length));
+      const checks = await this.#pruneHistory(serviceId);
+      if (checks.length === 0) {
+        continue;
+      }
+
+      if (!this.rollupData[serviceId]) {
+        const rollups = createRollups();
+        for (const check of this.#sanitizeRecentChecks(checks, Infinity)) {
+          applyCheck(rollups, check);
+        }
+        this.rollupData[serviceId] = rollups;
+        await this.#writeRollups(serviceId);
+      }
+
+      const recentChecks = this.#sanitizeRecentChecks(checks);
+      const latest = recentChecks[recentChecks.length - 1];
+      const existing = this.statusData[serviceId];
+      const existingLastCheck = existing?.lastCheck
+        ? new Date(existing.lastCheck).getTime()
+        : 0;
+      const latestTime = new Date(latest.timestamp).getTime();
+
+      this.statusData[serviceId] = {
+        status: latestTime >= existingLastCheck ? latest.status : existing.status,
+        lastCheck:
+          latestTime >= existingLastCheck ? latest.timestamp : existing.lastCheck,
+        lastResult: existing?.lastResult ?? null,
+        recentChecks
+      };
+    }
+
+    const serviceCount = Object.keys(this.statusData).length;
+    this.logger.log(
+      'info',
+      'status-store',
+      `Restored history for ${serviceCount} service(s), retention ${this.retentionDays} day(s)`
+    );
+  }
+
+  /**
+   * Drop entries older than the retention window from a service's history
+   * and results logs, rewriting a file only when something was removed.
+   * @param {string} serviceId
+   * @returns {Promise<Array>} the retained history entries
+   */
+  async #pruneHistory(serviceId) {
+    const { kept } = await this.#pruneLog(this.#historyPath(serviceId), serviceId, 'history', { collect: true });
+    await this.#pruneResults(serviceId);
+    this.lastPrunedAt.set(serviceId, Date.now());
+    return kept;
+  }
+
+  // Results logs are also capped at resultsLimit entries, oldest dropped first.
+  async #pruneResults(serviceId) {
+    const { count } = await this.#pruneLog(this.#resultsPath(serviceId), serviceId, 'result', {
+      maxEntries: this.resultsLimit
+    });
+    this.resultCounts.set(serviceId, count);
+  }
+
+  // Streams the log into a temp file so large results logs are never held in memory.
+  async #pruneLog(filePath, serviceId, label, options = {}) {
+    // Lines to drop from the head of the file to get down to maxEntries.
+    let excess = options.maxEntries ? (await this.#countLines(filePath)) - options.maxEntries : 0;
+
+    let handle;
+    try {
+      handle = await fs.open(filePath, 'r');
+    } catch (error) {
+      if (error && error.code !== 'ENOENT') {
+        this.logger.log('warn', 'status-store', `Failed to read ${filePath}`, error);
+      }
+      return { kept: [], count: 0 };
+    }
+
+    const cutoff = Date.now() - this.retentionDays * DAY_MS;
+    const tempPath = `${filePath}.tmp`;
+    const kept = [];
+    let batch = [];
+    let count = 0;
+    let dropped = 0;
+    let output;
+    try {
+      output = await fs.open(tempPath, 'w');
+      for await (const line of handle.readLines()) {
+        if (!line.trim()) {
+          continue;
+        }
+        let item;
+        try {
+          item = JSON.parse(line);
+        } catch (error) {
+          dropped += 1;
+          continue;
+        }
+        const time = new Date(item?.timestamp ?? item?.checkedAt).getTime();
+        if (Number.isNaN(time) || time < cutoff || excess > 0) {
+          dropped += 1;
+          excess -= 1;
+          continue;
+        }
+        count += 1;
+        if (options.collect) {
+          kept.push(item);
+        }
+        batch.push(`${line}\n`);
+        if (batch.length >= PRUNE_WRITE_BATCH) {
+          await output.write(batch.join(''));
+          batch = [];
+        }
+      }
+      await output.write(batch.join(''));
+    } catch (error) {
+      await output?.close();
+      await handle.close();
+      await fs.rm(tempPath, { force: true });
+      this.logger.log('warn', 'status-store', `Failed to prune ${filePath}`, error);
+      return { kept, count };
+    }
+    await output.close();
+    await handle.close();
+
+    if (dropped === 0) {
+      await fs.rm(tempPath, { force: true });
+      return { kept, count };
+    }
+    await fs.rename(tempPath, filePath);
+    this.logger.log('info', 'status-store', `Pruned ${dropped} ${label} entries for ${serviceId}`);
+    return { kept, count };
+  }
+
+  async #countLines(filePath) {
+    let handle;
+    try {
+      handle = await fs.open(filePath, 'r');
+    } catch (error) {
+      return 0;
+    }
+    let count = 0;
+    try {
+      for await (const line of handle.readLines()) {
+        if (line.trim()) {
+          count += 1;
+        }
+      }
+    } finally {
+      await handle.close();
+    }
+    return count;
+  }
+
+  /**
+   * Stream a service's history log and return the sanitized checks that
+   * pass `filter`, oldest first. `contains` skips lines without that text
+   * before parsing them.
+   * @param {string} serviceId
+   * @param {{filter?: (check: object) => boolean, contains?: string}} [options]
+   * @returns {Promise<Array<object>>}
+   */
+  async #readHistory(serviceId, options = {}) {
+    let handle;
+    try {
+      handle = await fs.open(this.#historyPath(serviceId), 'r');
+    } catch (error) {
+      if (error && error.code !== 'ENOENT') {
+        this.logger.log('warn', 'status-store', `Failed to read history for ${serviceId}`, error);
+      }
+      return [];
+    }
+
+    const checks = [];
+    try {
+      for await (const line of handle.readLines()) {
+        if (!line.trim() || (options.contains && !line.includes(options.contains))) {
+          continue;
+        }
+        let check;
+        try {
+          check = this.#sanitizeCheck(JSON.parse(line));
+        } catch (error) {
+          // Skip a torn line.
+          continue;
+        }
+        if (check && (!options.filter || options.filter(check))) {
+          checks.push(check);
+        }
+      }
+    } finally {
+      await handle.close();
+    }
+    return checks;
+  }
+
+  async #appendHistory(serviceId, check) {
+    if (!check) {
+      return;
+    }
+
+    try {
+      await fs.appendFile(
+        this.#historyPath(serviceId),
+        `${JSON.stringify(check)}\n`,
+        'utf8'
+      );
+      const lastPruned = this.lastPrunedAt.get(serviceId) ?? 0;
+      if (Date.now() - lastPruned >= DAY_MS) {
+        await this.#pruneHistory(serviceId);
+      }
+    } catch (error) {
+      this.logger.log(
+        'warn',
+        'status-store',
+        `Failed to append history for ${serviceId}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Keep the full result of every check, sanitized and length-capped, so
+   * past failures can be inspected after newer checks replace lastResult.
+   * The log is trimmed back to resultsLimit once it grows 10% past it.
+   */
+  async #appendResult(serviceId, result) {
+    const capText = (value) => {
+      const sanitized = value ? sanitizeOutput(value) : value;
+      return sanitized && sanitized.length > RESULT_TEXT_LIMIT
+        ? `${sanitized.slice(0, RESULT_TEXT_LIMIT)}...`
+        : sanitized;
+    };
+    const stored = {
+      ...result,
+      stdout: capText(result.stdout),
+      stderr: capText(result.stderr),
+      answer: capText(result.answer),
+      message: capText(result.message),
+      subAttempts: result.subAttempts
+        ? result.subAttempts.map((attempt) => ({ ...attempt, message: capText(attempt.message) }))
+        : null
+    };
+
+    try {
+      await fs.appendFile(this.#resultsPath(serviceId), `${JSON.stringify(stored)}\n`, 'utf8');
+      const count = (this.resultCounts.get(serviceId) ?? 0) + 1;
+      this.resultCounts.set(serviceId, count);
+      if (count > Math.ceil(this.resultsLimit * 1.1)) {
+        await this.#pruneResults(serviceId);
+      }
+    } catch (error) {
+      this.logger.log('warn', 'status-store', `Failed to append result for ${serviceId}`, error);
+    }
+  }
+
+  // Results logs can be large, so scan line by line instead of parsing the whole file.
+  async #findResult(serviceId, checkId) {
+    let handle;
+    try {
+      handle = await fs.open(this.#resultsPath(serviceId), 'r');
+    } catch (error) {
+      if (error && error.code !== 'ENOENT') {
+        this.logger.log('warn', 'status-store', `Failed to read results for ${serviceId}`, error);
+      }
+      return null;
+    }
+
+    try {
+      for await (const line of handle.readLines()) {
+        if (!line.includes(checkId)) {
+          continue;
+        }
+        try {
+          const result = JSON.parse(line);
+          if (result?.checkId === checkId) {
+            return result;
+          }
+        } catch (error) {
+          // Skip a torn line.
+        }
+      }
+      return null;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  #maintenanceWindows(config) {
+    const windows = collectMaintenanceWindows(config);
+    for (const entry of this.maintenanceEntries) {
+      try {
+        windows.push(parseMaintenanceWindow(entry, { source: 'api' }));
+      } catch (error) {
+        // Entries are validated when added.
+      }
+    }
+    return windows;
+  }
+
+  #summarizeMaintenance(window) {
+    if (!window) {
+      return null;
+    }
+    return {
+      id: window.id,
+      reason: window.reason,
+      mode: window.mode,
+      end: window.end != null ? new Date(window.end).toISOString() : null
+    };
+  }
+
+  // API windows that have ended are dropped on startup.
+  async #loadMaintenance() {
+    const data = await this.#safeReadJSON(this.paths.maintenance, []);
+    const entries = Array.isArray(data) ? data : [];
+    const now = Date.now();
+    this.maintenanceEntries = entries.filter((entry) => {
+      try {
+        const window = parseMaintenanceWindow(entry, { source: 'api' });
+        return window.end == null || window.end > now;
+      } catch (error) {
+        this.logger.log('warn', 'status-store', `Dropping invalid maintenance window ${entry?.id}`, error);
+        return false;
+      }
+    });
+    if (this.maintenanceEntries.length !== entries.length) {
+      await this.#writeMaintenance();
+    }
+  }
+
+  async #writeMaintenance() {
+    await fs.writeFile(
+      this.paths.maintenance,
+      JSON.stringify(this.maintenanceEntries, null, 2),
+      'utf8'
+    );
+  }
+
+  async #loadIncidents() {
+    const data = await this.#safeReadJSON(this.paths.incidents, []);
+    const cutoff = Date.now() - this.retentionDays * DAY_MS;
+    this.incidents = (Array.isArray(data) ? data : []).filter(
+      (incident) =>
+        incident &&
+        typeof incident.serviceId === 'string' &&
+        typeof incident.startedAt === 'string' &&
+        (incident.endedAt == null || new Date(incident.endedAt).getTime() >= cutoff)
+    );
+    if (this.incidents.length !== (Array.isArray(data) ? data.length : 0)) {
+      await this.#writeIncidents();
+    }
+  }
+
+  /**
+   * Open an incident on the first failing check of a service, extend it
+   * while the service keeps failing and resolve it on the next pass.
+   */
+  async #trackIncident(serviceId, result) {
+    const open = this.incidents.find(
+      (incident) => incident.serviceId === serviceId && incident.status === 'open'
+    );
+    const failing = result.status !== 'ok';
+    if (!open && !failing) {
+      return;
+    }
+
+    if (!failing) {
+      open.status = 'resolved';
+      open.endedAt = result.checkedAt;
+      open.durationMs = Math.max(
+        0,
+        new Date(result.checkedAt).getTime() - new Date(open.startedAt).getTime()
+      );
+      this.logger.log(
+        'info',
+        'status-store',
+        `Incident resolved for ${serviceId} after ${open.affectedChecks} failed check(s)`
+      );
+    } else if (open) {
+      open.affectedChecks += 1;
+      open.lastError = this.#incidentError(result);
+    } else {
+      const error = this.#incidentError(result);
+      this.incidents.push({
+        id: crypto.randomUUID(),
+        serviceId,
+        serviceName: result.name,
+        status: 'open',
+        startedAt: result.checkedAt,
+        endedAt: null,
+        durationMs: null,
+        affectedChecks: 1,
+        firstError: error,
+        lastError: error
+      });
+      this.logger.log('info', 'status-store', `Incident opened for ${serviceId}: ${result.status}`);
+    }
+
+    await this.#writeIncidents();
+  }
+
+  #incidentError(result) {
+    const message = result.message || result.stderr.trim() || null;
+    return {
+      status: result.status,
+      errorCategory: result.errorCategory,
+      message:
+        message && message.length > INCIDENT_MESSAGE_LIMIT
+          ? `${message.slice(0, INCIDENT_MESSAGE_LIMIT)}...`
+          : message,
+      checkedAt: result.checkedAt
+    };
+  }
+
+  async #writeIncidents() {
+    try {
+      await fs.writeFile(this.paths.incidents, JSON.stringify(this.incidents, null, 2), 'utf8');
+    } catch (error) {
+      this.logger.log('warn', 'status-store', 'Failed to write incidents', error);
+    }
+  }
+
+  /**
+   * Log validation issues once per distinct set, since loadConfig runs on
+   * every status request.
+   */
+  #logConfigIssues(report) {
+    const key = JSON.stringify([report.errors, report.warnings]);
+    if (key === this.lastConfigIssues) {
+      return;
+    }
+    this.lastConfigIssues = key;
+
+    for (const issue of report.errors) {
+      this.logger.log('error', 'status-store', `Config error: ${formatIssue(issue)}`);
+    }
+    for (const issue of report.warnings) {
+      this.logger.log('warn', 'status-store', `Config warning: ${formatIssue(issue)}`);
+    }
+    if (report.skipped.length > 0) {
+      this.logger.log(
+        'warn',
+        'status-store',
+        `Skipping ${report.skipped.length} invalid service(s): ${report.skipped.join(', ')}`
+      );
+    }
+  }
+
+  #resultsPath(serviceId) {
+    return path.join(this.paths.results, `${encodeURIComponent(serviceId)}.jsonl`);
+  }
+
+  #historyPath(serviceId) {
+    return path.join(
+      this.paths.history,
+      `${encodeURIComponent(serviceId)}.jsonl`
+    );
+  }
+
+  async #resolveRetention() {
+    if (this.retentionDays !== null && this.resultsLimit !== null) {
+      return;
+    }
+    const config = await this.loadConfig();
+    this.retentionDays ??=
+      this.#parsePositiveNumber(config.historyRetentionDays) ??
+      DEFAULT_RETENTION_DAYS;
+    this.resultsLimit ??=
+      this.#parsePositiveNumber(config.resultsMaxEntries) ??
+      DEFAULT_RESULTS_LIMIT;
+  }
+
+  #parsePositiveNumber(value) {
+    const days = Number(value);
+    if (value == null || value === '' || !Number.isFinite(days) || days <= 0) {
+      return null;
+    }
+    return days;
+  }
+
   async #writeStatusFile() {
     const payload = JSON.stringify(this.statusData, null, 2);
     await fs.writeFile(this.paths.status, payload, 'utf8');
@@ -280,27 +1303,104 @@ class StatusStore {
       ? Number(result.responseTime)
       : 0;
 
+    const metrics = {};
+    for (const key of CHECK_METRICS) {
+      metrics[key] = Number.isFinite(result[key]) ? Number(result[key]) : null;
+    }
+
     return {
       name: nullableString(result.name) ?? 'Unknown Service',
       status,
+      errorCategory: this.#normalizeCategory(result.errorCategory),
       responseTime,
       stdout: safeString(result.stdout),
       stderr: safeString(result.stderr),
       answer: nullableString(result.answer),
       message: nullableString(result.message),
+      model: nullableString(result.model),
+      expectedModel: nullableString(result.expectedModel),
+      modelMatch: typeof result.modelMatch === 'boolean' ? result.modelMatch : null,
+      checkId: nullableString(result.checkId),
+      questionId: nullableString(result.questionId),
+      question: nullableString(result.question),
+      suiteResults: Array.isArray(result.suiteResults)
+        ? result.suiteResults
+            .filter((item) => item && typeof item === 'object')
+            .map((item) => ({
+              questionId: nullableString(item.questionId),
+              status: this.#normalizeStatus(item.status),
+              answer: nullableString(item.answer),
+              responseTime: Number.isFinite(item.responseTime) ? Number(item.responseTime) : 0
+            }))
+        : null,
+      attempts: Number.isInteger(result.attempts) && result.attempts > 0 ? result.attempts : 1,
+      flaky: result.flaky === true,
+      maintenance: result.maintenance === true,
+      subAttempts: Array.isArray(result.subAttempts)
+        ? result.subAttempts
+            .filter((item) => item && typeof item === 'object')
+            .map((item, index) => ({
+              attempt: Number.isInteger(item.attempt) ? item.attempt : index + 1,
+              status: this.#normalizeStatus(item.status),
+              errorCategory: this.#normalizeCategory(item.errorCategory),
+              message: nullableString(item.message),
+              responseTime: Number.isFinite(item.responseTime) ? Number(item.responseTime) : 0,
+              checkedAt: nullableString(item.checkedAt)
+            }))
+        : null,
       checkedAt,
+      ...metrics,
       expectedAnswer:
         result.expectedAnswer !== undefined ? result.expectedAnswer : null
     };
   }
 
+  #pickMetrics(source) {
+    const metrics = {};
+    if (typeof source?.checkId === 'string' && source.checkId) {
+      metrics.checkId = source.checkId;
+    }
+    if (typeof source?.model === 'string' && source.model) {
+      metrics.model = source.model;
+    }
+    if (typeof source?.questionId === 'string' && source.questionId) {
+      metrics.questionId = source.questionId;
+    }
+    if (ALLOWED_CATEGORIES.has(source?.errorCategory)) {
+      metrics.errorCategory = source.errorCategory;
+    }
+    // Only retried checks carry attempt info, keeping clean passes compact.
+    if (Number.isInteger(source?.attempts) && source.attempts > 1) {
+      metrics.attempts = source.attempts;
+    }
+    if (source?.flaky === true) {
+      metrics.flaky = true;
+    }
+    if (source?.maintenance === true) {
+      metrics.maintenance = true;
+    }
+    for (const key of CHECK_METRICS) {
+      if (Number.isFinite(source?.[key])) {
+        metrics[key] = Number(source[key]);
+      }
+    }
+    return metrics;
+  }
+
+  #normalizeCategory(category) {
+    return ALLOWED_CATEGORIES.has(category) ? category : null;
+  }
+
   #normalizeStatus(status) {
     if (typeof status === 'string') {
       const trimmed = status.trim().toLowerCase();
       if (ALLOWED_STATUSES.has(trimmed)) {
         return trimmed;
       }
-      if (trimmed === 'degraded' || trimmed === 'down') {
+      if (trimmed === 'mismatch') {
+        return 'degraded';
+      }
+      if (trimmed === 'down') {
         return 'fail';
       }
       if (trimmed === 'unknown') {
@@ -389,39 +1489,40 @@ class StatusStore {
     };
   }
 
-  #sanitizeRecentChecks(checks) {
+  #sanitizeRecentChecks(checks, limit = MAX_RECENT_CHECKS) {
     if (!Array.isArray(checks)) {
       return [];
     }
 
-    const sanitized = [];
-    for (const item of checks) {
-      if (!item || typeof item !== 'object') {
-        continue;
-      }
-
-      const timestamp =
-        typeof item.timestamp === 'string' ? item.timestamp : null;
-      if (!timestamp) {
-        continue;
-      }
-
-      const status = this.#normalizeStatus(item.status);
-      const responseTime = Number.isFinite(item.responseTime)
-        ? Number(item.responseTime)
-        : 0;
+    const sanitized = checks.map((item) => this.#sanitizeCheck(item)).filter(Boolean);
+    if (sanitized.length > limit) {
+      return sanitized.slice(-limit);
+    }
+    return sanitized;
+  }
 
-      sanitized.push({
-        timestamp,
-        status,
-        responseTime
-      });
+  #sanitizeCheck(item) {
+    if (!item || typeof item !== 'object') {
+      return null;
     }
 
-    if (sanitized.length > MAX_RECENT_CHECKS) {
-      return sanitized.slice(-MAX_RECENT_CHECKS);
+    const timestamp =
+      typeof item.timestamp === 'string' ? item.timestamp : null;
+    if (!timestamp) {
+      return null;
     }
-    return sanitized;
+
+    const status = this.#normalizeStatus(item.status);
+    const responseTime = Number.isFinite(item.responseTime)
+      ? Number(item.responseTime)
+      : 0;
+
+    return {
+      timestamp,
+      status,
+      responseTime,
+      ...this.#pickMetrics(item)
+    };
   }
 }
 
@@ -0,0 +1,249 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { StatusStore } = require('./StatusStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const silent = { log() {} };
+
+function createFixture(services) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'status-store-'));
+  const dataDir = path.join(root, 'data');
+  const configDir = path.join(root, 'config');
+  fs.mkdirSync(configDir, { recursive: true });
+  const writeConfig = (list) =>
+    fs.writeFileSync(path.join(configDir, 'services.json'), JSON.stringify({ services: list }));
+  writeConfig(services);
+
+  return {
+    dataDir,
+    writeConfig,
+    async open(options = {}) {
+      const store = new StatusStore({ dataDir, configDir, logger: silent, retentionDays: 30, ...options });
+      await store.initialize();
+      return store;
+    },
+    readLines(...segments) {
+      const file = path.join(dataDir, ...segments);
+      return fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n').filter(Boolean) : [];
+    },
+    cleanup() {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  };
+}
+
+const service = (id, overrides = {}) => ({ id, name: id, type: 'codex', command: 'codex exec hi', enabled: true, ...overrides });
+
+function result(status, ageMs = 0, overrides = {}) {
+  return {
+    name: 'svc',
+    status,
+    stdout: status === 'ok' ? '2' : '',
+    stderr: status === 'ok' ? '' : 'API Error: 502',
+    message: status === 'ok' ? null : 'Exit code: 1',
+    checkedAt: new Date(Date.now() - ageMs).toISOString(),
+    responseTime: 120,
+    ...overrides
+  };
+}
+
+test('only configured, enabled services are summarized after a restart', async (t) => {
+  const fixture = createFixture([service('a'), service('b')]);
+  t.after(() => fixture.cleanup());
+
+  const store = await fixture.open();
+  await store.recordCheckResult('a', result('ok'));
+  await store.recordCheckResult('b', result('error'));
+
+  fixture.writeConfig([service('a'), service('b', { enabled: false })]);
+  const restarted = await fixture.open();
+  assert.deepEqual((await restarted.getAllServicesSummary()).map((summary) => summary.id), ['a']);
+  assert.equal(await restarted.getServiceSummary('b'), null);
+  assert.deepEqual(Object.keys((await restarted.getHealthOverview()).services), ['a']);
+
+  fixture.writeConfig([service('a', { id: 'a2' })]);
+  assert.deepEqual((await restarted.getAllServicesSummary()).map((summary) => summary.id), ['a2']);
+});
+
+test('recent checks and rollups are rebuilt from history on restart', async (t) => {
+  const fixture = createFixture([service('a')]);
+  t.after(() => fixture.cleanup());
+
+  const store = await fixture.open();
+  await store.recordCheckResult('a', result('error', 2 * 60 * 60 * 1000));
+  await store.recordCheckResult('a', result('ok', 60 * 60 * 1000));
+  await store.recordCheckResult('a', result('ok'));
+
+  // A stale status.json and lost rollups must not lose the history.
+  fs.writeFileSync(path.join(fixture.dataDir, 'status.json'), '{}');
+  fs.rmSync(path.join(fixture.dataDir, 'rollups'), { recursive: true });
+
+  const restarted = await fixture.open();
+  const [summary] = await restarted.getAllServicesSummary();
+  assert.equal(summary.currentStatus, 'ok');
+  assert.deepEqual(summary.recentChecks.map((check) => check.status), ['error', 'ok', 'ok']);
+  assert.equal(summary.availability['24h'], 66.7);
+  assert.equal((await restarted.getServiceChecks('a')).total, 3);
+  assert.ok(fs.existsSync(path.join(fixture.dataDir, 'rollups', 'a.json')));
+});
+
+test('entries older than the retention window are pruned on load', async (t) => {
+  const fixture = createFixture([service('a')]);
+  t.after(() => fixture.cleanup());
+
+  const store = await fixture.open();
+  await store.recordCheckResult('a', result('error', 10 * DAY_MS));
+  await store.recordCheckResult('a', result('ok', 3 * DAY_MS));
+  await store.recordCheckResult('a', result('ok'));
+  assert.equal(fixture.readLines('history', 'a.jsonl').length, 3);
+
+  const restarted = await fixture.open({ retentionDays: 7 });
+  assert.equal(fixture.readLines('history', 'a.jsonl').length, 2);
+  assert.equal(fixture.readLines('results', 'a.jsonl').length, 2);
+  assert.deepEqual(fs.readdirSync(path.join(fixture.dataDir, 'results')), ['a.jsonl']);
+  const [summary] = await restarted.getAllServicesSummary();
+  assert.deepEqual(summary.recentChecks.map((check) => check.status), ['ok', 'ok']);
+});
+
+test('results logs are capped at resultsLimit entries', async (t) => {
+  const fixture = createFixture([service('a')]);
+  t.after(() => fixture.cleanup());
+
+  const store = await fixture.open({ resultsLimit: 10 });
+  for (let index = 0; index < 11; index += 1) {
+    await store.recordCheckResult('a', result('ok', (30 - index) * 1000, { stdout: `answer ${index}` }));
+  }
+  assert.equal(fixture.readLines('results', 'a.jsonl').length, 11);
+
+  // The 12th entry passes the 10% slack and trims the log back to the limit.
+  await store.recordCheckResult('a', result('ok', 0, { stdout: 'answer 11' }));
+  const kept = fixture.readLines('results', 'a.jsonl').map((line) => JSON.parse(line).stdout);
+  assert.equal(kept.length, 10);
+  assert.equal(kept[0], 'answer 2');
+  assert.equal(kept[9], 'answer 11');
+  assert.equal(fixture.readLines('history', 'a.jsonl').length, 12);
+
+  for (let index = 12; index < 25; index += 1) {
+    await store.recordCheckResult('a', result('ok', 0, { stdout: `answer ${index}` }));
+  }
+  assert.ok(fixture.readLines('results', 'a.jsonl').length <= 11);
+
+  await fixture.open({ resultsLimit: 5 });
+  assert.equal(fixture.readLines('results', 'a.jsonl').length, 5);
+});
+
+test('model comparison ranks providers by health, uptime, latency and cost', async (t) => {
+  const model = (id, name, overrides = {}) => service(id, { params: { model: name }, ...overrides });
+  const fixture = createFixture([
+    model('slow', 'openai/gpt-5'),
+    model('fast', 'openai/gpt-5'),
+    model('cheap', 'openai/gpt-5'),
+    model('flaky', 'openai/gpt-5'),
+    model('down', 'openai/gpt-5'),
+    model('claude', 'claude-sonnet-4-5'),
+    service('no-model')
+  ]);
+  t.after(() => fixture.cleanup());
+  const store = await fixture.open();
+
+  const record = async (id, checks) => {
+    for (const [status, ageMs, overrides] of checks) {
+      await store.recordCheckResult(id, result(status, ageMs, overrides));
+    }
+  };
+  const HOUR_MS = 60 * 60 * 1000;
+  await record('slow', [['ok', 2000, { responseTime: 900, costUsd: 0.01 }], ['ok', 1000, { responseTime: 800, costUsd: 0.01 }]]);
+  await record('fast', [['ok', 2000, { responseTime: 300, costUsd: 0.02 }], ['ok', 1000, { responseTime: 500, costUsd: 0.02 }]]);
+  await record('cheap', [['ok', 2000, { responseTime: 500, costUsd: 0.001 }], ['ok', 1000, { responseTime: 300, costUsd: 0.001 }]]);
+  // Older failures fall outside a 1h range and maintenance checks never count.
+  await record('flaky', [
+    ['error', 3 * HOUR_MS, { errorCategory: 'upstream_5xx' }],
+    ['error', 2000, { errorCategory: 'network', maintenance: true }],
+    ['timeout', 1500, { errorCategory: 'timeout' }],
+    ['ok', 1000, { responseTime: 100 }]
+  ]);
+  await record('down', [['ok', 2000, { responseTime: 50 }], ['error', 1000, { errorCategory: 'auth' }]]);
+  await record('claude', [['ok', 1000, { responseTime: 1000 }]]);
+  await record('no-model', [['ok', 1000]]);
+
+  const { range, models } = await store.getModelComparison();
+  assert.equal(range, '24h');
+  assert.deepEqual(models.map((entry) => entry.model), ['claude-sonnet-4-5', 'openai/gpt-5']);
+
+  const providers = models[1].providers;
+  assert.deepEqual(
+    providers.map((provider) => [provider.rank, provider.serviceId]),
+    [[1, 'cheap'], [2, 'fast'], [3, 'slow'], [4, 'flaky'], [5, 'down']]
+  );
+  const [cheap, fast] = providers;
+  assert.deepEqual(cheap.latency, { p50: 300, p95: 500 });
+  assert.equal(cheap.costPerCheck, 0.001);
+  assert.equal(fast.costPerCheck, 0.02);
+
+  const flaky = providers[3];
+  assert.equal(flaky.checks, 3);
+  assert.equal(flaky.uptime, 33.3);
+  assert.deepEqual(flaky.errorCategories, { upstream_5xx: 1, timeout: 1 });
+  assert.deepEqual(providers[4].errorCategories, { auth: 1 });
+
+  const lastHour = await store.getModelComparison({ model: 'openai/gpt-5', range: '1h' });
+  assert.equal(lastHour.range, '1h');
+  assert.equal(lastHour.models.length, 1);
+  const recentFlaky = lastHour.models[0].providers.find((provider) => provider.serviceId === 'flaky');
+  assert.equal(recentFlaky.checks, 2);
+  assert.equal(recentFlaky.uptime, 50);
+  assert.deepEqual(recentFlaky.errorCategories, { timeout: 1 });
+
+  assert.deepEqual((await store.getModelComparison({ model: 'gpt-4' })).models, []);
+  await assert.rejects(store.getModelComparison({ range: 'soon' }), RangeError);
+});
+
+test('incidents open on a failure, extend while failing and resolve on a pass', async (t) => {
+  const fixture = createFixture([service('a')]);
+  t.after(() => fixture.cleanup());
+  const store = await fixture.open();
+
+  await store.recordCheckResult('a', result('ok', 5000));
+  assert.deepEqual(await store.getIncidents(), []);
+
+  await store.recordCheckResult('a', result('error', 4000));
+  await store.recordCheckResult('a', result('timeout', 3000, { message: 'Command timed out', errorCategory: 'timeout' }));
+  let [incident] = await store.getIncidents({ status: 'open' });
+  assert.equal(incident.serviceId, 'a');
+  assert.equal(incident.affectedChecks, 2);
+  assert.equal(incident.firstError.status, 'error');
+  assert.equal(incident.lastError.status, 'timeout');
+
+  // Maintenance failures are neither counted nor do they resolve the incident.
+  await store.recordCheckResult('a', result('error', 2000, { maintenance: true }));
+  assert.equal((await store.getIncidents({ status: 'open' }))[0].affectedChecks, 2);
+
+  await store.recordCheckResult('a', result('ok', 1000));
+  [incident] = await store.getIncidents();
+  assert.equal(incident.status, 'resolved');
+  assert.equal(incident.durationMs, new Date(incident.endedAt) - new Date(incident.startedAt));
+  assert.ok(incident.durationMs >= 3000);
+
+  const restarted = await fixture.open();
+  assert.equal((await restarted.getIncidents({ serviceId: 'a' }))[0].status, 'resolved');
+});
+
+test('open incidents of services that are no longer monitored are resolved', async (t) => {
+  const fixture = createFixture([service('a'), service('b')]);
+  t.after(() => fixture.cleanup());
+  const store = await fixture.open();
+
+  await store.recordCheckResult('a', result('error'));
+  await store.recordCheckResult('b', result('error'));
+  assert.equal(await store.resolveUnmonitoredIncidents((serviceId) => serviceId === 'a'), 1);
+
+  const incidents = await store.getIncidents();
+  assert.equal(incidents.find((incident) => incident.serviceId === 'a').status, 'open');
+  const closed = incidents.find((incident) => incident.serviceId === 'b');
+  assert.equal(closed.status, 'resolved');
+  assert.ok(closed.endedAt);
+  assert.equal(await store.resolveUnmonitoredIncidents(() => false), 1);
+});
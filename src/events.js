@@ -0,0 +1,46 @@
+const STREAM_EVENTS = ['check.started', 'check.completed', 'status.changed'];
+// Keeps proxies from closing an idle stream.
+const STREAM_HEARTBEAT_MS = 25_000;
+
+/**
+ * Server-sent events for /api/events. Each client first receives `ready`
+ * with the checks in progress, then the monitor's check events as they
+ * happen, plus a comment line every `heartbeatMs` while idle.
+ * @param {import('./core/HealthMonitor').HealthMonitor} monitor
+ * @param {{heartbeatMs?: number}} [options]
+ * @returns {import('express').RequestHandler}
+ */
+function createEventStreamHandler(monitor, options = {}) {
+  const heartbeatMs = options.heartbeatMs ?? STREAM_HEARTBEAT_MS;
+
+  return (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event, payload) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
+    res.write('retry: 5000\n\n');
+    send('ready', { activeChecks: monitor.getActiveChecks() });
+
+    const listeners = STREAM_EVENTS.map((event) => [event, (payload) => send(event, payload)]);
+    for (const [event, listener] of listeners) {
+      monitor.on(event, listener);
+    }
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatMs);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      for (const [event, listener] of listeners) {
+        monitor.off(event, listener);
+      }
+    });
+  };
+}
+
+module.exports = { STREAM_EVENTS, createEventStreamHandler };
@@ -0,0 +1,98 @@
+const http = require('http');
+const { EventEmitter, once } = require('events');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { STREAM_EVENTS, createEventStreamHandler } = require('./events');
+
+async function startServer(t, monitor, options) {
+  const app = express();
+  app.get('/api/events', createEventStreamHandler(monitor, options));
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  return `http://127.0.0.1:${server.address().port}/api/events`;
+}
+
+// Collects the raw stream and resolves `waitFor` once the text contains `marker`.
+async function connect(url) {
+  const request = http.get(url);
+  const [response] = await once(request, 'response');
+  response.setEncoding('utf8');
+  let text = '';
+  const waiters = [];
+  response.on('data', (chunk) => {
+    text += chunk;
+    for (const waiter of waiters.filter((item) => text.includes(item.marker))) {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      waiter.resolve(text);
+    }
+  });
+  return {
+    request,
+    response,
+    waitFor: (marker) =>
+      text.includes(marker) ? Promise.resolve(text) : new Promise((resolve) => waiters.push({ marker, resolve }))
+  };
+}
+
+function createMonitor() {
+  const monitor = new EventEmitter();
+  monitor.getActiveChecks = () => [{ serviceId: 'a', startedAt: '2026-03-01T00:00:00.000Z' }];
+  return monitor;
+}
+
+test('streams a ready event and then monitor events in SSE format', async (t) => {
+  const monitor = createMonitor();
+  const client = await connect(await startServer(t, monitor));
+  assert.match(client.response.headers['content-type'], /^text\/event-stream/);
+  assert.equal(client.response.headers['cache-control'], 'no-cache');
+
+  await client.waitFor('event: ready');
+  for (const event of STREAM_EVENTS) {
+    assert.equal(monitor.listenerCount(event), 1);
+  }
+  monitor.emit('status.changed', { serviceId: 'a', previousStatus: 'ok', status: 'error' });
+
+  const text = await client.waitFor('event: status.changed');
+  assert.equal(
+    text,
+    'retry: 5000\n\n' +
+      'event: ready\ndata: {"activeChecks":[{"serviceId":"a","startedAt":"2026-03-01T00:00:00.000Z"}]}\n\n' +
+      'event: status.changed\ndata: {"serviceId":"a","previousStatus":"ok","status":"error"}\n\n'
+  );
+  client.request.destroy();
+});
+
+test('sends heartbeats while idle', async (t) => {
+  const client = await connect(await startServer(t, createMonitor(), { heartbeatMs: 20 }));
+  const text = await client.waitFor(': heartbeat\n\n: heartbeat\n\n');
+  assert.ok(text.startsWith('retry: 5000\n\nevent: ready\n'));
+  client.request.destroy();
+});
+
+test('removes the listeners when the client disconnects', { timeout: 5000 }, async (t) => {
+  const monitor = createMonitor();
+  const url = await startServer(t, monitor, { heartbeatMs: 20 });
+  const first = await connect(url);
+  const second = await connect(url);
+  await Promise.all([first.waitFor('event: ready'), second.waitFor('event: ready')]);
+  assert.equal(monitor.listenerCount('check.completed'), 2);
+
+  first.request.destroy();
+  while (monitor.listenerCount('check.completed') > 1) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  for (const event of STREAM_EVENTS) {
+    assert.equal(monitor.listenerCount(event), 1);
+  }
+
+  second.request.destroy();
+  while (monitor.listenerCount('check.completed') > 0) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  assert.deepEqual(monitor.eventNames(), []);
+});
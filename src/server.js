@@ -2,92 +2,38 @@ const path = require('path');
 const express = require('express');
 const { ServiceChecker } = require('./core/ServiceChecker');
 const { StatusStore } = require('./core/StatusStore');
-const { HealthMonitor } = require('./core/HealthMonitor');
+const { HealthMonitor, publicServiceName } = require('./core/HealthMonitor');
+const { AlertManager } = require('./core/AlertManager');
+const { CheckQueue } = require('./core/CheckQueue');
+const { MetricsCollector } = require('./core/Metrics');
+const { AuditLog } = require('./core/AuditLog');
+const { createAdminRouter } = require('./admin');
+const { createEventStreamHandler } = require('./events');
 const logger = require('./utils/logger');
+const { sanitizeErrorMessage, sanitizeOutput } = require('./utils/sanitize');
+const { renderBadge, statusBadge, uptimeBadge } = require('./utils/badge');
 
 const PORT = process.env.PORT || 30001;
 const app = express();
 
-const store = new StatusStore();
-const checker = new ServiceChecker({ logger });
-const monitor = new HealthMonitor({ checker, store, logger });
+const metrics = new MetricsCollector();
+const store = new StatusStore({ metrics });
+const queue = new CheckQueue({ store, logger });
+const checker = new ServiceChecker({ logger, queue });
+const alerts = new AlertManager({ store, logger });
+const monitor = new HealthMonitor({ checker, store, alerts, logger });
+const audit = new AuditLog({ logger });
 
-// ===== 安全: 敏感信息净化函数 =====
+// ===== 安全: 敏感信息净化 =====
 const isDevelopment = process.env.NODE_ENV === 'development';
 
-/**
- * 净化错误消息,移除敏感信息 (路径、凭证、系统信息等)
- */
-function sanitizeErrorMessage(error) {
-  const message = error?.message || 'Unknown error';
-
-  const sanitized = message
-    // API Keys 和 Tokens
-    .replace(/sk-[a-zA-Z0-9_-]{20,}/g, '[API_KEY]')           // OpenAI/Anthropic: sk-...
-    .replace(/pk-[a-zA-Z0-9_-]{20,}/g, '[API_KEY]')           // Public keys: pk-...
-    .replace(/key-[a-zA-Z0-9_-]{20,}/g, '[API_KEY]')          // Generic key-...
-    .replace(/api[_-]?key[=:]\s*[^\s]+/gi, 'api_key=[REDACTED]')
-    .replace(/token[=:]\s*[^\s]+/gi, 'token=[REDACTED]')
-    .replace(/bearer\s+[^\s]+/gi, 'Bearer [REDACTED]')
-    // 文件路径 (绝对路径)
-    .replace(/\/home\/[^\s]+/g, '[PATH]')                     // Linux: /home/...
-    .replace(/\/Users\/[^\s]+/g, '[PATH]')                    // macOS: /Users/...
-    .replace(/\/workspace\/[^\s]+/g, '[PATH]')                // Workspace paths
-    .replace(/\/\.claude\/[^\s]+/g, '[PATH]')                 // .claude paths
-    .replace(/[A-Z]:\\[^\s]+/g, '[PATH]')                     // Windows: C:\...
-    // 系统错误消息标准化
-    .replace(/Error: ENOENT[^,]*, open '[^']+'/g, 'Resource not found')
-    .replace(/Error: ENOENT.*/g, 'Resource not found')
-    .replace(/Error: EACCES.*/g, 'Permission denied')
-    .replace(/Error: ETIMEDOUT.*/g, 'Connection timeout')
-    .replace(/Error: ECONNREFUSED.*/g, 'Connection refused')
-    .replace(/Error: ENOTFOUND.*/g, 'Host not found')
-    // 敏感环境变量
-    .replace(/PASSWORD[=:][^\s]+/gi, 'PASSWORD=[REDACTED]')
-    .replace(/SECRET[=:][^\s]+/gi, 'SECRET=[REDACTED]');
-
-  return sanitized;
-}
-
-/**
- * 净化命令输出 (stdout/stderr),移除路径和敏感信息
- */
-function sanitizeOutput(text) {
-  if (!text) return text;
-
-  return text
-    // API Keys 和 Tokens
-    .replace(/sk-[a-zA-Z0-9_-]{20,}/g, '[API_KEY]')
-    .replace(/pk-[a-zA-Z0-9_-]{20,}/g, '[API_KEY]')
-    .replace(/key-[a-zA-Z0-9_-]{20,}/g, '[API_KEY]')
-    .replace(/api[_-]?key[=:]\s*[^\s]+/gi, 'api_key=[REDACTED]')
-    .replace(/token[=:]\s*[^\s]+/gi, 'token=[REDACTED]')
-    .replace(/bearer\s+[^\s]+/gi, 'Bearer [REDACTED]')
-    // 文件路径
-    .replace(/\/home\/[^\s]*/g, '[PATH]')
-    .replace(/\/Users\/[^\s]*/g, '[PATH]')
-    .replace(/\/workspace\/[^\s]*/g, '[PATH]')
-    .replace(/\/\.claude\/[^\s]*/g, '[PATH]')
-    .replace(/[A-Z]:\\[^\s]*/g, '[PATH]')
-    // 命令中的路径
-    .replace(/cd\s+"[^"]+"/g, 'cd "[PATH]"')
-    .replace(/cd\s+'[^']+'/g, "cd '[PATH]'")
-    // 敏感环境变量
-    .replace(/PASSWORD[=:][^\s]+/gi, 'PASSWORD=[REDACTED]')
-    .replace(/SECRET[=:][^\s]+/gi, 'SECRET=[REDACTED]')
-    // JWT tokens
-    .replace(/eyJ[a-zA-Z0-9_-]+\.[a-zA-Z0-9_-]+\.[a-zA-Z0-9_-]+/g, '[JWT_TOKEN]');
-
-  return text;
-}
-
 /**
  * 获取安全的错误消息 (开发环境显示详细错误,生产环境净化)
  */
 function getSafeErrorMessage(error) {
   return isDevelopment ? error.message : sanitizeErrorMessage(error);
 }
-// ===== END 安全净化函数 =====
+// ===== END 安全净化 =====
 
 // ===== 安全: CORS 配置 =====
 // 生产环境: 禁用CORS (API仅localhost访问,不需要CORS)
@@ -95,8 +41,8 @@ function getSafeErrorMessage(error) {
 if (isDevelopment) {
   app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', 'http://localhost:5173'); // Vite 默认端口
-    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
     if (req.method === 'OPTIONS') {
       return res.sendStatus(200);
     }
@@ -108,6 +54,43 @@ if (isDevelopment) {
 }
 // ===== END CORS 配置 =====
 
+// Public status page mode: only the status page, its data and badges are reachable.
+const isPublicMode = process.env.STATUS_PAGE_MODE === 'public';
+if (isPublicMode) {
+  app.use((req, res, next) => {
+    if (req.path === '/') {
+      res.redirect('/status');
+      return;
+    }
+    if (req.path.startsWith('/api/') || req.path === '/metrics' || req.path.startsWith('/health')) {
+      res.status(404).json({ error: 'Not available in public status page mode' });
+      return;
+    }
+    next();
+  });
+}
+
+/**
+ * 净化检查结果中 stdout、stderr 与 message 的敏感信息
+ */
+function sanitizeResult(result) {
+  if (!result) {
+    return result;
+  }
+  return {
+    ...result,
+    stdout: sanitizeOutput(result.stdout),
+    stderr: sanitizeOutput(result.stderr),
+    message: result.message ? sanitizeOutput(result.message) : null,
+    subAttempts: Array.isArray(result.subAttempts)
+      ? result.subAttempts.map((attempt) => ({
+          ...attempt,
+          message: attempt.message ? sanitizeOutput(attempt.message) : null
+        }))
+      : null
+  };
+}
+
 app.get('/api/services', async (req, res) => {
   try {
     const summaries = await store.getAllServicesSummary();
@@ -130,17 +113,7 @@ app.get('/api/services/:id/detail', async (req, res) => {
       res.status(404).json({ error: 'Service detail not found', serviceId: id });
       return;
     }
-    // 净化 stdout 和 stderr 中的敏感信息
-    const sanitizedDetail = {
-      ...detail,
-      result: detail.result ? {
-        ...detail.result,
-        stdout: sanitizeOutput(detail.result.stdout),
-        stderr: sanitizeOutput(detail.result.stderr),
-        message: detail.result.message ? sanitizeOutput(detail.result.message) : null
-      } : detail.result
-    };
-    res.json(sanitizedDetail);
+    res.json({ ...detail, result: sanitizeResult(detail.result) });
   } catch (error) {
     logger.log('error', 'server', `Failed to load detail for ${id}`, error);
     res.status(500).json({
@@ -166,6 +139,199 @@ app.get('/api/services/:id/recent', async (req, res) => {
   }
 });
 
+app.get('/api/services/:id/checks', async (req, res) => {
+  const { id } = req.params;
+  const toInteger = (value) => (Number.isInteger(Number(value)) ? Number(value) : undefined);
+  try {
+    const page = await store.getServiceChecks(id, {
+      status: typeof req.query.status === 'string' ? req.query.status : undefined,
+      category: typeof req.query.category === 'string' ? req.query.category : undefined,
+      range: typeof req.query.range === 'string' ? req.query.range : undefined,
+      page: toInteger(req.query.page),
+      pageSize: toInteger(req.query.pageSize)
+    });
+    res.json(page);
+  } catch (error) {
+    if (error instanceof RangeError) {
+      res.status(400).json({ error: error.message, serviceId: id });
+      return;
+    }
+    logger.log('error', 'server', `Failed to load checks for ${id}`, error);
+    res.status(500).json({
+      error: 'Failed to load checks',
+      message: getSafeErrorMessage(error),
+      serviceId: id
+    });
+  }
+});
+
+app.get('/api/services/:id/checks/:checkId', async (req, res) => {
+  const { id, checkId } = req.params;
+  try {
+    const detail = await store.getServiceCheck(id, checkId);
+    if (!detail) {
+      res.status(404).json({ error: 'Check not found', serviceId: id, checkId });
+      return;
+    }
+    res.json({ ...detail, result: sanitizeResult(detail.result) });
+  } catch (error) {
+    logger.log('error', 'server', `Failed to load check ${checkId} for ${id}`, error);
+    res.status(500).json({
+      error: 'Failed to load check',
+      message: getSafeErrorMessage(error),
+      serviceId: id,
+      checkId
+    });
+  }
+});
+
+app.get('/api/services/:id/history', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const history = await store.getServiceHistory(id, {
+      range: typeof req.query.range === 'string' ? req.query.range : undefined,
+      bucket: typeof req.query.bucket === 'string' ? req.query.bucket : undefined
+    });
+    if (!history) {
+      res.status(404).json({ error: 'Service history not found', serviceId: id });
+      return;
+    }
+    res.json(history);
+  } catch (error) {
+    if (error instanceof RangeError) {
+      res.status(400).json({ error: error.message, serviceId: id });
+      return;
+    }
+    logger.log('error', 'server', `Failed to load history for ${id}`, error);
+    res.status(500).json({
+      error: 'Failed to load service history',
+      message: getSafeErrorMessage(error),
+      serviceId: id
+    });
+  }
+});
+
+app.get('/api/models', async (req, res) => {
+  try {
+    const comparison = await store.getModelComparison({
+      range: typeof req.query.range === 'string' ? req.query.range : undefined
+    });
+    res.json(comparison);
+  } catch (error) {
+    if (error instanceof RangeError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    logger.log('error', 'server', 'Failed to compare models', error);
+    res.status(500).json({ error: 'Failed to compare models', message: getSafeErrorMessage(error) });
+  }
+});
+
+// The model is a query parameter because model ids such as "openai/gpt-5" contain slashes.
+app.get('/api/models/ranking', async (req, res) => {
+  const model = typeof req.query.model === 'string' ? req.query.model.trim() : '';
+  if (!model) {
+    res.status(400).json({ error: 'Query parameter "model" is required' });
+    return;
+  }
+  try {
+    const { range, models } = await store.getModelComparison({
+      model,
+      range: typeof req.query.range === 'string' ? req.query.range : undefined
+    });
+    if (models.length === 0) {
+      res.status(404).json({ error: 'No services run this model', model });
+      return;
+    }
+    const { providers } = models[0];
+    res.json({ model, range, best: providers[0], providers });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      res.status(400).json({ error: error.message, model });
+      return;
+    }
+    logger.log('error', 'server', `Failed to rank providers for ${model}`, error);
+    res.status(500).json({ error: 'Failed to rank providers', message: getSafeErrorMessage(error), model });
+  }
+});
+
+function sanitizeIncident(incident) {
+  const sanitizeError = (error) =>
+    error ? { ...error, message: error.message ? sanitizeOutput(error.message) : null } : null;
+  return {
+    ...incident,
+    firstError: sanitizeError(incident.firstError),
+    lastError: sanitizeError(incident.lastError)
+  };
+}
+
+function readIncidentQuery(query) {
+  const limit = Number(query.limit);
+  return {
+    status: typeof query.status === 'string' ? query.status : undefined,
+    range: typeof query.range === 'string' ? query.range : undefined,
+    limit: Number.isInteger(limit) ? limit : undefined
+  };
+}
+
+app.get('/api/incidents', async (req, res) => {
+  try {
+    const incidents = await store.getIncidents(readIncidentQuery(req.query));
+    res.json({ incidents: incidents.map(sanitizeIncident) });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    logger.log('error', 'server', 'Failed to load incidents', error);
+    res.status(500).json({ error: 'Failed to load incidents', message: getSafeErrorMessage(error) });
+  }
+});
+
+app.get('/api/services/:id/incidents', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const incidents = await store.getIncidents({ ...readIncidentQuery(req.query), serviceId: id });
+    res.json({ serviceId: id, incidents: incidents.map(sanitizeIncident) });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      res.status(400).json({ error: error.message, serviceId: id });
+      return;
+    }
+    logger.log('error', 'server', `Failed to load incidents for ${id}`, error);
+    res.status(500).json({
+      error: 'Failed to load incidents',
+      message: getSafeErrorMessage(error),
+      serviceId: id
+    });
+  }
+});
+
+app.get('/api/maintenance', async (req, res) => {
+  try {
+    const windows = await store.listMaintenanceWindows();
+    res.json({ windows });
+  } catch (error) {
+    logger.log('error', 'server', 'Failed to load maintenance windows', error);
+    res.status(500).json({ error: 'Failed to load maintenance windows', message: getSafeErrorMessage(error) });
+  }
+});
+
+app.get('/api/events', createEventStreamHandler(monitor));
+
+app.get('/metrics', async (req, res) => {
+  try {
+    const config = await store.loadConfig();
+    const summaries = await store.getAllServicesSummary();
+    res
+      .type('text/plain; version=0.0.4; charset=utf-8')
+      .send(metrics.render({ services: config.services, summaries, queue: queue.getStats() }));
+  } catch (error) {
+    logger.log('error', 'server', 'Failed to render metrics', error);
+    res.status(500).type('text/plain').send(`# Failed to render metrics: ${getSafeErrorMessage(error)}\n`);
+  }
+});
+
 app.get('/health', async (req, res) => {
   try {
     const overview = await store.getHealthOverview();
@@ -202,6 +368,69 @@ app.get('/health/:service', async (req, res) => {
   }
 });
 
+app.post('/api/alerts/test/:channelId', async (req, res) => {
+  // 安全: 生产环境禁用此端点,防止外部触发告警推送
+  if (!isDevelopment) {
+    return res.status(403).json({ error: 'This endpoint is disabled in production' });
+  }
+
+  const { channelId } = req.params;
+  try {
+    const result = await alerts.testChannel(channelId);
+    res.status(result.ok ? 200 : 502).json({ channelId, ...result });
+  } catch (error) {
+    logger.log('error', 'server', `Failed to test alert channel ${channelId}`, error);
+    res.status(404).json({ error: 'Alert channel test failed', message: getSafeErrorMessage(error) });
+  }
+});
+
+const BADGE_TYPES = new Set(['status', 'uptime']);
+const BADGE_WINDOWS = new Set(['24h', '7d', '30d', '90d']);
+
+app.get('/badge/:id.svg', async (req, res) => {
+  const { id } = req.params;
+  const type = typeof req.query.type === 'string' ? req.query.type : 'status';
+  const window = typeof req.query.window === 'string' ? req.query.window : '30d';
+  const sendBadge = (status, badge) => {
+    res
+      .status(status)
+      .set('Cache-Control', 'max-age=60')
+      .type('image/svg+xml')
+      .send(renderBadge(badge));
+  };
+
+  if (!BADGE_TYPES.has(type) || !BADGE_WINDOWS.has(window)) {
+    sendBadge(400, { label: 'badge', message: 'invalid query', color: 'lightgrey' });
+    return;
+  }
+
+  try {
+    const config = await store.loadConfig();
+    const services = config.services || [];
+    const index = services.findIndex((item) => (item?.id || item?.name) === id);
+    const summary = index !== -1 ? await store.getServiceSummary(id) : null;
+    if (!summary) {
+      sendBadge(404, { label: 'status', message: 'not found', color: 'lightgrey' });
+      return;
+    }
+
+    const label =
+      typeof req.query.label === 'string' && req.query.label
+        ? req.query.label
+        : `${publicServiceName(services[index], index)}${type === 'uptime' ? ` ${window}` : ''}`;
+    const badge =
+      type === 'uptime'
+        ? uptimeBadge(summary.availability?.[window] ?? null)
+        : statusBadge(summary.currentStatus, Boolean(summary.maintenance));
+    sendBadge(200, { label, ...badge });
+  } catch (error) {
+    logger.log('error', 'server', `Failed to render badge for ${id}`, error);
+    sendBadge(500, { label: 'status', message: 'error', color: 'lightgrey' });
+  }
+});
+
+app.use('/api/admin', createAdminRouter({ store, monitor, audit, getSafeErrorMessage }));
+
 // Static assets directory
 const frontendDist = path.join(__dirname, '../frontend/dist');
 
@@ -210,6 +439,10 @@ app.use(express.static(frontendDist));
 
 // SPA fallback - serve index.html for non-API routes
 app.get('*', (req, res) => {
+  if (isPublicMode && req.path !== '/status') {
+    res.redirect('/status');
+    return;
+  }
   res.sendFile(path.join(frontendDist, 'index.html'));
 });
 
@@ -218,8 +451,17 @@ async function bootstrap() {
     await store.initialize();
     monitor.bindChecker(checker);
     monitor.bindStore(store);
+    monitor.bindAlerts(alerts);
     await monitor.start();
 
+    if (process.env.CONFIG_WATCH !== 'false') {
+      monitor.watchConfig();
+    }
+    process.on('SIGHUP', () => {
+      logger.log('info', 'server', 'Received SIGHUP, reloading services.json');
+      monitor.reload().catch(() => {});
+    });
+
     // 安全: 仅绑定到 localhost,防止外部直接访问 API
     // 外部访问通过 Nginx 反向代理到前端静态文件
     const host = '0.0.0.0';
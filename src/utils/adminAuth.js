@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+/**
+ * Read admin credentials from the environment:
+ * - ADMIN_TOKEN: a bearer token, recorded in the audit log as "token"
+ * - ADMIN_USERS: basic auth users as "alice:secret,bob:secret2"
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {{token: string|null, users: Map<string, string>}}
+ */
+function loadAdminCredentials(env = process.env) {
+  const users = new Map();
+  for (const pair of String(env.ADMIN_USERS || '').split(',')) {
+    const separator = pair.indexOf(':');
+    if (separator > 0 && separator < pair.length - 1) {
+      users.set(pair.slice(0, separator).trim(), pair.slice(separator + 1));
+    }
+  }
+  return { token: env.ADMIN_TOKEN || null, users };
+}
+
+function hasAdminCredentials(credentials) {
+  return Boolean(credentials.token) || credentials.users.size > 0;
+}
+
+// Compare digests so neither the length nor the content leaks through timing.
+function safeEqual(a, b) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Identify the caller from an Authorization header.
+ * @param {string|undefined} header
+ * @param {ReturnType<typeof loadAdminCredentials>} credentials
+ * @returns {{actor: string, method: 'bearer'|'basic'}|null}
+ */
+function authenticate(header, credentials) {
+  const [scheme, value] = String(header || '').split(' ');
+  if (!value) {
+    return null;
+  }
+
+  if (/^bearer$/i.test(scheme) && credentials.token) {
+    return safeEqual(value, credentials.token) ? { actor: 'token', method: 'bearer' } : null;
+  }
+
+  if (/^basic$/i.test(scheme) && credentials.users.size > 0) {
+    const decoded = Buffer.from(value, 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator <= 0) {
+      return null;
+    }
+    const username = decoded.slice(0, separator);
+    const expected = credentials.users.get(username);
+    // Still compare for unknown users so they take as long as known ones.
+    const matches = safeEqual(decoded.slice(separator + 1), expected ?? '');
+    return expected != null && matches ? { actor: username, method: 'basic' } : null;
+  }
+
+  return null;
+}
+
+module.exports = { authenticate, hasAdminCredentials, loadAdminCredentials };
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { authenticate, hasAdminCredentials, loadAdminCredentials } = require('./adminAuth');
+
+const basic = (user, password) => `Basic ${Buffer.from(`${user}:${password}`).toString('base64')}`;
+
+test('loadAdminCredentials parses the token and users', () => {
+  const credentials = loadAdminCredentials({ ADMIN_TOKEN: 't0ken', ADMIN_USERS: 'alice:se:cret, bob:pw,broken,:x,carol:' });
+  assert.equal(credentials.token, 't0ken');
+  assert.deepEqual([...credentials.users], [
+    ['alice', 'se:cret'],
+    ['bob', 'pw']
+  ]);
+  assert.equal(hasAdminCredentials(credentials), true);
+  assert.equal(hasAdminCredentials(loadAdminCredentials({})), false);
+});
+
+test('authenticates bearer tokens', () => {
+  const credentials = loadAdminCredentials({ ADMIN_TOKEN: 't0ken' });
+  assert.deepEqual(authenticate('Bearer t0ken', credentials), { actor: 'token', method: 'bearer' });
+  assert.deepEqual(authenticate('bearer t0ken', credentials), { actor: 'token', method: 'bearer' });
+  assert.equal(authenticate('Bearer wrong', credentials), null);
+  assert.equal(authenticate('Bearer', credentials), null);
+  assert.equal(authenticate(undefined, credentials), null);
+  assert.equal(authenticate(basic('alice', 't0ken'), credentials), null);
+});
+
+test('authenticates basic auth users', () => {
+  const credentials = loadAdminCredentials({ ADMIN_USERS: 'alice:se:cret' });
+  assert.deepEqual(authenticate(basic('alice', 'se:cret'), credentials), { actor: 'alice', method: 'basic' });
+  assert.equal(authenticate(basic('alice', 'secret'), credentials), null);
+  assert.equal(authenticate(basic('mallory', ''), credentials), null);
+  assert.equal(authenticate(`Basic ${Buffer.from('nocolon').toString('base64')}`, credentials), null);
+  assert.equal(authenticate('Bearer se:cret', credentials), null);
+});
@@ -0,0 +1,378 @@
+function escapeRegExp(value) {
+  return value.replace(/[.*+\-?^${}()|[\]\\]/g, '\\$&');
+}
+
+const MATCHER_TYPES = new Set([
+  'string',
+  'regex',
+  'numeric',
+  'json',
+  'containsAll',
+  'notContains',
+  'minLength',
+  'all',
+  'any'
+]);
+
+const NOT_MATCHED = 'Expected answer was not matched';
+
+function splitLines(text) {
+  return text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+function isMatcherObject(value) {
+  return (
+    value != null &&
+    typeof value === 'object' &&
+    !(value instanceof RegExp) &&
+    !Array.isArray(value)
+  );
+}
+
+function pass(answer) {
+  return { matched: true, answer: answer ?? null, reason: null };
+}
+
+function reject(type, reason) {
+  return { matched: false, answer: null, reason: `Matcher ${type} failed: ${reason}` };
+}
+
+function matchString(expected, normalized, lines) {
+  const expectedString = String(expected).trim();
+  if (!expectedString) {
+    return null;
+  }
+  if (lines.some((line) => line === expectedString)) {
+    return expectedString;
+  }
+  const boundaryPattern = new RegExp(`\\b${escapeRegExp(expectedString)}\\b`);
+  return boundaryPattern.test(normalized) ? expectedString : null;
+}
+
+function matchRegExp(expected, normalized, lines) {
+  const matchedLine = lines.find((line) => {
+    expected.lastIndex = 0;
+    return expected.test(line);
+  });
+  if (matchedLine) {
+    return matchedLine;
+  }
+  expected.lastIndex = 0;
+  const match = normalized.match(expected);
+  return match ? match[0] : null;
+}
+
+/**
+ * Pull a JSON document out of model output, tolerating code fences and
+ * surrounding prose.
+ * @param {string} text
+ * @returns {{ok: boolean, value?: unknown}}
+ */
+function parseJsonFromText(text) {
+  const candidates = [text.trim()];
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(text);
+  if (fenced) {
+    candidates.push(fenced[1].trim());
+  }
+  for (const [open, close] of [['{', '}'], ['[', ']']]) {
+    const start = text.indexOf(open);
+    const end = text.lastIndexOf(close);
+    if (start >= 0 && end > start) {
+      candidates.push(text.slice(start, end + 1));
+    }
+  }
+
+  for (const candidate of candidates) {
+    try {
+      return { ok: true, value: JSON.parse(candidate) };
+    } catch (error) {
+      continue;
+    }
+  }
+  return { ok: false };
+}
+
+/**
+ * Resolve a dotted path such as "result.items[0].name".
+ * @returns {{found: boolean, value?: unknown}}
+ */
+function resolveJsonPath(value, jsonPath) {
+  if (!jsonPath) {
+    return { found: true, value };
+  }
+  const segments = String(jsonPath)
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean);
+
+  let current = value;
+  for (const segment of segments) {
+    if (current == null || typeof current !== 'object' || !(segment in current)) {
+      return { found: false };
+    }
+    current = current[segment];
+  }
+  return { found: true, value: current };
+}
+
+function jsonTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate against the subset of JSON Schema that is useful for answer
+ * checks: type, enum, required, properties, items.
+ * @returns {string|null} first violation, or null when valid
+ */
+function validateSchema(value, schema, at = '$') {
+  if (!schema || typeof schema !== 'object') {
+    return null;
+  }
+
+  if (schema.type) {
+    const actual = jsonTypeOf(value);
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const ok = allowed.some(
+      (type) => type === actual || (type === 'number' && actual === 'integer')
+    );
+    if (!ok) {
+      return `${at} should be ${allowed.join('|')}, got ${actual}`;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some((item) => JSON.stringify(item) === JSON.stringify(value))) {
+    return `${at} should be one of ${JSON.stringify(schema.enum)}`;
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of Array.isArray(schema.required) ? schema.required : []) {
+      if (!(key in value)) {
+        return `${at}.${key} is required`;
+      }
+    }
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+      if (key in value) {
+        const violation = validateSchema(value[key], child, `${at}.${key}`);
+        if (violation) return violation;
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    for (let index = 0; index < value.length; index += 1) {
+      const violation = validateSchema(value[index], schema.items, `${at}[${index}]`);
+      if (violation) return violation;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Evaluate a single declarative matcher.
+ * @param {object} matcher
+ * @param {string} normalized
+ * @param {string[]} lines
+ * @returns {{matched: boolean, answer: string|null, reason: string|null}}
+ */
+function evaluateMatcher(matcher, normalized, lines) {
+  const type = matcher.type;
+  const firstLine = lines[0] || null;
+
+  switch (type) {
+    case 'string': {
+      const answer = matchString(matcher.value ?? '', normalized, lines);
+      return answer != null ? pass(answer) : reject(type, `"${matcher.value}" not found`);
+    }
+
+    case 'regex': {
+      let pattern;
+      try {
+        pattern = new RegExp(matcher.pattern, matcher.flags || '');
+      } catch (error) {
+        return reject(type, `invalid pattern (${error.message})`);
+      }
+      const answer = matchRegExp(pattern, normalized, lines);
+      return answer != null ? pass(answer) : reject(type, `/${matcher.pattern}/ did not match`);
+    }
+
+    case 'numeric': {
+      const expected = Number(matcher.value);
+      const tolerance = Number.isFinite(matcher.tolerance) ? Math.abs(matcher.tolerance) : 0;
+      if (!Number.isFinite(expected)) {
+        return reject(type, 'expected value is not a number');
+      }
+      const numbers = normalized.match(/-?\d+(?:\.\d+)?/g) || [];
+      const found = numbers.find((item) => Math.abs(Number(item) - expected) <= tolerance);
+      return found != null
+        ? pass(found)
+        : reject(type, `no number within ±${tolerance} of ${expected}`);
+    }
+
+    case 'json': {
+      const parsed = parseJsonFromText(normalized);
+      if (!parsed.ok) {
+        return reject(type, 'output is not valid JSON');
+      }
+      const resolved = resolveJsonPath(parsed.value, matcher.path);
+      if (!resolved.found) {
+        return reject(type, `path "${matcher.path}" not found`);
+      }
+      if (
+        Object.prototype.hasOwnProperty.call(matcher, 'equals') &&
+        JSON.stringify(resolved.value) !== JSON.stringify(matcher.equals)
+      ) {
+        return reject(
+          type,
+          `${matcher.path || 'value'} is ${JSON.stringify(resolved.value)}, expected ${JSON.stringify(matcher.equals)}`
+        );
+      }
+      const violation = validateSchema(resolved.value, matcher.schema);
+      if (violation) {
+        return reject(type, `schema violation: ${violation}`);
+      }
+      return pass(
+        typeof resolved.value === 'string' ? resolved.value : JSON.stringify(resolved.value)
+      );
+    }
+
+    case 'containsAll': {
+      const haystack = matcher.ignoreCase ? normalized.toLowerCase() : normalized;
+      const values = Array.isArray(matcher.values) ? matcher.values : [];
+      const missing = values.filter((value) => {
+        const needle = matcher.ignoreCase ? String(value).toLowerCase() : String(value);
+        return !haystack.includes(needle);
+      });
+      return missing.length === 0
+        ? pass(firstLine)
+        : reject(type, `missing ${missing.map((value) => `"${value}"`).join(', ')}`);
+    }
+
+    case 'notContains': {
+      const haystack = matcher.ignoreCase ? normalized.toLowerCase() : normalized;
+      const values = Array.isArray(matcher.values) ? matcher.values : [matcher.value];
+      const present = values.filter((value) => {
+        if (value == null || value === '') return false;
+        const needle = matcher.ignoreCase ? String(value).toLowerCase() : String(value);
+        return haystack.includes(needle);
+      });
+      return present.length === 0
+        ? pass(firstLine)
+        : reject(type, `found forbidden ${present.map((value) => `"${value}"`).join(', ')}`);
+    }
+
+    case 'minLength': {
+      const min = Number(matcher.value);
+      if (!Number.isFinite(min)) {
+        return reject(type, 'expected length is not a number');
+      }
+      const length = normalized.trim().length;
+      return length >= min
+        ? pass(firstLine)
+        : reject(type, `output length ${length} is below ${min}`);
+    }
+
+    case 'all': {
+      let answer = null;
+      for (const child of Array.isArray(matcher.matchers) ? matcher.matchers : []) {
+        const outcome = evaluateExpected(child, normalized, lines);
+        if (!outcome.matched) {
+          return outcome;
+        }
+        const isConstraint = isMatcherObject(child) && ['containsAll', 'notContains', 'minLength'].includes(child.type);
+        if (answer == null && !isConstraint) {
+          answer = outcome.answer;
+        }
+      }
+      return pass(answer ?? firstLine);
+    }
+
+    case 'any': {
+      const reasons = [];
+      for (const child of Array.isArray(matcher.matchers) ? matcher.matchers : []) {
+        const outcome = evaluateExpected(child, normalized, lines);
+        if (outcome.matched) {
+          return outcome;
+        }
+        reasons.push(outcome.reason);
+      }
+      const unique = [...new Set(reasons.filter(Boolean))];
+      return { matched: false, answer: null, reason: unique.join('; ') || NOT_MATCHED };
+    }
+
+    default:
+      return reject(type ?? 'unknown', `unsupported matcher type "${type}"`);
+  }
+}
+
+function evaluateExpected(expected, normalized, lines) {
+  if (isMatcherObject(expected)) {
+    return evaluateMatcher(expected, normalized, lines);
+  }
+  if (Array.isArray(expected)) {
+    return evaluateMatcher({ type: 'any', matchers: expected }, normalized, lines);
+  }
+  const answer =
+    expected instanceof RegExp
+      ? matchRegExp(expected, normalized, lines)
+      : matchString(expected, normalized, lines);
+  return answer != null ? pass(answer) : { matched: false, answer: null, reason: NOT_MATCHED };
+}
+
+/**
+ * Match command output against the expected answer. Besides plain strings
+ * and RegExp objects, `expectedAnswer` accepts declarative matchers such as
+ * `{ "type": "regex", "pattern": "^2$", "flags": "m" }`; arrays are any-of.
+ * @param {string|undefined|null} text
+ * @param {string|RegExp|object|Array|undefined|null} expectedAnswer
+ * @returns {{matched: boolean, answer: string|null, reason: string|null}}
+ */
+function matchAnswer(text, expectedAnswer) {
+  if (!text) {
+    return { matched: false, answer: null, reason: 'No output to match' };
+  }
+
+  const normalized = text.replace(/\r\n/g, '\n');
+  const lines = splitLines(normalized);
+
+  const expectedList = Array.isArray(expectedAnswer)
+    ? expectedAnswer.filter(Boolean)
+    : expectedAnswer != null
+    ? [expectedAnswer]
+    : [];
+
+  if (expectedList.length === 0) {
+    return lines[0] ? pass(lines[0]) : { matched: false, answer: null, reason: 'No output to match' };
+  }
+
+  return evaluateExpected(
+    expectedList.length === 1 ? expectedList[0] : expectedList,
+    normalized,
+    lines
+  );
+}
+
+/**
+ * Extract the expected answer from the command output.
+ * @param {string|undefined|null} text
+ * @param {string|RegExp|object|Array|undefined|null} expectedAnswer
+ * @returns {string|null}
+ */
+function extractAnswer(text, expectedAnswer) {
+  const outcome = matchAnswer(text, expectedAnswer);
+  return outcome.matched ? outcome.answer : null;
+}
+
+module.exports = {
+  MATCHER_TYPES,
+  escapeRegExp,
+  extractAnswer,
+  matchAnswer,
+  validateSchema
+};
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractAnswer, matchAnswer, validateSchema } = require('./answer');
+
+test('plain strings match a whole line or a word boundary', () => {
+  assert.equal(extractAnswer('The answer is 22.', '22'), '22');
+  assert.equal(extractAnswer('2', 2), '2');
+  assert.equal(extractAnswer('122', '22'), null);
+  assert.equal(extractAnswer('first line\nsecond', undefined), 'first line');
+  assert.deepEqual(matchAnswer('', '2'), { matched: false, answer: null, reason: 'No output to match' });
+});
+
+test('RegExp objects and regex matchers', () => {
+  assert.equal(extractAnswer('x\n42\n', /^\d+$/), '42');
+  assert.equal(extractAnswer('Answer: 42', { type: 'regex', pattern: '\\d+' }), 'Answer: 42');
+  assert.match(matchAnswer('x', { type: 'regex', pattern: '(' }).reason, /invalid pattern/);
+});
+
+test('numeric matcher honours tolerance', () => {
+  assert.equal(extractAnswer('about 3.14', { type: 'numeric', value: 3.1416, tolerance: 0.01 }), '3.14');
+  assert.equal(matchAnswer('3', { type: 'numeric', value: 4 }).matched, false);
+  assert.match(matchAnswer('3', { type: 'numeric', value: 'x' }).reason, /not a number/);
+});
+
+test('json matcher reads fenced output, paths and schemas', () => {
+  const output = 'Here:\n```json\n{"result": {"items": [{"name": "a"}], "total": 1}}\n```';
+  assert.equal(extractAnswer(output, { type: 'json', path: 'result.items[0].name', equals: 'a' }), 'a');
+  assert.match(matchAnswer(output, { type: 'json', path: 'result.total', equals: 2 }).reason, /expected 2/);
+  assert.match(matchAnswer(output, { type: 'json', path: 'missing' }).reason, /not found/);
+  assert.match(
+    matchAnswer(output, { type: 'json', path: 'result', schema: { required: ['total', 'next'] } }).reason,
+    /\$\.next is required/
+  );
+  assert.match(matchAnswer('no json', { type: 'json' }).reason, /not valid JSON/);
+});
+
+test('validateSchema', () => {
+  assert.equal(validateSchema(1, { type: 'number' }), null);
+  assert.equal(validateSchema([1, 'a'], { type: 'array', items: { type: 'integer' } }), '$[1] should be integer, got string');
+  assert.equal(validateSchema('c', { enum: ['a', 'b'] }), '$ should be one of ["a","b"]');
+});
+
+test('text constraints', () => {
+  const contains = { type: 'containsAll', values: ['Paris', 'france'], ignoreCase: true };
+  assert.equal(matchAnswer('Paris is in France', contains).matched, true);
+  assert.match(matchAnswer('Paris', contains).reason, /missing "france"/);
+  assert.match(matchAnswer('API error: quota', { type: 'notContains', values: ['quota'] }).reason, /forbidden "quota"/);
+  assert.equal(matchAnswer('hello', { type: 'minLength', value: 5 }).matched, true);
+  assert.equal(matchAnswer('hi', { type: 'minLength', value: 5 }).matched, false);
+  assert.match(matchAnswer('hi', { type: 'minLength', value: 'long' }).reason, /not a number/);
+});
+
+test('all and any combine matchers', () => {
+  const all = { type: 'all', matchers: [{ type: 'notContains', values: ['error'] }, '2'] };
+  assert.deepEqual(matchAnswer('2', all), { matched: true, answer: '2', reason: null });
+  assert.equal(matchAnswer('error 2', all).matched, false);
+  assert.equal(extractAnswer('two', ['2', 'two']), 'two');
+  assert.equal(matchAnswer('three', { type: 'any', matchers: ['2', 'two'] }).reason, 'Expected answer was not matched');
+});
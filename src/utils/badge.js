@@ -0,0 +1,115 @@
+// Shields.io "flat" palette.
+const COLORS = {
+  brightgreen: '#4c1',
+  green: '#97ca00',
+  yellow: '#dfb317',
+  orange: '#fe7d37',
+  red: '#e05d44',
+  blue: '#007ec6',
+  lightgrey: '#9f9f9f'
+};
+
+const STATUS_BADGES = {
+  ok: { message: 'operational', color: 'brightgreen' },
+  degraded: { message: 'degraded', color: 'yellow' },
+  timeout: { message: 'timeout', color: 'orange' },
+  fail: { message: 'down', color: 'red' },
+  error: { message: 'down', color: 'red' }
+};
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Approximate Verdana 11px advance widths; no font metrics are available server-side.
+function textWidth(text) {
+  let width = 0;
+  for (const char of String(text)) {
+    if (char.codePointAt(0) > 0x2e80) {
+      width += 11;
+    } else if (/[iljtfI.,:;'|! ]/.test(char)) {
+      width += 3.7;
+    } else if (/[mwMW@%]/.test(char)) {
+      width += 10;
+    } else if (/[A-Z0-9]/.test(char)) {
+      width += 7.5;
+    } else {
+      width += 6.6;
+    }
+  }
+  return Math.ceil(width);
+}
+
+/**
+ * Badge text and color for a service's current status.
+ * @param {string} status
+ * @param {boolean} [maintenance]
+ * @returns {{message: string, color: string}}
+ */
+function statusBadge(status, maintenance = false) {
+  if (maintenance) {
+    return { message: 'maintenance', color: 'blue' };
+  }
+  return STATUS_BADGES[status] ?? { message: 'unknown', color: 'lightgrey' };
+}
+
+/**
+ * Badge text and color for an uptime percentage.
+ * @param {number|null} uptime
+ * @returns {{message: string, color: string}}
+ */
+function uptimeBadge(uptime) {
+  if (uptime == null || !Number.isFinite(uptime)) {
+    return { message: 'no data', color: 'lightgrey' };
+  }
+  const color =
+    uptime >= 99.9
+      ? 'brightgreen'
+      : uptime >= 99
+        ? 'green'
+        : uptime >= 95
+          ? 'yellow'
+          : uptime >= 90
+            ? 'orange'
+            : 'red';
+  return { message: `${uptime}%`, color };
+}
+
+/**
+ * Render a shields.io-style flat badge.
+ * @param {{label: string, message: string, color: string}} badge
+ * @returns {string} SVG markup
+ */
+function renderBadge({ label, message, color }) {
+  const fill = COLORS[color] ?? color;
+  const labelWidth = textWidth(label) + 10;
+  const messageWidth = textWidth(message) + 10;
+  const width = labelWidth + messageWidth;
+  const title = escapeXml(`${label}: ${message}`);
+  const text = (value, x) =>
+    `<text x="${x}" y="15" fill="#010101" fill-opacity=".3">${escapeXml(value)}</text>` +
+    `<text x="${x}" y="14">${escapeXml(value)}</text>`;
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${title}">`,
+    `<title>${title}</title>`,
+    '<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>',
+    `<clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>`,
+    '<g clip-path="url(#r)">',
+    `<rect width="${labelWidth}" height="20" fill="#555"/>`,
+    `<rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${escapeXml(fill)}"/>`,
+    `<rect width="${width}" height="20" fill="url(#s)"/>`,
+    '</g>',
+    '<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">',
+    text(label, labelWidth / 2),
+    text(message, labelWidth + messageWidth / 2),
+    '</g>',
+    '</svg>'
+  ].join('');
+}
+
+module.exports = { renderBadge, statusBadge, uptimeBadge };
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderBadge, statusBadge, uptimeBadge } = require('./badge');
+
+test('statusBadge maps check statuses', () => {
+  assert.deepEqual(statusBadge('ok'), { message: 'operational', color: 'brightgreen' });
+  assert.deepEqual(statusBadge('error'), { message: 'down', color: 'red' });
+  assert.deepEqual(statusBadge('fail', true), { message: 'maintenance', color: 'blue' });
+  assert.deepEqual(statusBadge('unknown'), { message: 'unknown', color: 'lightgrey' });
+});
+
+test('uptimeBadge colors by threshold', () => {
+  assert.equal(uptimeBadge(100).color, 'brightgreen');
+  assert.equal(uptimeBadge(99.5).color, 'green');
+  assert.equal(uptimeBadge(96).color, 'yellow');
+  assert.equal(uptimeBadge(91).color, 'orange');
+  assert.equal(uptimeBadge(50).color, 'red');
+  assert.deepEqual(uptimeBadge(null), { message: 'no data', color: 'lightgrey' });
+  assert.equal(uptimeBadge(99.95).message, '99.95%');
+});
+
+test('renderBadge escapes text and sizes to the label', () => {
+  const svg = renderBadge({ label: 'A<b>&"', message: 'ok', color: 'brightgreen' });
+  assert.match(svg, /^<svg [^>]*role="img"/);
+  assert.match(svg, /A&lt;b&gt;&amp;&quot;/);
+  assert.doesNotMatch(svg, /A<b>/);
+  assert.match(svg, /fill="#4c1"/);
+
+  const width = (markup) => Number(/width="(\d+(?:\.\d+)?)"/.exec(markup)[1]);
+  assert.ok(width(renderBadge({ label: 'a much longer label', message: 'ok', color: 'red' })) > width(svg));
+});
+
+test('renderBadge accepts a raw color', () => {
+  assert.match(renderBadge({ label: 'x', message: 'y', color: '#123456' }), /fill="#123456"/);
+});
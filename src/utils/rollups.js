@@ -0,0 +1,249 @@
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const BUCKETS = {
+  '1h': { key: 'hourly', size: HOUR_MS, keep: 45 * 24 },
+  '1d': { key: 'daily', size: DAY_MS, keep: 400 }
+};
+
+// Latency histogram bins grow by 5%, so percentiles are within ~2.5% and an
+// open bucket holds at most a few hundred bins however many checks it sees.
+const HISTOGRAM_GROWTH = 1.05;
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: HOUR_MS,
+  d: DAY_MS,
+  w: 7 * DAY_MS
+};
+
+function createRollups() {
+  return { hourly: [], daily: [] };
+}
+
+/**
+ * Parse a duration such as "90s", "24h", "7d" or "2w" into milliseconds.
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseDuration(value) {
+  const match = /^(\d+)\s*([smhdw])$/i.exec(String(value ?? '').trim());
+  if (!match) {
+    return null;
+  }
+  const amount = Number(match[1]);
+  if (amount <= 0) {
+    return null;
+  }
+  return amount * DURATION_UNITS[match[2].toLowerCase()];
+}
+
+function percentile(sortedValues, ratio) {
+  if (sortedValues.length === 0) {
+    return null;
+  }
+  const index = Math.min(
+    sortedValues.length - 1,
+    Math.max(0, Math.ceil(ratio * sortedValues.length) - 1)
+  );
+  return sortedValues[index];
+}
+
+function calculateRate(okCount, total) {
+  if (total === 0) {
+    return null;
+  }
+  return Math.round((okCount / total) * 100 * 10) / 10;
+}
+
+function bucketStart(time, size) {
+  return Math.floor(time / size) * size;
+}
+
+function histogramBin(value) {
+  return value <= 1 ? 0 : Math.ceil(Math.log(value) / Math.log(HISTOGRAM_GROWTH));
+}
+
+function addToHistogram(histogram, value) {
+  const bin = histogramBin(value);
+  histogram[bin] = (histogram[bin] ?? 0) + 1;
+}
+
+/**
+ * Percentile of a latency histogram, reported as the upper edge of the
+ * bin it falls in and capped at the exact maximum.
+ * @param {Record<string, number>} histogram bin index -> count
+ * @param {number} ratio
+ * @param {number|null} max
+ * @returns {number|null}
+ */
+function histogramPercentile(histogram, ratio, max) {
+  const bins = Object.keys(histogram)
+    .map(Number)
+    .sort((a, b) => a - b);
+  const count = bins.reduce((sum, bin) => sum + histogram[bin], 0);
+  if (count === 0) {
+    return null;
+  }
+  const rank = Math.max(1, Math.ceil(ratio * count));
+  let seen = 0;
+  for (const bin of bins) {
+    seen += histogram[bin];
+    if (seen >= rank) {
+      const edge = Math.round(HISTOGRAM_GROWTH ** bin);
+      return max != null ? Math.min(edge, max) : edge;
+    }
+  }
+  return max;
+}
+
+/**
+ * Recompute the derived stats of a bucket from its latency histogram.
+ * The histogram is only kept while the bucket is still open.
+ */
+function refreshBucket(bucket) {
+  bucket.p50 = histogramPercentile(bucket.histogram, 0.5, bucket.max);
+  bucket.p95 = histogramPercentile(bucket.histogram, 0.95, bucket.max);
+  bucket.uptime = calculateRate(bucket.counts.ok ?? 0, bucket.total);
+}
+
+/**
+ * Fold a single check into the hourly and daily rollups. Checks are
+ * expected in chronological order; buckets before the one a check falls
+ * into are considered closed and drop their latency histogram.
+ * @param {{hourly: Array, daily: Array}} rollups
+ * @param {{timestamp: string, status: string, responseTime: number, errorCategory?: string, maintenance?: boolean}} check
+ * @returns {{hourly: Array, daily: Array}}
+ */
+function applyCheck(rollups, check) {
+  const time = new Date(check?.timestamp).getTime();
+  if (Number.isNaN(time)) {
+    return rollups;
+  }
+
+  for (const { key, size, keep } of Object.values(BUCKETS)) {
+    const buckets = Array.isArray(rollups[key]) ? rollups[key] : [];
+    const openSince = bucketStart(time, size);
+    const start = new Date(openSince).toISOString();
+
+    let bucket = buckets.find((item) => item.start === start);
+    if (!bucket) {
+      bucket = { start, total: 0, counts: {}, categories: {}, max: null, histogram: {} };
+      buckets.push(bucket);
+      buckets.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+    }
+
+    // Checks during maintenance are counted apart and left out of uptime and latency.
+    if (check.maintenance) {
+      bucket.maintenance = (bucket.maintenance ?? 0) + 1;
+    } else {
+      bucket.total += 1;
+      bucket.counts[check.status] = (bucket.counts[check.status] ?? 0) + 1;
+      if (check.errorCategory) {
+        bucket.categories = bucket.categories ?? {};
+        bucket.categories[check.errorCategory] = (bucket.categories[check.errorCategory] ?? 0) + 1;
+      }
+    }
+    // Open buckets written before histograms existed carry raw samples.
+    if (Array.isArray(bucket.samples)) {
+      bucket.histogram = {};
+      for (const sample of bucket.samples) {
+        addToHistogram(bucket.histogram, sample);
+      }
+      delete bucket.samples;
+    }
+    if (bucket.histogram) {
+      if (!check.maintenance && Number.isFinite(check.responseTime)) {
+        addToHistogram(bucket.histogram, check.responseTime);
+        bucket.max = Math.max(bucket.max ?? 0, check.responseTime);
+      }
+      refreshBucket(bucket);
+    } else {
+      // Late arrival for a closed bucket: percentiles can no longer be
+      // recomputed, so only the counters and the maximum are updated.
+      if (!check.maintenance && Number.isFinite(check.responseTime)) {
+        bucket.max = Math.max(bucket.max ?? 0, check.responseTime);
+      }
+      bucket.uptime = calculateRate(bucket.counts.ok ?? 0, bucket.total);
+    }
+
+    for (const item of buckets) {
+      if (new Date(item.start).getTime() < openSince) {
+        delete item.histogram;
+        delete item.samples;
+      }
+    }
+
+    rollups[key] = buckets.slice(-keep);
+  }
+
+  return rollups;
+}
+
+/**
+ * Select the buckets of one granularity that fall within a time range
+ * and summarize them.
+ * @param {{hourly: Array, daily: Array}} rollups
+ * @param {{range: number, bucket: string}} options
+ * @param {number} [now]
+ */
+function queryRollups(rollups, { range, bucket }, now = Date.now()) {
+  const config = BUCKETS[bucket];
+  if (!config) {
+    throw new Error(`Unsupported bucket "${bucket}"`);
+  }
+
+  const from = bucketStart(now - range, config.size);
+  const source = Array.isArray(rollups?.[config.key]) ? rollups[config.key] : [];
+  const buckets = source
+    .filter((item) => new Date(item.start).getTime() >= from)
+    .map(({ histogram, samples, ...item }) => ({
+      ...item,
+      counts: { ...item.counts },
+      categories: { ...item.categories }
+    }));
+
+  const counts = {};
+  const categories = {};
+  let total = 0;
+  let maintenance = 0;
+  let max = null;
+  for (const item of buckets) {
+    total += item.total;
+    maintenance += item.maintenance ?? 0;
+    for (const [status, count] of Object.entries(item.counts)) {
+      counts[status] = (counts[status] ?? 0) + count;
+    }
+    for (const [category, count] of Object.entries(item.categories)) {
+      categories[category] = (categories[category] ?? 0) + count;
+    }
+    if (item.max != null && (max == null || item.max > max)) {
+      max = item.max;
+    }
+  }
+
+  return {
+    from: new Date(from).toISOString(),
+    to: new Date(now).toISOString(),
+    buckets,
+    summary: {
+      total,
+      counts,
+      categories,
+      maintenance,
+      uptime: calculateRate(counts.ok ?? 0, total),
+      max
+    }
+  };
+}
+
+module.exports = {
+  BUCKETS,
+  applyCheck,
+  calculateRate,
+  createRollups,
+  parseDuration,
+  percentile,
+  queryRollups
+};
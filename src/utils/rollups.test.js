@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyCheck, createRollups, parseDuration, percentile, queryRollups } = require('./rollups');
+
+const HOUR = '2025-11-13T10';
+
+function check(minute, responseTime, extra = {}) {
+  return {
+    timestamp: `${HOUR}:${String(minute).padStart(2, '0')}:00.000Z`,
+    status: 'ok',
+    responseTime,
+    ...extra
+  };
+}
+
+test('parseDuration accepts s/m/h/d/w and rejects the rest', () => {
+  assert.equal(parseDuration('90s'), 90_000);
+  assert.equal(parseDuration('24h'), 24 * 60 * 60 * 1000);
+  assert.equal(parseDuration('2w'), 14 * 24 * 60 * 60 * 1000);
+  assert.equal(parseDuration('0d'), null);
+  assert.equal(parseDuration('7x'), null);
+  assert.equal(parseDuration(undefined), null);
+});
+
+test('percentile uses the nearest rank', () => {
+  assert.equal(percentile([], 0.5), null);
+  assert.equal(percentile([1, 2, 3, 4], 0.5), 2);
+  assert.equal(percentile([1, 2, 3, 4], 0.95), 4);
+});
+
+test('applyCheck counts statuses, categories and uptime per bucket', () => {
+  const rollups = createRollups();
+  applyCheck(rollups, check(0, 100));
+  applyCheck(rollups, check(5, 200, { status: 'error', errorCategory: 'network' }));
+  applyCheck(rollups, check(10, 300, { status: 'fail', maintenance: true }));
+
+  const [hour] = rollups.hourly;
+  assert.equal(hour.start, `${HOUR}:00:00.000Z`);
+  assert.equal(hour.total, 2);
+  assert.deepEqual(hour.counts, { ok: 1, error: 1 });
+  assert.deepEqual(hour.categories, { network: 1 });
+  assert.equal(hour.maintenance, 1);
+  assert.equal(hour.uptime, 50);
+  assert.equal(hour.max, 200);
+  assert.equal(rollups.daily[0].total, 2);
+});
+
+test('open buckets keep a bounded histogram with close percentiles', () => {
+  const rollups = createRollups();
+  for (let i = 0; i < 20_000; i += 1) {
+    applyCheck(rollups, check(i % 60, 1000 + (i % 1000)));
+  }
+
+  const [hour] = rollups.hourly;
+  assert.equal(hour.total, 20_000);
+  assert.ok(Object.keys(hour.histogram).length < 30);
+  assert.ok(Math.abs(hour.p50 - 1500) / 1500 < 0.05, `p50 ${hour.p50}`);
+  assert.ok(Math.abs(hour.p95 - 1950) / 1950 < 0.05, `p95 ${hour.p95}`);
+  assert.equal(hour.max, 1999);
+});
+
+test('closed buckets drop their histogram and late checks update counters only', () => {
+  const rollups = createRollups();
+  applyCheck(rollups, check(0, 100));
+  applyCheck(rollups, { timestamp: '2025-11-13T11:00:00.000Z', status: 'ok', responseTime: 50 });
+  assert.equal(rollups.hourly[0].histogram, undefined);
+
+  applyCheck(rollups, check(30, 400, { status: 'timeout' }));
+  const [closed] = rollups.hourly;
+  assert.equal(closed.total, 2);
+  assert.equal(closed.max, 400);
+  assert.equal(closed.p50, 100);
+  assert.equal(closed.uptime, 50);
+});
+
+test('buckets written with raw samples are converted to a histogram', () => {
+  const rollups = {
+    hourly: [
+      {
+        start: `${HOUR}:00:00.000Z`,
+        total: 2,
+        counts: { ok: 2 },
+        categories: {},
+        samples: [100, 200],
+        max: 200
+      }
+    ],
+    daily: []
+  };
+  applyCheck(rollups, check(5, 300));
+  const [hour] = rollups.hourly;
+  assert.equal(hour.samples, undefined);
+  assert.equal(hour.total, 3);
+  assert.ok(Math.abs(hour.p50 - 200) <= 10);
+});
+
+test('queryRollups summarizes buckets within the range', () => {
+  const rollups = createRollups();
+  applyCheck(rollups, check(0, 100));
+  applyCheck(rollups, check(1, 200, { status: 'error' }));
+  const now = new Date(`${HOUR}:30:00.000Z`).getTime();
+
+  const result = queryRollups(rollups, { range: 60 * 60 * 1000, bucket: '1h' }, now);
+  assert.equal(result.buckets.length, 1);
+  assert.equal(result.buckets[0].histogram, undefined);
+  assert.deepEqual(result.summary.counts, { ok: 1, error: 1 });
+  assert.equal(result.summary.uptime, 50);
+  assert.throws(() => queryRollups(rollups, { range: 1, bucket: '5m' }), /Unsupported bucket/);
+});
@@ -0,0 +1,67 @@
+/**
+ * 净化错误消息,移除敏感信息 (路径、凭证、系统信息等)
+ */
+function sanitizeErrorMessage(error) {
+  const message = error?.message || 'Unknown error';
+
+  const sanitized = message
+    // API Keys 和 Tokens
+    .replace(/sk-[a-zA-Z0-9_-]{20,}/g, '[API_KEY]')           // OpenAI/Anthropic: sk-...
+    .replace(/pk-[a-zA-Z0-9_-]{20,}/g, '[API_KEY]')           // Public keys: pk-...
+    .replace(/key-[a-zA-Z0-9_-]{20,}/g, '[API_KEY]')          // Generic key-...
+    .replace(/api[_-]?key[=:]\s*[^\s]+/gi, 'api_key=[REDACTED]')
+    .replace(/token[=:]\s*[^\s]+/gi, 'token=[REDACTED]')
+    .replace(/bearer\s+[^\s]+/gi, 'Bearer [REDACTED]')
+    // 文件路径 (绝对路径)
+    .replace(/\/home\/[^\s]+/g, '[PATH]')                     // Linux: /home/...
+    .replace(/\/Users\/[^\s]+/g, '[PATH]')                    // macOS: /Users/...
+    .replace(/\/workspace\/[^\s]+/g, '[PATH]')                // Workspace paths
+    .replace(/\/\.claude\/[^\s]+/g, '[PATH]')                 // .claude paths
+    .replace(/[A-Z]:\\[^\s]+/g, '[PATH]')                     // Windows: C:\...
+    // 系统错误消息标准化
+    .replace(/Error: ENOENT[^,]*, open '[^']+'/g, 'Resource not found')
+    .replace(/Error: ENOENT.*/g, 'Resource not found')
+    .replace(/Error: EACCES.*/g, 'Permission denied')
+    .replace(/Error: ETIMEDOUT.*/g, 'Connection timeout')
+    .replace(/Error: ECONNREFUSED.*/g, 'Connection refused')
+    .replace(/Error: ENOTFOUND.*/g, 'Host not found')
+    // 敏感环境变量
+    .replace(/PASSWORD[=:][^\s]+/gi, 'PASSWORD=[REDACTED]')
+    .replace(/SECRET[=:][^\s]+/gi, 'SECRET=[REDACTED]');
+
+  return sanitized;
+}
+
+/**
+ * 净化命令输出 (stdout/stderr),移除路径和敏感信息
+ */
+function sanitizeOutput(text) {
+  if (!text) return text;
+
+  return text
+    // API Keys 和 Tokens
+    .replace(/sk-[a-zA-Z0-9_-]{20,}/g, '[API_KEY]')
+    .replace(/pk-[a-zA-Z0-9_-]{20,}/g, '[API_KEY]')
+    .replace(/key-[a-zA-Z0-9_-]{20,}/g, '[API_KEY]')
+    .replace(/api[_-]?key[=:]\s*[^\s]+/gi, 'api_key=[REDACTED]')
+    .replace(/token[=:]\s*[^\s]+/gi, 'token=[REDACTED]')
+    .replace(/bearer\s+[^\s]+/gi, 'Bearer [REDACTED]')
+    // 文件路径
+    .replace(/\/home\/[^\s]*/g, '[PATH]')
+    .replace(/\/Users\/[^\s]*/g, '[PATH]')
+    .replace(/\/workspace\/[^\s]*/g, '[PATH]')
+    .replace(/\/\.claude\/[^\s]*/g, '[PATH]')
+    .replace(/[A-Z]:\\[^\s]*/g, '[PATH]')
+    // 命令中的路径
+    .replace(/cd\s+"[^"]+"/g, 'cd "[PATH]"')
+    .replace(/cd\s+'[^']+'/g, "cd '[PATH]'")
+    // 敏感环境变量
+    .replace(/PASSWORD[=:][^\s]+/gi, 'PASSWORD=[REDACTED]')
+    .replace(/SECRET[=:][^\s]+/gi, 'SECRET=[REDACTED]')
+    // JWT tokens
+    .replace(/eyJ[a-zA-Z0-9_-]+\.[a-zA-Z0-9_-]+\.[a-zA-Z0-9_-]+/g, '[JWT_TOKEN]');
+
+  return text;
+}
+
+module.exports = { sanitizeErrorMessage, sanitizeOutput };
@@ -0,0 +1,126 @@
+/**
+ * Minimal TOML reader covering what codex's config.toml uses:
+ * tables (including dotted and quoted names), strings, numbers,
+ * booleans and flat arrays. Unsupported lines are ignored.
+ */
+
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        i += 1;
+      } else if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+    if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#') {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+function splitKey(raw) {
+  const parts = [];
+  const pattern = /\s*("(?:[^"\\]|\\.)*"|'[^']*'|[A-Za-z0-9_-]+)\s*(?:\.|$)/gy;
+  let match;
+  while ((match = pattern.exec(raw)) && match[0] !== '') {
+    parts.push(parseString(match[1]) ?? match[1]);
+    if (pattern.lastIndex >= raw.length) {
+      break;
+    }
+  }
+  return parts;
+}
+
+function parseString(raw) {
+  if (raw.startsWith("'") && raw.endsWith("'") && raw.length >= 2) {
+    return raw.slice(1, -1);
+  }
+  if (raw.startsWith('"') && raw.endsWith('"') && raw.length >= 2) {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return raw.slice(1, -1);
+    }
+  }
+  return null;
+}
+
+function parseValue(raw) {
+  const value = raw.trim();
+  const asString = parseString(value);
+  if (asString !== null) {
+    return asString;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (/^[+-]?\d[\d_]*(\.\d+)?([eE][+-]?\d+)?$/.test(value)) {
+    return Number(value.replace(/_/g, ''));
+  }
+  if (value.startsWith('[') && value.endsWith(']')) {
+    const inner = value.slice(1, -1).trim();
+    if (!inner) {
+      return [];
+    }
+    const items = inner.match(/"(?:[^"\\]|\\.)*"|'[^']*'|[^,\s]+/g) || [];
+    return items.map((item) => parseValue(item));
+  }
+  return undefined;
+}
+
+function ensureTable(root, keys) {
+  let target = root;
+  for (const key of keys) {
+    if (!target[key] || typeof target[key] !== 'object' || Array.isArray(target[key])) {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  return target;
+}
+
+/**
+ * Parse TOML text into a plain object.
+ * @param {string} text
+ * @returns {object}
+ */
+function parseToml(text) {
+  const root = {};
+  let current = root;
+
+  for (const rawLine of String(text ?? '').replace(/^﻿/, '').split(/\r?\n/)) {
+    const line = stripComment(rawLine).trim();
+    if (!line) {
+      continue;
+    }
+
+    const tableMatch = /^\[([^[\]].*)\]$/.exec(line);
+    if (tableMatch) {
+      current = ensureTable(root, splitKey(tableMatch[1]));
+      continue;
+    }
+
+    const eq = line.indexOf('=');
+    if (eq <= 0) {
+      continue;
+    }
+    const keys = splitKey(line.slice(0, eq));
+    const value = parseValue(line.slice(eq + 1));
+    if (keys.length === 0 || value === undefined) {
+      continue;
+    }
+    const target = ensureTable(current, keys.slice(0, -1));
+    target[keys[keys.length - 1]] = value;
+  }
+
+  return root;
+}
+
+module.exports = { parseToml };
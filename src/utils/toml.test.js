@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseToml } = require('./toml');
+
+test('parses a codex config.toml', () => {
+  const config = parseToml(`
+model = "gpt-5-codex" # default model
+model_provider = 'fox'
+approval_policy = "never"
+
+[model_providers.fox]
+name = "Fox # relay"
+base_url = "https://relay.example.com/v1"
+env_key = "FOX_API_KEY"
+wire_api = "responses"
+
+[model_providers."my.relay"]
+base_url = "https://other.example.com"
+request_max_retries = 4
+stream_idle_timeout_ms = 300_000
+`);
+  assert.equal(config.model, 'gpt-5-codex');
+  assert.equal(config.model_provider, 'fox');
+  assert.deepEqual(config.model_providers.fox, {
+    name: 'Fox # relay',
+    base_url: 'https://relay.example.com/v1',
+    env_key: 'FOX_API_KEY',
+    wire_api: 'responses'
+  });
+  assert.equal(config.model_providers['my.relay'].request_max_retries, 4);
+  assert.equal(config.model_providers['my.relay'].stream_idle_timeout_ms, 300000);
+});
+
+test('parses booleans, floats, arrays and dotted keys', () => {
+  const config = parseToml(`
+enabled = true
+ratio = 0.5
+args = ["-y", 'x', 3]
+empty = []
+tools.web_search = false
+`);
+  assert.equal(config.enabled, true);
+  assert.equal(config.ratio, 0.5);
+  assert.deepEqual(config.args, ['-y', 'x', 3]);
+  assert.deepEqual(config.empty, []);
+  assert.equal(config.tools.web_search, false);
+});
+
+test('ignores lines it does not understand', () => {
+  const config = parseToml('model = "m"\nthis is not toml\nvalue = {inline = 1}\n');
+  assert.equal(config.model, 'm');
+  assert.equal(config.value, undefined);
+});